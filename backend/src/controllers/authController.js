@@ -21,7 +21,7 @@ const generateRefreshToken = (userId) => {
 // @route   POST /api/auth/register
 // @access  Public
 const register = asyncHandler(async (req, res) => {
-  const { username, email, password, firstName, lastName } = req.body;
+  const { username, email, password, firstName, lastName, timezone } = req.body;
 
   // Check if user already exists
   const existingUser = await User.findOne({
@@ -39,6 +39,7 @@ const register = asyncHandler(async (req, res) => {
     password,
     firstName,
     lastName,
+    ...(timezone && { preferences: { timezone } }),
   });
 
   // Generate tokens
@@ -267,7 +268,17 @@ const updateProfile = asyncHandler(async (req, res) => {
   const updateData = {};
   if (firstName !== undefined) updateData.firstName = firstName;
   if (lastName !== undefined) updateData.lastName = lastName;
-  if (preferences !== undefined) updateData.preferences = preferences;
+  // Set each preference on its own path so the ones not sent are kept
+  const setPreferences = (values, prefix) => {
+    Object.entries(values).forEach(([key, value]) => {
+      if (value && typeof value === "object") {
+        setPreferences(value, `${prefix}.${key}`);
+      } else {
+        updateData[`${prefix}.${key}`] = value;
+      }
+    });
+  };
+  if (preferences !== undefined) setPreferences(preferences, "preferences");
 
   const user = await User.findByIdAndUpdate(req.user._id, updateData, {
     new: true,
@@ -0,0 +1,156 @@
+const crypto = require("crypto");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const { AppError, asyncHandler } = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+const {
+  getUserTimezone,
+  getDayKey,
+  addDays,
+  startOfDay,
+} = require("../utils/dateUtils");
+const { serializeCalendar } = require("../utils/taskTransfer");
+
+// Feed tokens are 32 URL-safe characters (24 random bytes)
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+// Completed tasks stay in the feed this many days after completion
+const COMPLETED_TASK_DAYS = 30;
+
+// `?type=` of the feed and the component each task becomes
+const FEED_COMPONENTS = { todo: "VTODO", event: "VEVENT" };
+
+const createFeedToken = () => crypto.randomBytes(24).toString("base64url");
+
+// Feed address for a token. API_URL is the backend's public address;
+// calendar apps subscribe to the webcal:// form.
+const getFeedUrls = (token) => {
+  const apiUrl =
+    process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  const url = `${apiUrl}/api/calendar/feed/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, "webcal:") };
+};
+
+const toFeedSettings = (token) =>
+  token ? { enabled: true, ...getFeedUrls(token) } : { enabled: false };
+
+// @desc    Get the calendar feed address, if the feed is on
+// @route   GET /api/calendar/feed
+// @access  Private
+const getFeedSettings = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select("+calendarFeedToken");
+
+  res.status(200).json({
+    success: true,
+    data: { feed: toFeedSettings(user.calendarFeedToken) },
+  });
+});
+
+// @desc    Turn the calendar feed on, or move it to a new address. The old
+//          address stops working.
+// @route   POST /api/calendar/feed
+// @access  Private
+const rotateFeedToken = asyncHandler(async (req, res) => {
+  const token = createFeedToken();
+
+  await User.updateOne(
+    { _id: req.user._id },
+    { $set: { calendarFeedToken: token } }
+  );
+
+  logger.info("Calendar feed token rotated", { userId: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: "Calendar feed address created",
+    data: { feed: toFeedSettings(token) },
+  });
+});
+
+// @desc    Turn the calendar feed off
+// @route   DELETE /api/calendar/feed
+// @access  Private
+const disableFeed = asyncHandler(async (req, res) => {
+  await User.updateOne(
+    { _id: req.user._id },
+    { $unset: { calendarFeedToken: 1 } }
+  );
+
+  logger.info("Calendar feed disabled", { userId: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: "Calendar feed turned off",
+    data: { feed: toFeedSettings(null) },
+  });
+});
+
+// @desc    Read-only iCalendar feed of the user's tasks with a due date and
+//          of recurring series, as VTODOs or (`?type=event`) VEVENTs.
+//          Answers 304 when the client's ETag is still current.
+// @route   GET /api/calendar/feed/:token.ics
+// @access  Public (the token identifies the user)
+const getCalendarFeed = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+  const component = FEED_COMPONENTS[req.query.type || "todo"];
+
+  if (!component) {
+    throw new AppError("Feed type must be either todo or event", 400);
+  }
+
+  const user =
+    TOKEN_PATTERN.test(token) &&
+    (await User.findOne({ calendarFeedToken: token, isActive: true }));
+
+  if (!user) {
+    throw new AppError("Calendar feed not found", 404);
+  }
+
+  const timezone = getUserTimezone(user);
+  const completedSince = startOfDay(
+    addDays(getDayKey(new Date(), timezone), -COMPLETED_TASK_DAYS),
+    timezone
+  );
+
+  // Occurrences of a series are covered by its RRULE
+  const tasks = await Task.find({
+    user: user._id,
+    recurringTemplate: null,
+    status: { $ne: "cancelled" },
+    $and: [
+      { $or: [{ dueDate: { $ne: null } }, { isRecurring: true }] },
+      {
+        $or: [
+          { status: { $ne: "completed" } },
+          { isRecurring: true },
+          { completedAt: { $gte: completedSince } },
+        ],
+      },
+    ],
+  }).sort({ dueDate: 1, createdAt: 1 });
+
+  const calendar = serializeCalendar(tasks, {
+    timezone,
+    name: "Daily Todo",
+    component,
+  });
+  const etag = `"${crypto
+    .createHash("sha1")
+    .update(calendar)
+    .digest("base64url")}"`;
+
+  res.set({ ETag: etag, "Cache-Control": "private, no-cache" });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.status(200).type("text/calendar").send(calendar);
+});
+
+module.exports = {
+  getFeedSettings,
+  rotateFeedToken,
+  disableFeed,
+  getCalendarFeed,
+};
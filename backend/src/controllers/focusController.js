@@ -0,0 +1,101 @@
+const FocusSession = require("../models/FocusSession");
+const Task = require("../models/Task");
+const { AppError, asyncHandler } = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+const {
+  getUserTimezone,
+  startOfDay,
+  getDayRange,
+} = require("../utils/dateUtils");
+
+// @desc    Record a focus session (pomodoro) worked on a task
+// @route   POST /api/focus/sessions
+// @access  Private
+const recordFocusSession = asyncHandler(async (req, res) => {
+  const { taskId, startedAt, endedAt, completed } = req.body;
+
+  const task = await Task.findOne({ _id: taskId, user: req.user._id });
+
+  if (!task) {
+    throw new AppError("Task not found", 404);
+  }
+
+  const session = await FocusSession.create({
+    user: req.user._id,
+    task: task._id,
+    tags: task.tags,
+    startedAt,
+    endedAt,
+    duration: Math.max(1, Math.round((endedAt - startedAt) / (60 * 1000))),
+    completed,
+  });
+
+  // Only full-length sessions count towards the task's pomodoros
+  const updatedTask = completed
+    ? await Task.findByIdAndUpdate(
+        task._id,
+        { $inc: { focusSessionCount: 1 } },
+        { new: true }
+      )
+    : task;
+
+  logger.info("Focus session recorded", {
+    userId: req.user._id,
+    taskId: task._id,
+    duration: session.duration,
+    completed,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Focus session recorded successfully",
+    data: {
+      session,
+      task: updatedTask,
+    },
+  });
+});
+
+// @desc    Get focus sessions, newest first
+// @route   GET /api/focus/sessions
+// @access  Private
+const getFocusSessions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, from, to } = req.query;
+  const timezone = getUserTimezone(req.user);
+  const query = { user: req.user._id };
+
+  // Days the sessions ended on, in the user's timezone
+  if (from || to) {
+    query.endedAt = {};
+    if (from) query.endedAt.$gte = startOfDay(from, timezone);
+    if (to) query.endedAt.$lte = getDayRange(to, timezone).end;
+  }
+
+  const sessions = await FocusSession.find(query)
+    .populate("task", "title")
+    .sort({ endedAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit));
+  const total = await FocusSession.countDocuments(query);
+  const totalPages = Math.ceil(total / limit);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      sessions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    },
+  });
+});
+
+module.exports = {
+  recordFocusSession,
+  getFocusSessions,
+};
@@ -0,0 +1,228 @@
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const { AppError, asyncHandler } = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+const { isPushConfigured, getPublicKey } = require("../notifications/push");
+const { verifyUnsubscribeToken } = require("../notifications/unsubscribe");
+const { escapeHtml } = require("../notifications/mailer");
+
+// Browsers kept per user; the oldest subscription is dropped past this
+const MAX_PUSH_SUBSCRIPTIONS = 10;
+
+// @desc    Get in-app notifications, newest first
+// @route   GET /api/notifications
+// @access  Private
+const getNotifications = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, unreadOnly } = req.query;
+  const query = { user: req.user._id };
+  if (unreadOnly) query.readAt = null;
+
+  const notifications = await Notification.find(query)
+    .populate("task", "title status dueDate")
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit));
+  const total = await Notification.countDocuments(query);
+  const unreadCount = await Notification.countDocuments({
+    user: req.user._id,
+    readAt: null,
+  });
+  const totalPages = Math.ceil(total / limit);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      notifications,
+      unreadCount,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    },
+  });
+});
+
+// @desc    Mark a notification as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private
+const markNotificationRead = asyncHandler(async (req, res) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: req.params.id, user: req.user._id },
+    [{ $set: { readAt: { $ifNull: ["$readAt", "$$NOW"] } } }],
+    { new: true }
+  );
+
+  if (!notification) {
+    throw new AppError("Notification not found", 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Notification marked as read",
+    data: {
+      notification,
+    },
+  });
+});
+
+// @desc    Mark every notification as read
+// @route   PATCH /api/notifications/read-all
+// @access  Private
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { user: req.user._id, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "All notifications marked as read",
+    data: {
+      modifiedCount: result.modifiedCount,
+    },
+  });
+});
+
+// @desc    Get the public key browsers subscribe to web push with
+// @route   GET /api/notifications/push-key
+// @access  Private
+const getPushKey = asyncHandler(async (req, res) => {
+  if (!isPushConfigured()) {
+    throw new AppError("Push notifications are not configured", 503);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      publicKey: getPublicKey(),
+    },
+  });
+});
+
+// @desc    Save this browser's web push subscription
+// @route   POST /api/notifications/push-subscriptions
+// @access  Private
+const addPushSubscription = asyncHandler(async (req, res) => {
+  const { endpoint, keys } = req.body;
+
+  // Re-subscribing replaces the stored keys
+  await User.updateOne(
+    { _id: req.user._id },
+    { $pull: { pushSubscriptions: { endpoint } } }
+  );
+  await User.updateOne(
+    { _id: req.user._id },
+    {
+      $push: {
+        pushSubscriptions: {
+          $each: [{ endpoint, keys }],
+          $slice: -MAX_PUSH_SUBSCRIPTIONS,
+        },
+      },
+    }
+  );
+
+  logger.info("Push subscription added", { userId: req.user._id });
+
+  res.status(201).json({
+    success: true,
+    message: "Push subscription saved successfully",
+  });
+});
+
+// @desc    Remove a web push subscription
+// @route   DELETE /api/notifications/push-subscriptions
+// @access  Private
+const removePushSubscription = asyncHandler(async (req, res) => {
+  await User.updateOne(
+    { _id: req.user._id },
+    { $pull: { pushSubscriptions: { endpoint: req.body.endpoint } } }
+  );
+
+  logger.info("Push subscription removed", { userId: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: "Push subscription removed successfully",
+  });
+});
+
+// A small standalone page for unsubscribe links opened in a browser
+const renderPage = (body) =>
+  `<!DOCTYPE html><html><body style="font-family:Arial,sans-serif;text-align:center;padding:48px;">${body}</body></html>`;
+
+// @desc    Confirm turning off email notifications from an unsubscribe link.
+//          Opening the link changes nothing, so mail scanners and link
+//          prefetchers can't unsubscribe anyone; the page posts back.
+// @route   GET /api/notifications/unsubscribe?token=...
+// @access  Public (the token identifies the user)
+const confirmUnsubscribe = asyncHandler(async (req, res) => {
+  if (!verifyUnsubscribeToken(req.query.token)) {
+    throw new AppError("Invalid unsubscribe link", 400);
+  }
+
+  const action = `?token=${encodeURIComponent(req.query.token)}`;
+  res
+    .status(200)
+    .type("html")
+    .send(
+      renderPage(
+        `<h1>Unsubscribe from emails?</h1><p>You won't get any more emails from us. You can turn them back on in your account settings.</p><form method="post" action="${escapeHtml(action)}"><button type="submit">Unsubscribe</button></form>`
+      )
+    );
+});
+
+// @desc    Turn off email notifications, from the confirmation page or a
+//          mail client's one-click unsubscribe (RFC 8058)
+// @route   POST /api/notifications/unsubscribe?token=...
+// @access  Public (the token identifies the user)
+const unsubscribe = asyncHandler(async (req, res) => {
+  const userId = verifyUnsubscribeToken(req.query.token);
+
+  if (!userId) {
+    throw new AppError("Invalid unsubscribe link", 400);
+  }
+
+  const result = await User.updateOne(
+    { _id: userId },
+    { $set: { "preferences.notifications.email": false } }
+  );
+
+  if (result.matchedCount === 0) {
+    throw new AppError("User not found", 404);
+  }
+
+  logger.info("User unsubscribed from email", { userId });
+
+  // The confirmation page's form gets a page back
+  if (req.accepts(["json", "html"]) === "html") {
+    return res
+      .status(200)
+      .type("html")
+      .send(
+        renderPage(
+          "<h1>You're unsubscribed</h1><p>You won't get any more emails from us. You can turn them back on in your account settings.</p>"
+        )
+      );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Unsubscribed from email notifications",
+  });
+});
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPushKey,
+  addPushSubscription,
+  removePushSubscription,
+  confirmUnsubscribe,
+  unsubscribe,
+};
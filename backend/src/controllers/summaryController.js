@@ -1,7 +1,18 @@
 const axios = require("axios");
 const Task = require("../models/Task");
+const WeeklyReview = require("../models/WeeklyReview");
+const FocusSession = require("../models/FocusSession");
 const { AppError, asyncHandler } = require("../middleware/errorHandler");
 const logger = require("../utils/logger");
+const {
+  getUserTimezone,
+  getDayKey,
+  addDays,
+  getWeekday,
+  startOfDay,
+  getDayRange,
+  getPeriodStart,
+} = require("../utils/dateUtils");
 
 // OpenRouter configuration
 const OPENROUTER_API_URL =
@@ -9,140 +20,186 @@ const OPENROUTER_API_URL =
 const OPENROUTER_MODEL =
   process.env.OPENROUTER_MODEL || "openrouter/openai/gpt-4o-mini";
 
-// @desc    Get motivational summary
-// @route   GET /api/summary
-// @access  Private
-const getMotivationalSummary = asyncHandler(async (req, res) => {
-  try {
-    // Get yesterday's completed tasks
-    const completedTasks = await Task.getYesterdayCompleted(req.user._id);
-
-    if (completedTasks.length === 0) {
-      return res.status(200).json({
-        success: true,
-        data: {
-          message:
-            "Yesterday was a rest day! That's perfectly fine. Every day is a new opportunity to accomplish great things. What would you like to focus on today?",
-          completedTasks: [],
-          taskCount: 0,
-          date: new Date(Date.now() - 24 * 60 * 60 * 1000)
-            .toISOString()
-            .split("T")[0],
+// Summary of the user's previous local day: the AI's message and predicted
+// tasks for what they completed, with their focus totals. Throws if the AI
+// request fails.
+const generateDailySummary = async (user) => {
+  // "Yesterday" is the user's previous local day
+  const timezone = getUserTimezone(user);
+  const yesterday = addDays(getDayKey(new Date(), timezone), -1);
+  const focus = await FocusSession.getDayTotals(user._id, yesterday, timezone);
+
+  // Get yesterday's completed tasks
+  const completedTasks = await Task.getYesterdayCompleted(user._id, timezone);
+
+  if (completedTasks.length === 0) {
+    return {
+      message:
+        focus.count > 0
+          ? `${describeFocus(focus)} Every session counts, even on days when nothing gets checked off. What would you like to finish today?`
+          : "Yesterday was a rest day! That's perfectly fine. Every day is a new opportunity to accomplish great things. What would you like to focus on today?",
+      completedTasks: [],
+      taskCount: 0,
+      focus,
+      date: yesterday,
+    };
+  }
+
+  // Prepare task data for AI
+  const taskSummaries = completedTasks.map(summarizeTask);
+
+  // Calculate statistics
+  const totalTasks = completedTasks.length;
+  const highPriorityTasks = completedTasks.filter(
+    (task) => task.priority === "high" || task.priority === "urgent"
+  ).length;
+  const totalEstimatedTime = completedTasks.reduce(
+    (sum, task) => sum + (task.estimatedTime || 0),
+    0
+  );
+  const totalActualTime = completedTasks.reduce(
+    (sum, task) => sum + (task.actualTime || 0),
+    0
+  );
+  const efficiency =
+    totalEstimatedTime > 0
+      ? Math.round((totalActualTime / totalEstimatedTime) * 100)
+      : 100;
+
+  // Generate AI prompt (requests structured JSON)
+  const prompt = generateMotivationalPromptWithPredictions(taskSummaries, {
+    totalTasks,
+    highPriorityTasks,
+    efficiency,
+    focus,
+    userName: user.firstName || user.username,
+  });
+
+  // Call OpenRouter API
+  const response = await axios.post(
+    OPENROUTER_API_URL,
+    {
+      model: OPENROUTER_MODEL,
+      messages: [
+        {
+          role: "system",
+          content:
+            "You are a motivational coach and productivity expert. Always reply ONLY with strict minified JSON matching the described schema.",
         },
-      });
+        {
+          role: "user",
+          content: prompt,
+        },
+      ],
+      temperature: 0.7,
+      max_tokens: 600,
+    },
+    {
+      headers: {
+        Authorization: `Bearer ${process.env.OPENROUTER_API_KEY}`,
+        "Content-Type": "application/json",
+        ...(process.env.OPENROUTER_REFERER && {
+          "HTTP-Referer": process.env.OPENROUTER_REFERER,
+        }),
+        ...(process.env.OPENROUTER_TITLE && {
+          "X-Title": process.env.OPENROUTER_TITLE,
+        }),
+      },
+      timeout: 15000,
     }
+  );
 
-    // Prepare task data for AI
-    const taskSummaries = completedTasks.map((task) => ({
-      title: task.title,
-      priority: task.priority,
-      estimatedTime: task.estimatedTime,
-      actualTime: task.actualTime,
-      tags: task.tags,
-    }));
-
-    // Calculate statistics
-    const totalTasks = completedTasks.length;
-    const highPriorityTasks = completedTasks.filter(
-      (task) => task.priority === "high" || task.priority === "urgent"
-    ).length;
-    const totalEstimatedTime = completedTasks.reduce(
-      (sum, task) => sum + (task.estimatedTime || 0),
-      0
-    );
-    const totalActualTime = completedTasks.reduce(
-      (sum, task) => sum + (task.actualTime || 0),
-      0
+  const content = response.data?.choices?.[0]?.message?.content || "";
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (e) {
+    // Try to extract JSON substring if model added prose
+    const match = content.match(/\{[\s\S]*\}$/);
+    if (match) {
+      parsed = JSON.parse(match[0]);
+    }
+  }
+
+  const aiMessage =
+    parsed?.summary ||
+    parsed?.message ||
+    generateFallbackMessage(
+      completedTasks,
+      user.firstName || user.username,
+      focus
     );
-    const efficiency =
-      totalEstimatedTime > 0
-        ? Math.round((totalActualTime / totalEstimatedTime) * 100)
-        : 100;
+  const predictedTasks = Array.isArray(parsed?.predictedTasks)
+    ? sanitizePredictions(parsed.predictedTasks)
+    : generateSimplePredictions(completedTasks);
+
+  logger.info("Motivational summary generated successfully", {
+    userId: user._id,
+    taskCount: totalTasks,
+    aiModel: OPENROUTER_MODEL,
+  });
 
-    // Generate AI prompt (requests structured JSON)
-    const prompt = generateMotivationalPromptWithPredictions(taskSummaries, {
+  return {
+    message: aiMessage,
+    completedTasks: taskSummaries,
+    statistics: {
       totalTasks,
       highPriorityTasks,
       efficiency,
-      userName: req.user.firstName || req.user.username,
-    });
-
-    // Call OpenRouter API
-    const response = await axios.post(
-      OPENROUTER_API_URL,
-      {
-        model: OPENROUTER_MODEL,
-        messages: [
-          {
-            role: "system",
-            content:
-              "You are a motivational coach and productivity expert. Always reply ONLY with strict minified JSON matching the described schema.",
-          },
-          {
-            role: "user",
-            content: prompt,
-          },
-        ],
-        temperature: 0.7,
-        max_tokens: 600,
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.OPENROUTER_API_KEY}`,
-          "Content-Type": "application/json",
-          ...(process.env.OPENROUTER_REFERER && {
-            "HTTP-Referer": process.env.OPENROUTER_REFERER,
-          }),
-          ...(process.env.OPENROUTER_TITLE && {
-            "X-Title": process.env.OPENROUTER_TITLE,
-          }),
-        },
-        timeout: 15000,
-      }
-    );
+      totalEstimatedTime,
+      totalActualTime,
+      focusSessions: focus.count,
+      focusMinutes: focus.minutes,
+    },
+    predictedTasks,
+    date: yesterday,
+  };
+};
 
-    const content = response.data?.choices?.[0]?.message?.content || "";
-
-    let parsed;
-    try {
-      parsed = JSON.parse(content);
-    } catch (e) {
-      // Try to extract JSON substring if model added prose
-      const match = content.match(/\{[\s\S]*\}$/);
-      if (match) {
-        parsed = JSON.parse(match[0]);
-      }
-    }
+// The same summary with a templated message, for when the AI is unavailable
+const generateFallbackSummary = async (user) => {
+  const timezone = getUserTimezone(user);
+  const yesterday = addDays(getDayKey(new Date(), timezone), -1);
+  const focus = await FocusSession.getDayTotals(user._id, yesterday, timezone);
+  const completedTasks = await Task.getYesterdayCompleted(user._id, timezone);
 
-    const aiMessage = parsed?.summary || parsed?.message ||
-      generateFallbackMessage(completedTasks, req.user.firstName || req.user.username);
-    const predictedTasks = Array.isArray(parsed?.predictedTasks)
-      ? parsed.predictedTasks
-      : generateSimplePredictions(completedTasks);
+  return {
+    message: generateFallbackMessage(
+      completedTasks,
+      user.firstName || user.username,
+      focus
+    ),
+    completedTasks: completedTasks.map(summarizeTask),
+    taskCount: completedTasks.length,
+    focus,
+    predictedTasks: generateSimplePredictions(completedTasks),
+    date: yesterday,
+    fallback: true,
+  };
+};
 
-    logger.info("Motivational summary generated successfully", {
-      userId: req.user._id,
-      taskCount: totalTasks,
-      aiModel: OPENROUTER_MODEL,
+// Yesterday's summary, falling back to the templated one if the AI request
+// fails (used outside requests, e.g. by the daily digest)
+const getDailySummary = (user) =>
+  generateDailySummary(user).catch((error) => {
+    logger.warn("AI summary unavailable, using fallback", {
+      userId: user._id,
+      error: error.message,
     });
+    return generateFallbackSummary(user);
+  });
+
+// @desc    Get motivational summary
+// @route   GET /api/summary
+// @access  Private
+const getMotivationalSummary = asyncHandler(async (req, res) => {
+  try {
+    const summary = await generateDailySummary(req.user);
 
     res.status(200).json({
       success: true,
-      data: {
-        message: aiMessage,
-        completedTasks: taskSummaries,
-        statistics: {
-          totalTasks,
-          highPriorityTasks,
-          efficiency,
-          totalEstimatedTime,
-          totalActualTime,
-        },
-        predictedTasks,
-        date: new Date(Date.now() - 24 * 60 * 60 * 1000)
-          .toISOString()
-          .split("T")[0],
-      },
+      data: summary,
     });
   } catch (error) {
     logger.error("Error generating motivational summary:", error);
@@ -171,34 +228,24 @@ const getMotivationalSummary = asyncHandler(async (req, res) => {
     }
 
     // For other AI errors, provide a fallback message
-    const completedTasks = await Task.getYesterdayCompleted(req.user._id);
-    const fallbackMessage = generateFallbackMessage(
-      completedTasks,
-      req.user.firstName || req.user.username
-    );
+    const summary = await generateFallbackSummary(req.user);
 
     res.status(200).json({
       success: true,
-      data: {
-        message: fallbackMessage,
-        completedTasks: completedTasks.map((task) => ({
-          title: task.title,
-          priority: task.priority,
-          estimatedTime: task.estimatedTime,
-          actualTime: task.actualTime,
-          tags: task.tags,
-        })),
-        taskCount: completedTasks.length,
-        predictedTasks: generateSimplePredictions(completedTasks),
-        date: new Date(Date.now() - 24 * 60 * 60 * 1000)
-          .toISOString()
-          .split("T")[0],
-        fallback: true,
-      },
+      data: summary,
     });
   }
 });
 
+// Completed task details shared with the AI and returned to the client
+const summarizeTask = (task) => ({
+  title: task.title,
+  priority: task.priority,
+  estimatedTime: task.estimatedTime,
+  actualTime: task.actualTime,
+  tags: task.tags,
+});
+
 // Generate motivational prompt for AI
 const generateMotivationalPrompt = (tasks, stats) => {
   const taskList = tasks
@@ -218,7 +265,9 @@ ${taskList}
 Statistics:
 - Total tasks completed: ${stats.totalTasks}
 - High priority tasks: ${stats.highPriorityTasks}
-- Efficiency: ${stats.efficiency}%
+- Efficiency: ${stats.efficiency}%${
+    stats.focus?.count > 0 ? `\n- Focus: ${describeFocus(stats.focus)}` : ""
+  }
 
 User: ${stats.userName}
 
@@ -240,8 +289,19 @@ const generateMotivationalPromptWithPredictions = (tasks, stats) => {
 Do not include any extra text before or after the JSON.`;
 };
 
+// "You did 6 pomodoros on #writing yesterday." for a day's focus totals
+const describeFocus = (focus) => {
+  const pomodoros = (count) => `${count} pomodoro${count === 1 ? "" : "s"}`;
+  const [topTag] = focus.byTag;
+
+  if (!topTag) return `You did ${pomodoros(focus.count)} yesterday.`;
+  return `You did ${pomodoros(topTag.count)} on #${topTag.tag} yesterday${
+    focus.count > topTag.count ? ` (${focus.count} in all)` : ""
+  }.`;
+};
+
 // Generate fallback message when AI is unavailable
-const generateFallbackMessage = (tasks, userName) => {
+const generateFallbackMessage = (tasks, userName, focus) => {
   if (tasks.length === 0) {
     return `Hello ${userName}! Yesterday was a rest day, and that's perfectly fine. Every day is a new opportunity to accomplish great things. What would you like to focus on today?`;
   }
@@ -261,11 +321,35 @@ const generateFallbackMessage = (tasks, userName) => {
     }`;
   }
 
-  message += `. Your dedication to productivity is inspiring! Keep up this momentum today and remember that every completed task brings you closer to your goals. You've got this!`;
+  message += ".";
+  if (focus?.count > 0) {
+    message += ` ${describeFocus(focus)}`;
+  }
+
+  message += ` Your dedication to productivity is inspiring! Keep up this momentum today and remember that every completed task brings you closer to your goals. You've got this!`;
 
   return message;
 };
 
+const PRIORITIES = ["low", "medium", "high", "urgent"];
+const MAX_PREDICTIONS = 5;
+
+// The AI's predicted tasks go to the client as suggestions, so only ones
+// shaped like a task it can add are kept
+const sanitizePredictions = (predictions) =>
+  predictions
+    .filter(
+      (prediction) =>
+        typeof prediction?.title === "string" &&
+        prediction.title.trim() !== "" &&
+        PRIORITIES.includes(prediction.priority)
+    )
+    .map(({ title, priority }) => ({
+      title: title.trim().slice(0, 200),
+      priority,
+    }))
+    .slice(0, MAX_PREDICTIONS);
+
 // Simple local prediction fallback based on tags and priorities
 const generateSimplePredictions = (completedTasks) => {
   const tagCounts = {};
@@ -290,20 +374,17 @@ const generateSimplePredictions = (completedTasks) => {
     suggestions.push({ title: "Plan your top priority task", priority: "high" });
   }
 
-  return suggestions.slice(0, 5);
+  return suggestions.slice(0, MAX_PREDICTIONS);
 };
 
-// @desc    Get weekly summary
-// @route   GET /api/summary/weekly
-// @access  Private
-const getWeeklySummary = asyncHandler(async (req, res) => {
-  const endDate = new Date();
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - 7);
+// Statistics for the seven local days from startDay to endDay, with the
+// tasks still pending from that week
+const getWeeklyStatistics = async (user, startDay, endDay, timezone) => {
+  const startDate = startOfDay(startDay, timezone);
+  const endDate = getDayRange(endDay, timezone).end;
 
-  // Get tasks for the past week
   const tasks = await Task.find({
-    user: req.user._id,
+    user: user._id,
     createdAt: { $gte: startDate, $lte: endDate },
   });
 
@@ -311,7 +392,6 @@ const getWeeklySummary = asyncHandler(async (req, res) => {
   const pendingTasks = tasks.filter((task) => task.status === "pending");
   const inProgressTasks = tasks.filter((task) => task.status === "in_progress");
 
-  // Calculate weekly statistics
   const stats = {
     total: tasks.length,
     completed: completedTasks.length,
@@ -322,7 +402,7 @@ const getWeeklySummary = asyncHandler(async (req, res) => {
         ? Math.round((completedTasks.length / tasks.length) * 100)
         : 0,
     averageTasksPerDay: Math.round((tasks.length / 7) * 10) / 10,
-    mostProductiveDay: getMostProductiveDay(completedTasks),
+    mostProductiveDay: getMostProductiveDay(completedTasks, timezone),
     priorityBreakdown: {
       low: tasks.filter((t) => t.priority === "low").length,
       medium: tasks.filter((t) => t.priority === "medium").length,
@@ -331,6 +411,29 @@ const getWeeklySummary = asyncHandler(async (req, res) => {
     },
   };
 
+  return { stats, pendingTasks };
+};
+
+// @desc    Get weekly summary
+// @route   GET /api/summary/weekly
+// @access  Private
+const getWeeklySummary = asyncHandler(async (req, res) => {
+  // The last seven local days, today included
+  const timezone = getUserTimezone(req.user);
+  const endDay = getDayKey(new Date(), timezone);
+  const startDay = addDays(endDay, -6);
+
+  const { stats, pendingTasks } = await getWeeklyStatistics(
+    req.user,
+    startDay,
+    endDay,
+    timezone
+  );
+  const review = await WeeklyReview.findOne({
+    user: req.user._id,
+    weekStart: startDay,
+  });
+
   // Generate weekly message
   let weeklyMessage = `Weekly Summary for ${
     req.user.firstName || req.user.username
@@ -347,7 +450,10 @@ const getWeeklySummary = asyncHandler(async (req, res) => {
       "Keep pushing forward! Every effort counts toward your goals.";
   }
 
-  weeklyMessage += `\n\nYour most productive day was ${stats.mostProductiveDay}. `;
+  weeklyMessage += "\n\n";
+  if (stats.completed > 0) {
+    weeklyMessage += `Your most productive day was ${stats.mostProductiveDay}. `;
+  }
   weeklyMessage += `You averaged ${stats.averageTasksPerDay} tasks per day. `;
 
   if (stats.pending > 0) {
@@ -359,16 +465,95 @@ const getWeeklySummary = asyncHandler(async (req, res) => {
     data: {
       message: weeklyMessage,
       statistics: stats,
+      pendingTasks,
+      review,
       period: {
-        startDate: startDate.toISOString().split("T")[0],
-        endDate: endDate.toISOString().split("T")[0],
+        startDate: startDay,
+        endDate: endDay,
       },
     },
   });
 });
 
-// Helper function to find most productive day
-const getMostProductiveDay = (completedTasks) => {
+// @desc    Save the reflection for the week starting on :weekStart
+// @route   PUT /api/summary/reviews/:weekStart
+// @access  Private
+const saveWeeklyReview = asyncHandler(async (req, res) => {
+  const { weekStart } = req.params;
+  const { reflection } = req.body;
+  const timezone = getUserTimezone(req.user);
+  const today = getDayKey(new Date(), timezone);
+
+  if (
+    !/^\d{4}-\d{2}-\d{2}$/.test(weekStart) ||
+    Number.isNaN(Date.parse(weekStart))
+  ) {
+    throw new AppError("Week start must be a date in YYYY-MM-DD format", 400);
+  }
+  if (weekStart > today) {
+    throw new AppError("Cannot review a week that hasn't started", 400);
+  }
+
+  // The statistics are stored with the review so past weeks read the same
+  // later, even after their tasks change
+  const weekEnd = addDays(weekStart, 6);
+  const { stats } = await getWeeklyStatistics(
+    req.user,
+    weekStart,
+    weekEnd,
+    timezone
+  );
+
+  const review = await WeeklyReview.findOneAndUpdate(
+    { user: req.user._id, weekStart },
+    { $set: { weekEnd, reflection, statistics: stats } },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  logger.info("Weekly review saved", {
+    userId: req.user._id,
+    weekStart,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Weekly review saved",
+    data: { review },
+  });
+});
+
+// @desc    Get past weekly reviews, newest first
+// @route   GET /api/summary/reviews
+// @access  Private
+const getWeeklyReviews = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const query = { user: req.user._id };
+
+  const reviews = await WeeklyReview.find(query)
+    .sort({ weekStart: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit));
+  const total = await WeeklyReview.countDocuments(query);
+  const totalPages = Math.ceil(total / limit);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      reviews,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    },
+  });
+});
+
+// Helper function to find most productive day (in the user's timezone)
+const getMostProductiveDay = (completedTasks, timezone) => {
   const dayCounts = {};
   const days = [
     "Sunday",
@@ -381,12 +566,14 @@ const getMostProductiveDay = (completedTasks) => {
   ];
 
   completedTasks.forEach((task) => {
-    const day = days[task.completedAt.getDay()];
+    const day = days[getWeekday(getDayKey(task.completedAt, timezone))];
     dayCounts[day] = (dayCounts[day] || 0) + 1;
   });
 
-  const mostProductiveDay = Object.keys(dayCounts).reduce((a, b) =>
-    dayCounts[a] > dayCounts[b] ? a : b
+  // Start from null so a week without completions doesn't throw
+  const mostProductiveDay = Object.keys(dayCounts).reduce(
+    (a, b) => (a && dayCounts[a] >= dayCounts[b] ? a : b),
+    null
   );
 
   return mostProductiveDay || "No completed tasks";
@@ -398,27 +585,12 @@ const getMostProductiveDay = (completedTasks) => {
 const getProductivityInsights = asyncHandler(async (req, res) => {
   const { period = "month" } = req.query;
 
-  let startDate;
+  const timezone = getUserTimezone(req.user);
+  const endDay = getDayKey(new Date(), timezone);
+  const startDay = getPeriodStart(period, endDay);
+  const startDate = startOfDay(startDay, timezone);
   const now = new Date();
 
-  switch (period) {
-    case "week":
-      startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-      break;
-    case "month":
-      startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-      break;
-    case "quarter":
-      startDate = new Date(
-        now.getFullYear(),
-        Math.floor(now.getMonth() / 3) * 3,
-        1
-      );
-      break;
-    default:
-      startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-  }
-
   // Get tasks for the period
   const tasks = await Task.find({
     user: req.user._id,
@@ -445,7 +617,7 @@ const getProductivityInsights = asyncHandler(async (req, res) => {
         : 0,
     topTags: getTopTags(tasks),
     priorityDistribution: getPriorityDistribution(tasks),
-    productivityTrend: getProductivityTrend(completedTasks, startDate, now),
+    productivityTrend: getProductivityTrend(tasks, startDay, endDay, timezone),
     recommendations: generateRecommendations(tasks, completedTasks),
   };
 
@@ -454,8 +626,8 @@ const getProductivityInsights = asyncHandler(async (req, res) => {
     data: {
       insights,
       period: {
-        startDate: startDate.toISOString().split("T")[0],
-        endDate: now.toISOString().split("T")[0],
+        startDate: startDay,
+        endDate: endDay,
         type: period,
       },
     },
@@ -485,20 +657,31 @@ const getPriorityDistribution = (tasks) => {
   return distribution;
 };
 
-const getProductivityTrend = (completedTasks, startDate, endDate) => {
-  const days = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
-  const dailyCounts = new Array(days).fill(0);
+// One entry per day of the period with the tasks planned for that day (or
+// created on it, if unplanned) and how many of them were completed
+const getProductivityTrend = (tasks, startDay, endDay, timezone) => {
+  const trend = [];
+  const byDay = {};
+  for (let day = startDay; day <= endDay; day = addDays(day, 1)) {
+    byDay[day] = { date: day, total: 0, completed: 0, completionRate: 0 };
+    trend.push(byDay[day]);
+  }
 
-  completedTasks.forEach((task) => {
-    const dayIndex = Math.floor(
-      (task.completedAt - startDate) / (1000 * 60 * 60 * 24)
-    );
-    if (dayIndex >= 0 && dayIndex < days) {
-      dailyCounts[dayIndex]++;
+  tasks.forEach((task) => {
+    const entry =
+      byDay[task.plannedDate || getDayKey(task.createdAt, timezone)];
+    if (!entry) return;
+    entry.total++;
+    if (task.status === "completed") entry.completed++;
+  });
+
+  trend.forEach((entry) => {
+    if (entry.total > 0) {
+      entry.completionRate = Math.round((entry.completed / entry.total) * 100);
     }
   });
 
-  return dailyCounts;
+  return trend;
 };
 
 const generateRecommendations = (tasks, completedTasks) => {
@@ -540,7 +723,10 @@ const generateRecommendations = (tasks, completedTasks) => {
 };
 
 module.exports = {
+  getDailySummary,
   getMotivationalSummary,
   getWeeklySummary,
+  saveWeeklyReview,
+  getWeeklyReviews,
   getProductivityInsights,
 };
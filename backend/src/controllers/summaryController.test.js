@@ -0,0 +1,94 @@
+jest.mock("../utils/logger");
+jest.mock("axios");
+
+const axios = require("axios");
+const mongoose = require("mongoose");
+const Task = require("../models/Task");
+const FocusSession = require("../models/FocusSession");
+const { getDailySummary } = require("./summaryController");
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  username: "sam",
+  preferences: { timezone: "UTC" },
+};
+
+// Answer the AI request with `predictedTasks`
+const mockPredictions = (predictedTasks) => {
+  axios.post.mockResolvedValue({
+    data: {
+      choices: [
+        {
+          message: {
+            content: JSON.stringify({ summary: "Well done!", predictedTasks }),
+          },
+        },
+      ],
+    },
+  });
+};
+
+beforeEach(() => {
+  jest
+    .spyOn(FocusSession, "getDayTotals")
+    .mockResolvedValue({ count: 0, minutes: 0 });
+  jest.spyOn(Task, "getYesterdayCompleted").mockResolvedValue([
+    {
+      title: "Write report",
+      priority: "high",
+      tags: ["work"],
+      estimatedTime: 30,
+      actualTime: 25,
+    },
+  ]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.resetAllMocks();
+});
+
+describe("getDailySummary", () => {
+  it("passes on well-formed predicted tasks", async () => {
+    mockPredictions([{ title: " Review report ", priority: "medium" }]);
+
+    const summary = await getDailySummary(user);
+
+    expect(summary.message).toBe("Well done!");
+    expect(summary.predictedTasks).toEqual([
+      { title: "Review report", priority: "medium" },
+    ]);
+  });
+
+  it("drops predicted tasks the client couldn't add", async () => {
+    mockPredictions([
+      "Plan tomorrow",
+      null,
+      { title: 42, priority: "high" },
+      { title: "   ", priority: "high" },
+      { title: "Call Sam", priority: "someday" },
+      { title: "Call Sam" },
+      { title: "Book flights", priority: "urgent", extra: "<b>" },
+    ]);
+
+    const { predictedTasks } = await getDailySummary(user);
+
+    expect(predictedTasks).toEqual([
+      { title: "Book flights", priority: "urgent" },
+    ]);
+  });
+
+  it("shortens long titles and caps the count", async () => {
+    mockPredictions(
+      Array.from({ length: 8 }, () => ({
+        title: "x".repeat(300),
+        priority: "low",
+      }))
+    );
+
+    const { predictedTasks } = await getDailySummary(user);
+
+    expect(predictedTasks).toHaveLength(5);
+    predictedTasks.forEach(({ title }) => expect(title).toHaveLength(200));
+  });
+});
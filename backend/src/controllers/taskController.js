@@ -1,12 +1,138 @@
 const Task = require("../models/Task");
 const { AppError, asyncHandler } = require("../middleware/errorHandler");
 const logger = require("../utils/logger");
+const {
+  getUserTimezone,
+  getDayKey,
+  addDays,
+  startOfDay,
+  getDayRange,
+  getPeriodStart,
+} = require("../utils/dateUtils");
+const { getAnchorDay, occursOn } = require("../utils/recurrence");
+const { schemas } = require("../middleware/validationMiddleware");
+const {
+  EXPORT_FORMATS,
+  serializeTasks,
+  parseImport,
+} = require("../utils/taskTransfer");
+const { getTrashRetentionDays } = require("../jobs/trashPurge");
+const { withTransaction } = require("../utils/transaction");
+
+// Search text is matched literally, not as a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Tasks that still need doing
+const OPEN_STATUSES = { status: { $in: ["pending", "in_progress"] } };
+
+const SUBTASK_COMPLETION_MODES = ["complete", "leave"];
+
+// Subtasks are one level deep: a subtask has no subtasks of its own
+const findParentTask = async (taskId, userId) => {
+  const parent = await Task.findOne({ _id: taskId, user: userId });
+
+  if (!parent) {
+    throw new AppError("Task not found", 404);
+  }
+  if (parent.parentTask) {
+    throw new AppError("A subtask cannot have subtasks of its own", 400);
+  }
+
+  return parent;
+};
+
+// Trashed tasks; queries must name `deletedAt` to see them
+const IN_TRASH = { deletedAt: { $ne: null } };
+
+// Move tasks and their subtasks to the trash. A subtask deleted along with
+// its parent records it in `deletedWith`, so it is restored and purged with
+// the parent and stays out of the trash listing.
+const moveToTrash = async (
+  taskIds,
+  userId,
+  { at = new Date(), session = null } = {}
+) => {
+  const owned = { user: userId };
+
+  await Task.pauseTimers(
+    {
+      ...owned,
+      $or: [{ _id: { $in: taskIds } }, { parentTask: { $in: taskIds } }],
+    },
+    at,
+    { session }
+  );
+  const subtasks = await Task.updateMany(
+    { ...owned, parentTask: { $in: taskIds } },
+    [{ $set: { deletedAt: at, deletedWith: "$parentTask" } }],
+    { session }
+  );
+  const tasks = await Task.updateMany(
+    { ...owned, _id: { $in: taskIds } },
+    { $set: { deletedAt: at } },
+    { session }
+  );
+
+  // A deleted subtask leaves its parent's list; parents in the trash keep
+  // theirs for when they are restored
+  await Task.updateMany(
+    { ...owned, subtasks: { $in: taskIds } },
+    { $pull: { subtasks: { $in: taskIds } } },
+    { session }
+  );
+
+  return {
+    deletedCount: tasks.modifiedCount,
+    deletedSubtasks: subtasks.modifiedCount,
+  };
+};
+
+// Complete a task, with its subtasks when `subtasks` is "complete". Open
+// subtasks need that decision; "leave" completes only the parent. Queries
+// run in `session` when given, and the task must have been read in it.
+const completeWithSubtasks = async (task, subtasks, session = null) => {
+  if (task.status === "completed") {
+    throw new AppError("Task is already completed", 400);
+  }
+
+  const openSubtasks = { ...OPEN_STATUSES, parentTask: task._id };
+  const openCount = await Task.countDocuments(openSubtasks).session(session);
+  if (openCount > 0 && !subtasks) {
+    throw new AppError(
+      `Task has ${openCount} open subtask${
+        openCount === 1 ? "" : "s"
+      }; pass subtasks=complete or subtasks=leave`,
+      409
+    );
+  }
+  const now = new Date();
+  if (openCount > 0 && subtasks === "complete") {
+    await Task.stopTimers(openSubtasks, now, { session });
+    await Task.updateMany(
+      openSubtasks,
+      { $set: { status: "completed", completedAt: now } },
+      { session }
+    );
+  }
+
+  // Time tracked on the task becomes its actual time
+  if (task.timeSessions.length > 0) {
+    await Task.stopTimers({ _id: task._id }, now, { session });
+    const { timeSessions, actualTime } = await Task.findById(task._id).session(
+      session
+    );
+    task.set({ timeSessions, actualTime });
+  }
+
+  return task.markComplete();
+};
 
 // @desc    Get today's tasks
 // @route   GET /api/tasks/today
 // @access  Private
 const getTodayTasks = asyncHandler(async (req, res) => {
-  const tasks = await Task.getTodayTasks(req.user._id);
+  const timezone = getUserTimezone(req.user);
+  const tasks = await Task.getTodayTasks(req.user._id, timezone);
 
   logger.info("Today's tasks retrieved", {
     userId: req.user._id,
@@ -18,7 +144,7 @@ const getTodayTasks = asyncHandler(async (req, res) => {
     data: {
       tasks,
       count: tasks.length,
-      date: new Date().toISOString().split("T")[0],
+      date: getDayKey(new Date(), timezone),
     },
   });
 });
@@ -36,12 +162,17 @@ const getTasks = asyncHandler(async (req, res) => {
     priority,
     tags,
     search,
+    from,
+    to,
   } = req.query;
 
   // Build query
   const query = { user: req.user._id };
 
-  if (status) {
+  // "open" covers tasks that are pending or have a timer started
+  if (status === "open") {
+    Object.assign(query, OPEN_STATUSES);
+  } else if (status) {
     query.status = status;
   }
 
@@ -55,12 +186,20 @@ const getTasks = asyncHandler(async (req, res) => {
   }
 
   if (search) {
+    const pattern = escapeRegex(search);
     query.$or = [
-      { title: { $regex: search, $options: "i" } },
-      { description: { $regex: search, $options: "i" } },
+      { title: { $regex: pattern, $options: "i" } },
+      { description: { $regex: pattern, $options: "i" } },
     ];
   }
 
+  if (from || to) {
+    const timezone = getUserTimezone(req.user);
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = startOfDay(from, timezone);
+    if (to) query.createdAt.$lte = getDayRange(to, timezone).end;
+  }
+
   // Build sort object
   const sort = {};
   sort[sortBy] = sortOrder === "desc" ? -1 : 1;
@@ -114,7 +253,9 @@ const getTask = asyncHandler(async (req, res) => {
   const task = await Task.findOne({
     _id: req.params.id,
     user: req.user._id,
-  }).populate("subtasks", "title status priority dueDate");
+  })
+    .populate("subtasks", "title status priority dueDate")
+    .populate("instances", "status occurrenceDate");
 
   if (!task) {
     throw new AppError("Task not found", 404);
@@ -126,6 +267,28 @@ const getTask = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get a task's change history (audit trail), newest first
+// @route   GET /api/tasks/:id/history
+// @access  Private
+const getTaskAuditTrail = asyncHandler(async (req, res) => {
+  const task = await Task.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+  }).select("history");
+
+  if (!task) {
+    throw new AppError("Task not found", 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      taskId: task._id,
+      history: [...task.history].sort((a, b) => b.timestamp - a.timestamp),
+    },
+  });
+});
+
 // @desc    Create new task
 // @route   POST /api/tasks
 // @access  Private
@@ -135,6 +298,11 @@ const createTask = asyncHandler(async (req, res) => {
     user: req.user._id,
   };
 
+  // A recurring task is the first occurrence of its series
+  if (taskData.isRecurring) {
+    taskData.occurrenceDate = getDayKey(new Date(), getUserTimezone(req.user));
+  }
+
   const task = await Task.create(taskData);
 
   logger.info("Task created successfully", {
@@ -196,12 +364,14 @@ const completeTask = asyncHandler(async (req, res) => {
     throw new AppError("Task not found", 404);
   }
 
-  if (task.status === "completed") {
-    throw new AppError("Task is already completed", 400);
+  // ?subtasks=complete finishes open subtasks too, ?subtasks=leave
+  // completes only the parent
+  const { subtasks } = req.query;
+  if (subtasks !== undefined && !SUBTASK_COMPLETION_MODES.includes(subtasks)) {
+    throw new AppError("Subtasks must be one of: complete, leave", 400);
   }
 
-  // Mark as complete
-  await task.markComplete();
+  await completeWithSubtasks(task, subtasks);
 
   logger.info("Task marked as complete", {
     userId: req.user._id,
@@ -249,28 +419,173 @@ const restoreTask = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Delete task
+// @desc    Move a task to the trash, along with its subtasks
 // @route   DELETE /api/tasks/:id
 // @access  Private
 const deleteTask = asyncHandler(async (req, res) => {
-  const task = await Task.findOneAndDelete({
-    _id: req.params.id,
-    user: req.user._id,
-  });
+  const task = await Task.findOne({ _id: req.params.id, user: req.user._id });
 
   if (!task) {
     throw new AppError("Task not found", 404);
   }
 
-  logger.info("Task deleted successfully", {
+  const { deletedSubtasks } = await moveToTrash([task._id], req.user._id);
+
+  logger.info("Task moved to trash", {
     userId: req.user._id,
     taskId: task._id,
     taskTitle: task.title,
+    deletedSubtasks,
   });
 
   res.status(200).json({
     success: true,
-    message: "Task deleted successfully",
+    message: "Task moved to trash",
+  });
+});
+
+// @desc    Create a subtask
+// @route   POST /api/tasks/:id/subtasks
+// @access  Private
+const addSubtask = asyncHandler(async (req, res) => {
+  const parent = await findParentTask(req.params.id, req.user._id);
+
+  const subtask = await Task.create({
+    ...req.body,
+    user: req.user._id,
+    parentTask: parent._id,
+    plannedDate: parent.plannedDate,
+  });
+  await Task.updateOne(
+    { _id: parent._id },
+    { $push: { subtasks: subtask._id } }
+  );
+
+  logger.info("Subtask created successfully", {
+    userId: req.user._id,
+    taskId: parent._id,
+    subtaskId: subtask._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Subtask created successfully",
+    data: { task: subtask },
+  });
+});
+
+// @desc    Make an existing task a subtask, moving it from any other parent
+// @route   PUT /api/tasks/:id/subtasks/:subtaskId
+// @access  Private
+const attachSubtask = asyncHandler(async (req, res) => {
+  const parent = await findParentTask(req.params.id, req.user._id);
+
+  if (parent._id.equals(req.params.subtaskId)) {
+    throw new AppError("A task cannot be its own subtask", 400);
+  }
+
+  const subtask = await Task.findOne({
+    _id: req.params.subtaskId,
+    user: req.user._id,
+  });
+
+  if (!subtask) {
+    throw new AppError("Subtask not found", 404);
+  }
+  if (subtask.subtasks.length > 0) {
+    throw new AppError("A task with subtasks cannot become a subtask", 400);
+  }
+
+  if (subtask.parentTask && !subtask.parentTask.equals(parent._id)) {
+    await Task.updateOne(
+      { _id: subtask.parentTask },
+      { $pull: { subtasks: subtask._id } }
+    );
+  }
+  const attached = await Task.findByIdAndUpdate(
+    subtask._id,
+    { $set: { parentTask: parent._id } },
+    { new: true }
+  );
+  await Task.updateOne(
+    { _id: parent._id },
+    { $addToSet: { subtasks: subtask._id } }
+  );
+
+  logger.info("Subtask attached", {
+    userId: req.user._id,
+    taskId: parent._id,
+    subtaskId: subtask._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Subtask attached successfully",
+    data: { task: attached },
+  });
+});
+
+// @desc    Detach a subtask, leaving it as a task of its own
+// @route   DELETE /api/tasks/:id/subtasks/:subtaskId
+// @access  Private
+const detachSubtask = asyncHandler(async (req, res) => {
+  const subtask = await Task.findOneAndUpdate(
+    {
+      _id: req.params.subtaskId,
+      user: req.user._id,
+      parentTask: req.params.id,
+    },
+    { $unset: { parentTask: 1 } },
+    { new: true }
+  );
+
+  if (!subtask) {
+    throw new AppError("Subtask not found", 404);
+  }
+
+  await Task.updateOne(
+    { _id: req.params.id, user: req.user._id },
+    { $pull: { subtasks: subtask._id } }
+  );
+
+  logger.info("Subtask detached", {
+    userId: req.user._id,
+    taskId: req.params.id,
+    subtaskId: subtask._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Subtask detached successfully",
+    data: { task: subtask },
+  });
+});
+
+// @desc    Set the order of a task's subtasks
+// @route   PATCH /api/tasks/:id/subtasks/order
+// @access  Private
+const reorderSubtasks = asyncHandler(async (req, res) => {
+  const { taskIds } = req.body;
+  const parent = await findParentTask(req.params.id, req.user._id);
+
+  const current = parent.subtasks.map((id) => id.toString());
+  if (
+    taskIds.length !== current.length ||
+    !taskIds.every((id) => current.includes(id))
+  ) {
+    throw new AppError("Task IDs must list each subtask exactly once", 400);
+  }
+
+  const task = await Task.findByIdAndUpdate(
+    parent._id,
+    { $set: { subtasks: taskIds } },
+    { new: true, timestamps: false }
+  ).populate("subtasks", "title status priority dueDate");
+
+  res.status(200).json({
+    success: true,
+    message: "Subtasks reordered successfully",
+    data: { task },
   });
 });
 
@@ -279,12 +594,17 @@ const deleteTask = asyncHandler(async (req, res) => {
 // @access  Private
 const getTaskHistory = asyncHandler(async (req, res) => {
   const { days = 30 } = req.query;
+  const timezone = getUserTimezone(req.user);
 
-  const tasks = await Task.getTaskHistory(req.user._id, parseInt(days));
+  const tasks = await Task.getTaskHistory(
+    req.user._id,
+    parseInt(days),
+    timezone
+  );
 
-  // Group tasks by date
+  // Group tasks by the user's local date
   const groupedTasks = tasks.reduce((acc, task) => {
-    const date = task.createdAt.toISOString().split("T")[0];
+    const date = task.plannedDate || getDayKey(task.createdAt, timezone);
     if (!acc[date]) {
       acc[date] = [];
     }
@@ -323,29 +643,28 @@ const getTaskHistory = asyncHandler(async (req, res) => {
   });
 });
 
+// Mean actualTime (minutes) of completed tasks that had time tracked
+const getAverageActualTime = (tasks) => {
+  const timed = tasks.filter(
+    (task) => task.status === "completed" && task.actualTime > 0
+  );
+  if (timed.length === 0) return 0;
+
+  const total = timed.reduce((sum, task) => sum + task.actualTime, 0);
+  return Math.round(total / timed.length);
+};
+
 // @desc    Get task statistics
 // @route   GET /api/tasks/stats
 // @access  Private
 const getTaskStats = asyncHandler(async (req, res) => {
   const { period = "week" } = req.query;
 
-  let startDate;
+  const timezone = getUserTimezone(req.user);
+  const today = getDayKey(new Date(), timezone);
+  const startDate = startOfDay(getPeriodStart(period, today), timezone);
   const now = new Date();
 
-  switch (period) {
-    case "week":
-      startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-      break;
-    case "month":
-      startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-      break;
-    case "year":
-      startDate = new Date(now.getFullYear(), 0, 1);
-      break;
-    default:
-      startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-  }
-
   // Get tasks in period
   const tasks = await Task.find({
     user: req.user._id,
@@ -373,7 +692,7 @@ const getTaskStats = asyncHandler(async (req, res) => {
               100
           )
         : 0,
-    averageCompletionTime: 0, // Would need to calculate based on actual time tracking
+    averageCompletionTime: getAverageActualTime(tasks),
     period,
     startDate,
     endDate: now,
@@ -391,39 +710,100 @@ const getTaskStats = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Bulk update tasks
-// @route   PATCH /api/tasks/bulk
+// Days of completed tasks shown in the activity heatmap
+const ACTIVITY_DAYS = 365;
+
+// @desc    Get completed task counts per day and the completion streak
+// @route   GET /api/tasks/activity
 // @access  Private
-const bulkUpdateTasks = asyncHandler(async (req, res) => {
-  const { taskIds, updates } = req.body;
+const getTaskActivity = asyncHandler(async (req, res) => {
+  const timezone = getUserTimezone(req.user);
+  const endDay = getDayKey(new Date(), timezone);
+  const startDay = addDays(endDay, -(ACTIVITY_DAYS - 1));
 
-  if (!taskIds || !Array.isArray(taskIds) || taskIds.length === 0) {
-    throw new AppError("Task IDs are required", 400);
+  const counts = await Task.aggregate([
+    {
+      $match: {
+        user: req.user._id,
+        status: "completed",
+        completedAt: { $gte: startOfDay(startDay, timezone) },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          $dateToString: {
+            format: "%Y-%m-%d",
+            date: "$completedAt",
+            timezone,
+          },
+        },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const days = {};
+  counts.forEach(({ _id, count }) => {
+    days[_id] = count;
+  });
+
+  // A streak still counts if today has nothing completed yet
+  let currentStreak = 0;
+  let day = days[endDay] ? endDay : addDays(endDay, -1);
+  while (days[day]) {
+    currentStreak++;
+    day = addDays(day, -1);
   }
 
-  if (!updates || Object.keys(updates).length === 0) {
-    throw new AppError("Updates are required", 400);
+  let longestStreak = 0;
+  let run = 0;
+  for (day = startDay; day <= endDay; day = addDays(day, 1)) {
+    run = days[day] ? run + 1 : 0;
+    longestStreak = Math.max(longestStreak, run);
   }
 
-  // Update tasks
-  const result = await Task.updateMany(
-    {
-      _id: { $in: taskIds },
-      user: req.user._id,
+  res.status(200).json({
+    success: true,
+    data: {
+      activity: {
+        days,
+        startDate: startDay,
+        endDate: endDay,
+        currentStreak,
+        longestStreak,
+      },
     },
-    updates
+  });
+});
+
+// @desc    Set the manual order of tasks
+// @route   PATCH /api/tasks/reorder
+// @access  Private
+const reorderTasks = asyncHandler(async (req, res) => {
+  const { taskIds } = req.body;
+
+  // Position is layout, not content, so it doesn't bump updatedAt (which the
+  // clients use to resolve edit conflicts)
+  const result = await Task.bulkWrite(
+    taskIds.map((taskId, position) => ({
+      updateOne: {
+        filter: { _id: taskId, user: req.user._id },
+        update: { $set: { position } },
+        timestamps: false,
+      },
+    }))
   );
 
-  logger.info("Bulk task update completed", {
+  logger.info("Tasks reordered", {
     userId: req.user._id,
     taskCount: taskIds.length,
     matchedCount: result.matchedCount,
-    modifiedCount: result.modifiedCount,
   });
 
   res.status(200).json({
     success: true,
-    message: "Tasks updated successfully",
+    message: "Tasks reordered successfully",
     data: {
       matchedCount: result.matchedCount,
       modifiedCount: result.modifiedCount,
@@ -431,7 +811,647 @@ const bulkUpdateTasks = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Bulk delete tasks
+// @desc    Move unfinished tasks to today, drop them or reschedule them
+// @route   PATCH /api/tasks/rollover
+// @access  Private
+const rolloverTasks = asyncHandler(async (req, res) => {
+  const { decisions } = req.body;
+  const today = getDayKey(new Date(), getUserTimezone(req.user));
+
+  if (decisions.some(({ date }) => date && date < today)) {
+    throw new AppError("Tasks cannot be rescheduled into the past", 400);
+  }
+
+  // Completed tasks are left alone; missing ones are skipped
+  const tasks = await Promise.all(
+    decisions.map(({ taskId, action, date }) =>
+      Task.findOneAndUpdate(
+        { _id: taskId, user: req.user._id, status: { $ne: "completed" } },
+        action === "drop"
+          ? { $set: { status: "cancelled" } }
+          : {
+              $set: { plannedDate: action === "today" ? today : date },
+              $inc: { rolloverCount: 1 },
+            },
+        { new: true, runValidators: true }
+      )
+    )
+  );
+  const updatedTasks = tasks.filter(Boolean);
+
+  logger.info("Tasks rolled over", {
+    userId: req.user._id,
+    taskCount: decisions.length,
+    updatedCount: updatedTasks.length,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Tasks rolled over successfully",
+    data: {
+      tasks: updatedTasks,
+      count: updatedTasks.length,
+    },
+  });
+});
+
+// Timer actions may be replayed from an offline client, so they can carry
+// the time they happened at. It is clamped between the start of the running
+// session (if any) and now.
+const getTimerTime = (req, task) => {
+  const now = new Date();
+  const at = req.body.at && req.body.at < now ? req.body.at : now;
+  const running = task?.timeSessions.find((session) => !session.endedAt);
+  return running && at < running.startedAt ? running.startedAt : at;
+};
+
+// How far back an offline client may date a timer start
+const TIMER_START_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// A start is also clamped so sessions never overlap: it can't come before
+// the task's last session ended or the timer it pauses was started
+const getTimerStartTime = (req, task, runningTask) => {
+  const at = getTimerTime(req, task);
+  if (Date.now() - at > TIMER_START_WINDOW_MS) {
+    throw new AppError("Timer starts can be at most a day in the past", 400);
+  }
+
+  const earliest = [
+    ...task.timeSessions.map((session) => session.endedAt),
+    runningTask?.timeSessions.find((session) => !session.endedAt)?.startedAt,
+  ].filter(Boolean);
+  return new Date(Math.max(at, ...earliest));
+};
+
+// @desc    Get the task whose timer is running, if any
+// @route   GET /api/tasks/timer
+// @access  Private
+const getRunningTimer = asyncHandler(async (req, res) => {
+  const task = await Task.findOne({
+    user: req.user._id,
+    timeSessions: { $elemMatch: { endedAt: null } },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { task },
+  });
+});
+
+// @desc    Start (or resume) a task's timer, pausing any other running one
+// @route   PATCH /api/tasks/:id/timer/start
+// @access  Private
+const startTimer = asyncHandler(async (req, res) => {
+  const task = await Task.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!task) {
+    throw new AppError("Task not found", 404);
+  }
+  if (!OPEN_STATUSES.status.$in.includes(task.status)) {
+    throw new AppError("Only open tasks can be timed", 400);
+  }
+  if (task.isTimerRunning) {
+    throw new AppError("Timer is already running", 400);
+  }
+
+  const runningTask = await Task.findOne({
+    user: req.user._id,
+    timeSessions: { $elemMatch: { endedAt: null } },
+  });
+  const at = getTimerStartTime(req, task, runningTask);
+
+  // One running timer per user
+  const { modifiedCount: pausedCount } = await Task.pauseTimers(
+    { user: req.user._id },
+    at
+  );
+
+  const startedTask = await Task.findOneAndUpdate(
+    { _id: task._id, user: req.user._id },
+    {
+      $push: { timeSessions: { startedAt: at } },
+      $set: { status: "in_progress" },
+    },
+    { new: true }
+  );
+
+  logger.info("Task timer started", {
+    userId: req.user._id,
+    taskId: task._id,
+    pausedCount,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Timer started",
+    data: { task: startedTask },
+  });
+});
+
+// @desc    Pause a task's timer
+// @route   PATCH /api/tasks/:id/timer/pause
+// @access  Private
+const pauseTimer = asyncHandler(async (req, res) => {
+  const task = await Task.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!task) {
+    throw new AppError("Task not found", 404);
+  }
+  if (!task.isTimerRunning) {
+    throw new AppError("Timer is not running", 400);
+  }
+
+  await Task.pauseTimers({ _id: task._id }, getTimerTime(req, task));
+  const pausedTask = await Task.findById(task._id);
+
+  logger.info("Task timer paused", {
+    userId: req.user._id,
+    taskId: task._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Timer paused",
+    data: { task: pausedTask },
+  });
+});
+
+// @desc    Stop a task's timer and record the tracked time as actualTime
+// @route   PATCH /api/tasks/:id/timer/stop
+// @access  Private
+const stopTimer = asyncHandler(async (req, res) => {
+  const task = await Task.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!task) {
+    throw new AppError("Task not found", 404);
+  }
+  if (task.timeSessions.length === 0) {
+    throw new AppError("No time has been tracked on this task", 400);
+  }
+
+  await Task.stopTimers({ _id: task._id }, getTimerTime(req, task));
+  const stoppedTask = await Task.findById(task._id);
+
+  logger.info("Task timer stopped", {
+    userId: req.user._id,
+    taskId: task._id,
+    actualTime: stoppedTask.actualTime,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Timer stopped",
+    data: { task: stoppedTask },
+  });
+});
+
+// @desc    Skip one occurrence of a recurring task
+// @route   PATCH /api/tasks/:id/skip
+// @access  Private
+const skipOccurrence = asyncHandler(async (req, res) => {
+  const timezone = getUserTimezone(req.user);
+  const task = await Task.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!task) {
+    throw new AppError("Task not found", 404);
+  }
+
+  // :id may be the recurring task or one of its occurrences
+  const template = task.recurringTemplate
+    ? await Task.findOne({ _id: task.recurringTemplate, user: req.user._id })
+    : task;
+
+  if (!template || !template.isRecurring) {
+    throw new AppError("Task is not recurring", 400);
+  }
+
+  const anchorDay = getAnchorDay(template, timezone);
+  const date = req.body.date || task.occurrenceDate || anchorDay;
+
+  if (
+    !(template.recurring.skippedDates || []).includes(date) &&
+    !occursOn(template, date, timezone)
+  ) {
+    throw new AppError(`Task does not recur on ${date}`, 400);
+  }
+
+  // An occurrence that was already generated is cancelled, unless done
+  const occurrenceQuery =
+    date === anchorDay
+      ? { _id: template._id }
+      : { recurringTemplate: template._id, occurrenceDate: date };
+  const occurrence = await Task.findOne({
+    ...occurrenceQuery,
+    user: req.user._id,
+  });
+
+  if (occurrence?.status === "completed") {
+    throw new AppError("That occurrence is already completed", 400);
+  }
+
+  await Task.updateOne(
+    { _id: template._id },
+    { $addToSet: { "recurring.skippedDates": date } }
+  );
+  const skippedTask = occurrence
+    ? await Task.findByIdAndUpdate(
+        occurrence._id,
+        { $set: { status: "cancelled" } },
+        { new: true }
+      )
+    : null;
+
+  logger.info("Recurring task occurrence skipped", {
+    userId: req.user._id,
+    taskId: template._id,
+    occurrenceDate: date,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Occurrence skipped successfully",
+    data: {
+      date,
+      task: skippedTask,
+    },
+  });
+});
+
+// Most tasks one import can hold
+const MAX_IMPORT_ROWS = 1000;
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+// Imported tasks count as duplicates of tasks with the same title, day and
+// due date
+const getDuplicateKey = (task, timezone) =>
+  [
+    task.title,
+    task.plannedDate || getDayKey(task.createdAt || new Date(), timezone),
+    task.dueDate ? new Date(task.dueDate).getTime() : "",
+  ].join("|");
+
+// Imported tasks keep their dates, including past due dates, which a new
+// task couldn't be created with
+const createImportedTask = async (fields, userId, timezone) => {
+  const task = new Task({
+    ...fields,
+    createdAt: fields.createdAt || new Date(),
+    user: userId,
+  });
+  if (task.isRecurring) task.occurrenceDate = getAnchorDay(task, timezone);
+
+  await task.validate({ pathsToSkip: ["dueDate", "recurring.endDate"] });
+  return task.save({ validateBeforeSave: false });
+};
+
+// @desc    Export all tasks as JSON, CSV or iCalendar (VTODO)
+// @route   GET /api/tasks/export?format=json|csv|ics
+// @access  Private
+const exportTasks = asyncHandler(async (req, res) => {
+  const format = req.query.format || "json";
+  const timezone = getUserTimezone(req.user);
+  const { contentType, extension } = EXPORT_FORMATS[format];
+
+  const tasks = await Task.find({ user: req.user._id }).sort({ createdAt: 1 });
+
+  logger.info("Tasks exported", {
+    userId: req.user._id,
+    format,
+    taskCount: tasks.length,
+  });
+
+  res
+    .status(200)
+    .attachment(`tasks-${getDayKey(new Date(), timezone)}.${extension}`)
+    .type(contentType)
+    .send(serializeTasks(tasks, format, { timezone, name: "Daily Todo" }));
+});
+
+// @desc    Import tasks from JSON, CSV or iCalendar. Each row is validated
+//          like a new task; `dryRun` reports what would happen without
+//          saving anything.
+// @route   POST /api/tasks/import
+// @access  Private
+const importTasks = asyncHandler(async (req, res) => {
+  const { format, data, dryRun, skipDuplicates } = req.body;
+  const timezone = getUserTimezone(req.user);
+
+  let rows;
+  try {
+    rows = parseImport(format, data, timezone);
+  } catch (error) {
+    throw new AppError(
+      `Could not read the ${format} data: ${error.message}`,
+      400
+    );
+  }
+
+  if (rows.length === 0) {
+    throw new AppError("No tasks found to import", 400);
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new AppError(
+      `Cannot import more than ${MAX_IMPORT_ROWS} tasks at once`,
+      400
+    );
+  }
+
+  const validated = rows.map((row) => {
+    if (!row || typeof row !== "object" || Array.isArray(row)) {
+      return { errors: [{ field: "", message: "Task must be an object" }] };
+    }
+
+    const { error, value } = schemas.importTaskRow.validate(row, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+    return error
+      ? {
+          errors: error.details.map((detail) => ({
+            field: detail.path.join("."),
+            message: detail.message,
+          })),
+        }
+      : { task: value };
+  });
+
+  // Existing tasks this import may duplicate: by the id an export carries,
+  // or by title, day and due date
+  const validTasks = validated
+    .filter(({ task }) => task)
+    .map(({ task }) => task);
+  const exportedIds = validTasks
+    .map((task) => String(task.id))
+    .filter((id) => OBJECT_ID_PATTERN.test(id));
+  const [existingById, existingByTitle] = await Promise.all([
+    Task.find({ user: req.user._id, _id: { $in: exportedIds } }).select("_id"),
+    Task.find({
+      user: req.user._id,
+      title: { $in: validTasks.map((task) => task.title) },
+    }).select("title plannedDate createdAt dueDate"),
+  ]);
+  const existingIds = new Set(existingById.map((task) => task._id.toString()));
+  const existingKeys = new Map(
+    existingByTitle.map((task) => [
+      getDuplicateKey(task, timezone),
+      task._id.toString(),
+    ])
+  );
+  const rowsByKey = new Map();
+
+  const results = [];
+  // Exported ids of imported (or already existing) tasks to their task ids,
+  // for rebuilding subtasks
+  const taskIds = new Map();
+  const subtaskLinks = [];
+
+  for (const [index, { task, errors }] of validated.entries()) {
+    const result = { row: index + 1, title: task?.title ?? rows[index]?.title };
+
+    if (errors) {
+      results.push({ ...result, status: "invalid", errors });
+      continue;
+    }
+
+    const { id, parentId, ...fields } = task;
+    const exportedId = id !== undefined ? String(id) : undefined;
+    const key = getDuplicateKey(task, timezone);
+
+    let duplicateOf = null;
+    if (existingIds.has(exportedId)) {
+      duplicateOf = { taskId: exportedId };
+    } else if (existingKeys.has(key)) {
+      duplicateOf = { taskId: existingKeys.get(key) };
+    } else if (rowsByKey.has(key)) {
+      duplicateOf = { row: rowsByKey.get(key) };
+    } else {
+      rowsByKey.set(key, index + 1);
+    }
+
+    if (duplicateOf && skipDuplicates) {
+      if (exportedId && duplicateOf.taskId) {
+        taskIds.set(exportedId, duplicateOf.taskId);
+      }
+      results.push({ ...result, status: "duplicate", duplicateOf });
+      continue;
+    }
+
+    if (dryRun) {
+      results.push({ ...result, status: "valid", duplicateOf });
+      continue;
+    }
+
+    try {
+      const created = await createImportedTask(fields, req.user._id, timezone);
+      if (exportedId) taskIds.set(exportedId, created._id);
+      if (parentId !== undefined) {
+        subtaskLinks.push({ taskId: created._id, parentId: String(parentId) });
+      }
+      results.push({ ...result, status: "created", taskId: created._id });
+    } catch (error) {
+      if (error.name !== "ValidationError") throw error;
+      results.push({
+        ...result,
+        status: "invalid",
+        errors: Object.values(error.errors).map((fieldError) => ({
+          field: fieldError.path,
+          message: fieldError.message,
+        })),
+      });
+    }
+  }
+
+  // Subtasks go back under their parent when it was imported too (or
+  // already existed); the rest stay top-level tasks
+  for (const { taskId, parentId } of subtaskLinks) {
+    const parent = taskIds.get(parentId);
+    if (!parent) continue;
+
+    const linked = await Task.updateOne(
+      { _id: parent, user: req.user._id, parentTask: null },
+      { $addToSet: { subtasks: taskId } }
+    );
+    if (linked.matchedCount > 0) {
+      await Task.updateOne({ _id: taskId }, { $set: { parentTask: parent } });
+    }
+  }
+
+  const count = (status) =>
+    results.filter((result) => result.status === status).length;
+  const summary = {
+    total: rows.length,
+    created: count("created"),
+    valid: count("valid"),
+    duplicates: count("duplicate"),
+    invalid: count("invalid"),
+  };
+
+  logger.info(dryRun ? "Task import checked" : "Tasks imported", {
+    userId: req.user._id,
+    format,
+    ...summary,
+  });
+
+  res.status(dryRun ? 200 : 201).json({
+    success: true,
+    message: dryRun
+      ? "Import checked successfully"
+      : "Tasks imported successfully",
+    data: {
+      dryRun,
+      summary,
+      results,
+    },
+  });
+});
+
+// Most tags a task can have
+const MAX_TAGS = 10;
+
+// What each batch action does to a task read in the operation's
+// transaction. Each resolves to what the result carries, or throws an
+// AppError to fail the operation.
+const BATCH_ACTIONS = {
+  complete: async (task, { subtasks }, { session }) => ({
+    task: await completeWithSubtasks(task, subtasks, session),
+  }),
+
+  restore: async (task) => {
+    if (task.status !== "completed") {
+      throw new AppError("Task is not completed", 400);
+    }
+    return { task: await task.restore() };
+  },
+
+  update: async (task, { fields }) => {
+    task.set(fields);
+    return { task: await task.save() };
+  },
+
+  retag: async (task, { addTags = [], removeTags = [] }) => {
+    const removed = new Set(removeTags);
+    const tags = [
+      ...new Set([...task.tags.filter((tag) => !removed.has(tag)), ...addTags]),
+    ];
+    if (tags.length > MAX_TAGS) {
+      throw new AppError(`Cannot have more than ${MAX_TAGS} tags`, 400);
+    }
+
+    task.tags = tags;
+    return { task: await task.save() };
+  },
+
+  reschedule: async (task, { plannedDate, dueDate }, { today }) => {
+    if (plannedDate && plannedDate < today) {
+      throw new AppError("Tasks cannot be rescheduled into the past", 400);
+    }
+
+    if (plannedDate !== undefined) task.plannedDate = plannedDate;
+    if (dueDate !== undefined) task.dueDate = dueDate;
+    return { task: await task.save() };
+  },
+
+  delete: async (task, operation, { session }) => {
+    const { deletedSubtasks } = await moveToTrash([task._id], task.user, {
+      session,
+    });
+    return { deletedSubtasks };
+  },
+};
+
+const getErrorDetails = (error) =>
+  error.name === "ValidationError"
+    ? Object.values(error.errors).map((fieldError) => ({
+        field: fieldError.path,
+        message: fieldError.message,
+      }))
+    : [{ field: "", message: error.message }];
+
+// @desc    Run a batch of operations (complete, restore, update, retag,
+//          reschedule, delete) on tasks. Each is validated on its own and
+//          runs in its own transaction, in order; one failing doesn't stop
+//          the rest.
+// @route   POST /api/tasks/batch
+// @access  Private
+const batchTasks = asyncHandler(async (req, res) => {
+  const { operations } = req.body;
+  const today = getDayKey(new Date(), getUserTimezone(req.user));
+
+  const results = [];
+  for (const [index, operation] of operations.entries()) {
+    const result = {
+      operation: index + 1,
+      taskId: operation.taskId,
+      action: operation.action,
+    };
+
+    const { error, value } = schemas.batchOperation.validate(operation, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+    if (error) {
+      results.push({
+        ...result,
+        status: "invalid",
+        errors: error.details.map((detail) => ({
+          field: detail.path.join("."),
+          message: detail.message,
+        })),
+      });
+      continue;
+    }
+
+    try {
+      const outcome = await withTransaction(async (session) => {
+        const task = await Task.findOne({
+          _id: value.taskId,
+          user: req.user._id,
+        }).session(session);
+        if (!task) {
+          throw new AppError("Task not found", 404);
+        }
+
+        return BATCH_ACTIONS[value.action](task, value, { session, today });
+      });
+      results.push({ ...result, status: "done", ...outcome });
+    } catch (error) {
+      if (!(error instanceof AppError) && error.name !== "ValidationError") {
+        throw error;
+      }
+      results.push({
+        ...result,
+        status: "failed",
+        errors: getErrorDetails(error),
+      });
+    }
+  }
+
+  const count = (status) =>
+    results.filter((result) => result.status === status).length;
+  const summary = {
+    total: operations.length,
+    done: count("done"),
+    failed: count("failed"),
+    invalid: count("invalid"),
+  };
+
+  logger.info("Task batch completed", {
+    userId: req.user._id,
+    ...summary,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Batch processed",
+    data: {
+      summary,
+      results,
+    },
+  });
+});
+
+// @desc    Bulk move tasks to the trash, along with their subtasks
 // @route   DELETE /api/tasks/bulk
 // @access  Private
 const bulkDeleteTasks = asyncHandler(async (req, res) => {
@@ -441,38 +1461,187 @@ const bulkDeleteTasks = asyncHandler(async (req, res) => {
     throw new AppError("Task IDs are required", 400);
   }
 
-  // Delete tasks
-  const result = await Task.deleteMany({
-    _id: { $in: taskIds },
-    user: req.user._id,
-  });
+  const { deletedCount, deletedSubtasks } = await moveToTrash(
+    taskIds,
+    req.user._id
+  );
 
   logger.info("Bulk task deletion completed", {
     userId: req.user._id,
     taskCount: taskIds.length,
-    deletedCount: result.deletedCount,
+    deletedCount,
+    deletedSubtasks,
   });
 
   res.status(200).json({
     success: true,
-    message: "Tasks deleted successfully",
+    message: "Tasks moved to trash",
     data: {
-      deletedCount: result.deletedCount,
+      deletedCount: deletedCount + deletedSubtasks,
     },
   });
 });
 
+// @desc    List the tasks in the trash, most recently deleted first.
+//          Subtasks deleted along with their parent are left out.
+// @route   GET /api/tasks/trash
+// @access  Private
+const getTrash = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const query = { user: req.user._id, ...IN_TRASH, deletedWith: null };
+
+  const tasks = await Task.find(query)
+    .sort({ deletedAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit));
+  const total = await Task.countDocuments(query);
+  const totalPages = Math.ceil(total / limit);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      tasks,
+      retentionDays: getTrashRetentionDays(),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    },
+  });
+});
+
+// @desc    Restore a task from the trash, with the subtasks deleted along
+//          with it. A subtask whose parent is gone comes back on its own.
+// @route   PATCH /api/tasks/trash/:id/restore
+// @access  Private
+const restoreFromTrash = asyncHandler(async (req, res) => {
+  const task = await Task.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+    ...IN_TRASH,
+  });
+
+  if (!task) {
+    throw new AppError("Task not found in trash", 404);
+  }
+
+  const { modifiedCount } = await Task.updateMany(
+    {
+      user: req.user._id,
+      ...IN_TRASH,
+      $or: [{ _id: task._id }, { deletedWith: task._id }],
+    },
+    { $unset: { deletedAt: 1, deletedWith: 1 } }
+  );
+
+  if (task.parentTask) {
+    const { matchedCount } = await Task.updateOne(
+      { _id: task.parentTask, user: req.user._id },
+      { $addToSet: { subtasks: task._id } }
+    );
+    if (matchedCount === 0) {
+      await Task.updateOne({ _id: task._id }, { $unset: { parentTask: 1 } });
+    }
+  }
+
+  const restored = await Task.findById(task._id).populate(
+    "subtasks",
+    "title status priority dueDate"
+  );
+
+  logger.info("Task restored from trash", {
+    userId: req.user._id,
+    taskId: task._id,
+    restoredSubtasks: modifiedCount - 1,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Task restored",
+    data: { task: restored },
+  });
+});
+
+// @desc    Delete a task in the trash for good, with the subtasks deleted
+//          along with it
+// @route   DELETE /api/tasks/trash/:id
+// @access  Private
+const purgeTask = asyncHandler(async (req, res) => {
+  const { deletedCount } = await Task.deleteMany({
+    user: req.user._id,
+    ...IN_TRASH,
+    $or: [{ _id: req.params.id }, { deletedWith: req.params.id }],
+  });
+
+  if (deletedCount === 0) {
+    throw new AppError("Task not found in trash", 404);
+  }
+
+  logger.info("Task purged from trash", {
+    userId: req.user._id,
+    taskId: req.params.id,
+    deletedCount,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Task deleted permanently",
+    data: { deletedCount },
+  });
+});
+
+// @desc    Delete every task in the trash for good
+// @route   DELETE /api/tasks/trash
+// @access  Private
+const emptyTrash = asyncHandler(async (req, res) => {
+  const { deletedCount } = await Task.deleteMany({
+    user: req.user._id,
+    ...IN_TRASH,
+  });
+
+  logger.info("Trash emptied", { userId: req.user._id, deletedCount });
+
+  res.status(200).json({
+    success: true,
+    message: "Trash emptied",
+    data: { deletedCount },
+  });
+});
+
 module.exports = {
   getTodayTasks,
   getTasks,
   getTask,
+  getTaskAuditTrail,
   createTask,
   updateTask,
   completeTask,
   restoreTask,
   deleteTask,
+  addSubtask,
+  attachSubtask,
+  detachSubtask,
+  reorderSubtasks,
   getTaskHistory,
   getTaskStats,
-  bulkUpdateTasks,
+  getTaskActivity,
+  reorderTasks,
+  rolloverTasks,
+  skipOccurrence,
+  getRunningTimer,
+  startTimer,
+  pauseTimer,
+  stopTimer,
+  exportTasks,
+  importTasks,
+  batchTasks,
   bulkDeleteTasks,
+  getTrash,
+  restoreFromTrash,
+  purgeTask,
+  emptyTrash,
 };
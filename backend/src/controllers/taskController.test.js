@@ -0,0 +1,118 @@
+jest.mock("../utils/logger");
+
+const mongoose = require("mongoose");
+const Task = require("../models/Task");
+const { startTimer } = require("./taskController");
+
+const NOW = new Date("2026-10-19T12:00:00.000Z");
+const userId = new mongoose.Types.ObjectId();
+
+// Run a handler and resolve with the JSON it sent or the error it passed on
+const run = (handler, req) =>
+  new Promise((resolve) => {
+    const res = {
+      status: () => res,
+      json: (body) => resolve({ body }),
+    };
+    handler({ user: { _id: userId }, ...req }, res, (error) =>
+      resolve({ error })
+    );
+  });
+
+const buildTask = (timeSessions = []) =>
+  new Task({
+    user: userId,
+    title: "Write report",
+    status: "pending",
+    timeSessions,
+  });
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: NOW, doNotFake: ["nextTick", "setImmediate"] });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe("startTimer", () => {
+  // Mocks the queries startTimer makes and returns the pushed session
+  const mockStart = (task, runningTask = null) => {
+    jest
+      .spyOn(Task, "findOne")
+      .mockResolvedValueOnce(task)
+      .mockResolvedValueOnce(runningTask);
+    const pauseTimers = jest
+      .spyOn(Task, "pauseTimers")
+      .mockResolvedValue({ modifiedCount: runningTask ? 1 : 0 });
+    const findOneAndUpdate = jest
+      .spyOn(Task, "findOneAndUpdate")
+      .mockResolvedValue(task);
+
+    return {
+      pauseTimers,
+      startedAt: () =>
+        findOneAndUpdate.mock.calls[0][1].$push.timeSessions.startedAt,
+    };
+  };
+
+  it("starts at the replayed time", async () => {
+    const task = buildTask();
+    const { startedAt } = mockStart(task);
+    const at = new Date("2026-10-19T11:00:00.000Z");
+
+    const { error } = await run(startTimer, {
+      params: { id: task._id },
+      body: { at },
+    });
+
+    expect(error).toBeUndefined();
+    expect(startedAt()).toEqual(at);
+  });
+
+  it("never starts before the task's last session ended", async () => {
+    const endedAt = new Date("2026-10-19T11:30:00.000Z");
+    const task = buildTask([
+      { startedAt: new Date("2026-10-19T11:00:00.000Z"), endedAt },
+    ]);
+    const { startedAt } = mockStart(task);
+
+    await run(startTimer, {
+      params: { id: task._id },
+      body: { at: new Date("2026-10-19T10:00:00.000Z") },
+    });
+
+    expect(startedAt()).toEqual(endedAt);
+  });
+
+  it("never starts before the timer it pauses", async () => {
+    const otherStartedAt = new Date("2026-10-19T11:45:00.000Z");
+    const task = buildTask();
+    const { startedAt, pauseTimers } = mockStart(
+      task,
+      buildTask([{ startedAt: otherStartedAt }])
+    );
+
+    await run(startTimer, {
+      params: { id: task._id },
+      body: { at: new Date("2026-10-19T11:00:00.000Z") },
+    });
+
+    expect(startedAt()).toEqual(otherStartedAt);
+    expect(pauseTimers).toHaveBeenCalledWith({ user: userId }, otherStartedAt);
+  });
+
+  it("rejects starts more than a day in the past", async () => {
+    const task = buildTask();
+    const { pauseTimers } = mockStart(task);
+
+    const { error } = await run(startTimer, {
+      params: { id: task._id },
+      body: { at: new Date("2026-10-18T11:59:00.000Z") },
+    });
+
+    expect(error.statusCode).toBe(400);
+    expect(pauseTimers).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,159 @@
+const cron = require("node-cron");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const logger = require("../utils/logger");
+const {
+  getUserTimezone,
+  getDayKey,
+  getLocalTime,
+} = require("../utils/dateUtils");
+const { getDailySummary } = require("../controllers/summaryController");
+const { isMailConfigured, sendMail } = require("../notifications/mailer");
+const { getUnsubscribeUrl } = require("../notifications/unsubscribe");
+const { renderDailyDigest } = require("../notifications/templates/dailyDigest");
+
+// Every 15 minutes by default, which is how close to their chosen time users
+// get the digest
+const DEFAULT_SCHEDULE = "*/15 * * * *";
+
+// A digest that can't go out within this long of its time (e.g. after
+// downtime) is skipped for the day
+const SEND_WINDOW_MINUTES = 120;
+
+const OPEN_STATUSES = ["pending", "in_progress"];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// The local day whose digest is due for the user now, or null if it's not
+// their digest time
+const getDueDigestDay = (user, now) => {
+  const timezone = getUserTimezone(user);
+  const sendAt = user.preferences?.digest?.time || "07:30";
+  const minutesLate =
+    (toMinutes(getLocalTime(now, timezone)) - toMinutes(sendAt) + 1440) % 1440;
+  if (minutesLate >= SEND_WINDOW_MINUTES) return null;
+
+  // Late-evening times can fall due after midnight
+  return getDayKey(new Date(now.getTime() - minutesLate * 60 * 1000), timezone);
+};
+
+// Send one user their digest: yesterday's summary, what they completed,
+// and what's planned and overdue today
+const sendDailyDigest = async (user, now = new Date()) => {
+  const timezone = getUserTimezone(user);
+  const [summary, todayTasks, overdueTasks] = await Promise.all([
+    getDailySummary(user),
+    Task.getTodayTasks(user._id, timezone),
+    Task.find({
+      user: user._id,
+      status: { $in: OPEN_STATUSES },
+      dueDate: { $lt: now },
+    })
+      .sort({ dueDate: 1 })
+      .limit(20),
+  ]);
+
+  const plannedTasks = todayTasks.filter(
+    (task) =>
+      OPEN_STATUSES.includes(task.status) &&
+      !task.parentTask &&
+      !(task.dueDate && task.dueDate < now)
+  );
+
+  const unsubscribeUrl = getUnsubscribeUrl(user._id);
+  const email = renderDailyDigest({
+    userName: user.firstName || user.username,
+    date: getDayKey(now, timezone),
+    message: summary.message,
+    completedTasks: summary.completedTasks,
+    plannedTasks,
+    overdueTasks,
+    appUrl: process.env.APP_URL,
+    unsubscribeUrl,
+  });
+
+  await sendMail({
+    to: user.email,
+    ...email,
+    headers: {
+      "List-Unsubscribe": `<${unsubscribeUrl}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    },
+  });
+};
+
+// Send the digest to every opted-in user whose chosen local time has come.
+// Each user gets at most one per day, claimed with an atomic update before
+// sending.
+const sendDailyDigests = async (now = new Date()) => {
+  if (!isMailConfigured()) return 0;
+
+  const users = await User.find({
+    isActive: true,
+    "preferences.digest.enabled": true,
+    "preferences.notifications.email": { $ne: false },
+  });
+
+  let sentCount = 0;
+
+  for (const user of users) {
+    const day = getDueDigestDay(user, now);
+    if (!day || user.digestSentOn === day) continue;
+
+    const claimed = await User.updateOne(
+      { _id: user._id, digestSentOn: { $ne: day } },
+      { $set: { digestSentOn: day } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    try {
+      await sendDailyDigest(user, now);
+      sentCount += 1;
+    } catch (error) {
+      logger.error("Failed to send daily digest", {
+        userId: user._id,
+        error: error.message,
+      });
+      // Let the next run retry
+      await User.updateOne(
+        { _id: user._id, digestSentOn: day },
+        { $unset: { digestSentOn: 1 } }
+      );
+    }
+  }
+
+  if (sentCount > 0) {
+    logger.info("Daily digests sent", { sentCount });
+  }
+
+  return sentCount;
+};
+
+const runDigests = () =>
+  sendDailyDigests().catch((error) => {
+    logger.error("Daily digests failed", { error: error.message });
+  });
+
+// Schedule digests (DIGEST_CRON overrides the schedule)
+const startDailyDigestScheduler = () => {
+  const schedule = process.env.DIGEST_CRON || DEFAULT_SCHEDULE;
+
+  if (!cron.validate(schedule)) {
+    logger.error(`Invalid DIGEST_CRON schedule: ${schedule}`);
+    return null;
+  }
+
+  const job = cron.schedule(schedule, runDigests);
+  logger.info(`📬 Daily digest scheduler running (${schedule})`);
+
+  return job;
+};
+
+module.exports = {
+  sendDailyDigest,
+  sendDailyDigests,
+  startDailyDigestScheduler,
+};
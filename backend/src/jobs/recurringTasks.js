@@ -0,0 +1,118 @@
+const cron = require("node-cron");
+const Task = require("../models/Task");
+const logger = require("../utils/logger");
+const {
+  getUserTimezone,
+  getDayKey,
+  startOfDay,
+} = require("../utils/dateUtils");
+const { getAnchorDay, occursOn } = require("../utils/recurrence");
+
+// Hourly by default, so each user gets the day's occurrences shortly after
+// their local midnight
+const DEFAULT_SCHEDULE = "0 * * * *";
+
+// Details an occurrence inherits from its recurring task
+const COPIED_FIELDS = [
+  "title",
+  "description",
+  "priority",
+  "tags",
+  "estimatedTime",
+  "notes",
+];
+
+// The occurrence keeps the template's due time relative to its own day;
+// due dates that have already passed are left off
+const getOccurrenceDueDate = (template, anchorDay, day, timezone, now) => {
+  if (!template.dueDate) return undefined;
+
+  const offset =
+    template.dueDate.getTime() - startOfDay(anchorDay, timezone).getTime();
+  const dueDate = new Date(startOfDay(day, timezone).getTime() + offset);
+  return dueDate >= now ? dueDate : undefined;
+};
+
+// Create today's occurrence (in each owner's timezone) of every recurring
+// task that is due one. Safe to run repeatedly: an occurrence is only ever
+// created once per day, enforced by a unique index.
+const generateRecurringInstances = async (now = new Date()) => {
+  const templates = await Task.find({
+    isRecurring: true,
+    recurringTemplate: { $exists: false },
+  }).populate("user", "preferences.timezone");
+
+  let createdCount = 0;
+
+  for (const template of templates) {
+    // Owner no longer exists
+    if (!template.user) continue;
+
+    const timezone = getUserTimezone(template.user);
+    const today = getDayKey(now, timezone);
+    const anchorDay = getAnchorDay(template, timezone);
+
+    // The recurring task itself is the first occurrence
+    if (today <= anchorDay || !occursOn(template, today, timezone)) continue;
+
+    const occurrence = {
+      user: template.user._id,
+      recurringTemplate: template._id,
+      occurrenceDate: today,
+      plannedDate: today,
+      dueDate: getOccurrenceDueDate(template, anchorDay, today, timezone, now),
+    };
+    COPIED_FIELDS.forEach((field) => {
+      if (template[field] !== undefined) occurrence[field] = template[field];
+    });
+
+    try {
+      await Task.create(occurrence);
+      createdCount += 1;
+    } catch (error) {
+      // Already generated by an earlier run
+      if (error.code === 11000) continue;
+      logger.error("Failed to create recurring task occurrence", {
+        taskId: template._id,
+        occurrenceDate: today,
+        error: error.message,
+      });
+    }
+  }
+
+  if (createdCount > 0) {
+    logger.info("Recurring task occurrences created", {
+      templateCount: templates.length,
+      createdCount,
+    });
+  }
+
+  return createdCount;
+};
+
+const runGeneration = () =>
+  generateRecurringInstances().catch((error) => {
+    logger.error("Recurring task generation failed", { error: error.message });
+  });
+
+// Schedule generation (RECURRING_TASKS_CRON overrides the schedule) and run
+// it once straight away to catch up after a restart
+const startRecurringTaskScheduler = () => {
+  const schedule = process.env.RECURRING_TASKS_CRON || DEFAULT_SCHEDULE;
+
+  if (!cron.validate(schedule)) {
+    logger.error(`Invalid RECURRING_TASKS_CRON schedule: ${schedule}`);
+    return null;
+  }
+
+  const job = cron.schedule(schedule, runGeneration);
+  runGeneration();
+  logger.info(`🔁 Recurring task scheduler running (${schedule})`);
+
+  return job;
+};
+
+module.exports = {
+  generateRecurringInstances,
+  startRecurringTaskScheduler,
+};
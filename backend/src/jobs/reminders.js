@@ -0,0 +1,129 @@
+const cron = require("node-cron");
+const Task = require("../models/Task");
+const logger = require("../utils/logger");
+const {
+  getUserTimezone,
+  getDayKey,
+  getLocalTime,
+} = require("../utils/dateUtils");
+const { deliverNotification } = require("../notifications");
+
+// Every five minutes by default, so reminders go out close to the lead time
+const DEFAULT_SCHEDULE = "*/5 * * * *";
+
+// Lead times are capped at a day, and tasks that went overdue more than a
+// day ago are not reported (e.g. after downtime)
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// The reminder a task is due, if any: "dueSoon" within the owner's lead time
+// before the due date, "overdue" once it has passed. Each is sent once per
+// due date.
+const getReminderKind = (task, now) => {
+  const { dueDate, user } = task;
+  const reminders = task.reminders || {};
+  const sentFor = (kind) => reminders[kind]?.getTime() === dueDate.getTime();
+
+  if (dueDate <= now) return sentFor("overdueFor") ? null : "overdueFor";
+
+  const leadMinutes =
+    user.preferences?.notifications?.reminderLeadMinutes ?? 60;
+  if (dueDate - now > leadMinutes * 60 * 1000) return null;
+  return sentFor("dueSoonFor") ? null : "dueSoonFor";
+};
+
+const buildNotification = (task, kind, now) => {
+  const timezone = getUserTimezone(task.user);
+  const time = getLocalTime(task.dueDate, timezone);
+  const day = getDayKey(task.dueDate, timezone);
+  const when = day === getDayKey(now, timezone) ? time : `${day} ${time}`;
+
+  // The task title goes in the message: a title as long as the task's
+  // would not fit a notification's
+  return kind === "dueSoonFor"
+    ? {
+        type: "due_soon",
+        title: "Task due soon",
+        message: `"${task.title}" is due at ${when}.`,
+      }
+    : {
+        type: "overdue",
+        title: "Task overdue",
+        message: `"${task.title}" was due at ${when}.`,
+      };
+};
+
+// Send due-soon and overdue reminders for open tasks. Safe to run
+// repeatedly and from several processes: each reminder is claimed with an
+// atomic update before it is delivered. During the owner's quiet hours it
+// only goes to the in-app inbox.
+const sendTaskReminders = async (now = new Date()) => {
+  const tasks = await Task.find({
+    status: { $in: ["pending", "in_progress"] },
+    dueDate: {
+      $gte: new Date(now.getTime() - WINDOW_MS),
+      $lte: new Date(now.getTime() + WINDOW_MS),
+    },
+  }).populate({ path: "user", select: "+pushSubscriptions" });
+
+  let sentCount = 0;
+
+  for (const task of tasks) {
+    // Owner no longer exists or was deactivated
+    if (!task.user || !task.user.isActive) continue;
+
+    const kind = getReminderKind(task, now);
+    if (!kind) continue;
+
+    const claimed = await Task.updateOne(
+      {
+        _id: task._id,
+        dueDate: task.dueDate,
+        [`reminders.${kind}`]: { $ne: task.dueDate },
+      },
+      { $set: { [`reminders.${kind}`]: task.dueDate } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    await deliverNotification(
+      task.user,
+      {
+        ...buildNotification(task, kind, now),
+        task: task._id,
+        url: process.env.APP_URL,
+      },
+      now
+    );
+    sentCount += 1;
+  }
+
+  if (sentCount > 0) {
+    logger.info("Task reminders sent", { sentCount });
+  }
+
+  return sentCount;
+};
+
+const runReminders = () =>
+  sendTaskReminders().catch((error) => {
+    logger.error("Task reminders failed", { error: error.message });
+  });
+
+// Schedule reminders (REMINDERS_CRON overrides the schedule)
+const startReminderScheduler = () => {
+  const schedule = process.env.REMINDERS_CRON || DEFAULT_SCHEDULE;
+
+  if (!cron.validate(schedule)) {
+    logger.error(`Invalid REMINDERS_CRON schedule: ${schedule}`);
+    return null;
+  }
+
+  const job = cron.schedule(schedule, runReminders);
+  logger.info(`⏰ Reminder scheduler running (${schedule})`);
+
+  return job;
+};
+
+module.exports = {
+  sendTaskReminders,
+  startReminderScheduler,
+};
@@ -0,0 +1,100 @@
+jest.mock("../utils/logger");
+jest.mock("../notifications/mailer");
+
+const mongoose = require("mongoose");
+const Task = require("../models/Task");
+const Notification = require("../models/Notification");
+const mailer = require("../notifications/mailer");
+const { sendTaskReminders } = require("./reminders");
+
+const NOW = new Date("2026-10-19T12:00:00.000Z");
+
+const buildTask = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: "Write report",
+  dueDate: new Date("2026-10-19T12:30:00.000Z"),
+  reminders: {},
+  user: {
+    _id: new mongoose.Types.ObjectId(),
+    email: "user@example.com",
+    isActive: true,
+    preferences: { timezone: "UTC", notifications: {} },
+    pushSubscriptions: [],
+  },
+  ...overrides,
+});
+
+// Notifications are validated like a save would, without a database
+const savedNotifications = [];
+
+const mockTasks = (tasks) => {
+  jest.spyOn(Task, "find").mockReturnValue({
+    populate: () => Promise.resolve(tasks),
+  });
+  jest.spyOn(Task, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+};
+
+beforeEach(() => {
+  savedNotifications.length = 0;
+  jest.spyOn(Notification, "create").mockImplementation(async (fields) => {
+    const notification = new Notification(fields);
+    await notification.validate();
+    savedNotifications.push(notification);
+    return notification;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.resetAllMocks();
+});
+
+describe("sendTaskReminders", () => {
+  it("reminds of a task due within the lead time", async () => {
+    mockTasks([buildTask()]);
+
+    await expect(sendTaskReminders(NOW)).resolves.toBe(1);
+    expect(savedNotifications).toHaveLength(1);
+    expect(savedNotifications[0]).toMatchObject({
+      type: "due_soon",
+      title: "Task due soon",
+      message: '"Write report" is due at 12:30.',
+    });
+  });
+
+  it("only records in-app reminders during quiet hours", async () => {
+    mailer.isMailConfigured.mockReturnValue(true);
+    const quietTask = buildTask();
+    quietTask.user.preferences.notifications.quietHours = {
+      start: "11:00",
+      end: "13:00",
+    };
+    mockTasks([quietTask]);
+
+    await expect(sendTaskReminders(NOW)).resolves.toBe(1);
+    expect(savedNotifications).toHaveLength(1);
+    expect(mailer.sendMail).not.toHaveBeenCalled();
+
+    mockTasks([buildTask()]);
+    await sendTaskReminders(NOW);
+    expect(mailer.sendMail).toHaveBeenCalledTimes(1);
+  });
+
+  it("keeps the inbox entry valid for the longest task titles", async () => {
+    const title = "x".repeat(200);
+    mockTasks([
+      buildTask({ title }),
+      buildTask({ title, dueDate: new Date("2026-10-19T11:00:00.000Z") }),
+    ]);
+
+    await sendTaskReminders(NOW);
+
+    expect(savedNotifications.map((n) => n.type)).toEqual([
+      "due_soon",
+      "overdue",
+    ]);
+    savedNotifications.forEach((notification) => {
+      expect(notification.message).toContain(title);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const cron = require("node-cron");
+const Task = require("../models/Task");
+const logger = require("../utils/logger");
+
+// Daily, in the small hours UTC
+const DEFAULT_SCHEDULE = "0 3 * * *";
+
+// Days a deleted task stays in the trash (TRASH_RETENTION_DAYS overrides)
+const DEFAULT_RETENTION_DAYS = 30;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const getTrashRetentionDays = () =>
+  parseInt(process.env.TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+
+// Delete for good every task that has been in the trash longer than the
+// retention period. Subtasks deleted along with a parent share its
+// deletedAt, so they go together.
+const purgeDeletedTasks = async (now = new Date()) => {
+  const retentionDays = getTrashRetentionDays();
+  const cutoff = new Date(now.getTime() - retentionDays * MS_PER_DAY);
+
+  const { deletedCount } = await Task.deleteMany({
+    deletedAt: { $lte: cutoff },
+  });
+
+  if (deletedCount > 0) {
+    logger.info("Deleted tasks purged from trash", {
+      retentionDays,
+      deletedCount,
+    });
+  }
+
+  return deletedCount;
+};
+
+const runPurge = () =>
+  purgeDeletedTasks().catch((error) => {
+    logger.error("Trash purge failed", { error: error.message });
+  });
+
+// Schedule the purge (TRASH_PURGE_CRON overrides the schedule) and run it
+// once straight away, in case the server was down at the scheduled time
+const startTrashPurgeScheduler = () => {
+  const schedule = process.env.TRASH_PURGE_CRON || DEFAULT_SCHEDULE;
+
+  if (!cron.validate(schedule)) {
+    logger.error(`Invalid TRASH_PURGE_CRON schedule: ${schedule}`);
+    return null;
+  }
+
+  const job = cron.schedule(schedule, runPurge);
+  runPurge();
+  logger.info(
+    `🗑️ Trash purge scheduler running (${schedule}, after ${getTrashRetentionDays()} days)`
+  );
+
+  return job;
+};
+
+module.exports = {
+  getTrashRetentionDays,
+  purgeDeletedTasks,
+  startTrashPurgeScheduler,
+};
@@ -1,5 +1,22 @@
 const Joi = require("joi");
 const logger = require("../utils/logger");
+const { isValidTimezone } = require("../utils/dateUtils");
+
+// IANA timezone name such as "Europe/Berlin"
+const timezoneSchema = Joi.string()
+  .custom((value, helpers) =>
+    isValidTimezone(value) ? value : helpers.error("any.invalid")
+  )
+  .messages({
+    "any.invalid": "Timezone must be a valid IANA timezone",
+  });
+
+// Local wall-clock time such as "22:30"
+const localTimeSchema = Joi.string()
+  .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+  .messages({
+    "string.pattern.base": "Time must be in HH:MM format",
+  });
 
 // Validation schemas
 const schemas = {
@@ -27,6 +44,7 @@ const schemas = {
       }),
     firstName: Joi.string().max(50).optional(),
     lastName: Joi.string().max(50).optional(),
+    timezone: timezoneSchema.optional(),
   }),
 
   // User login
@@ -73,9 +91,10 @@ const schemas = {
     }),
     isRecurring: Joi.boolean().default(false),
     recurring: Joi.object({
+      // isRecurring lives on the task, two levels up from recurring.type
       type: Joi.string()
         .valid("daily", "weekly", "monthly", "yearly")
-        .when("isRecurring", {
+        .when("...isRecurring", {
           is: true,
           then: Joi.required(),
           otherwise: Joi.forbidden(),
@@ -89,13 +108,30 @@ const schemas = {
     }),
   }),
 
+  // Import of tasks from a file (parsed by the controller into rows that
+  // are each checked against importTaskRow)
+  importTasks: Joi.object({
+    format: Joi.string().valid("json", "csv", "ics").required().messages({
+      "any.only": "Format must be one of: json, csv, ics",
+      "any.required": "Format is required",
+    }),
+    data: Joi.alternatives()
+      .try(Joi.string().max(5 * 1024 * 1024), Joi.array(), Joi.object())
+      .required()
+      .messages({
+        "any.required": "Data is required",
+      }),
+    dryRun: Joi.boolean().default(false),
+    skipDuplicates: Joi.boolean().default(true),
+  }),
+
   // Task update
   updateTask: Joi.object({
     title: Joi.string().trim().min(1).max(200).optional().messages({
       "string.empty": "Task title cannot be empty",
       "string.max": "Task title cannot exceed 200 characters",
     }),
-    description: Joi.string().trim().max(1000).optional().messages({
+    description: Joi.string().trim().max(1000).allow("").optional().messages({
       "string.max": "Task description cannot exceed 1000 characters",
     }),
     priority: Joi.string()
@@ -104,14 +140,13 @@ const schemas = {
       .messages({
         "any.only": "Priority must be one of: low, medium, high, urgent",
       }),
-    status: Joi.string()
-      .valid("pending", "in_progress", "completed", "cancelled")
-      .optional()
-      .messages({
-        "any.only":
-          "Status must be one of: pending, in_progress, completed, cancelled",
-      }),
-    dueDate: Joi.date().min("now").optional().messages({
+    // Status changes go through the endpoints that also record completion
+    // and stop timers (complete, restore, rollover)
+    status: Joi.forbidden().messages({
+      "any.unknown":
+        "Status cannot be updated here; complete, restore or roll over the task instead",
+    }),
+    dueDate: Joi.date().min("now").allow(null).optional().messages({
       "date.min": "Due date cannot be in the past",
     }),
     tags: Joi.array()
@@ -121,17 +156,132 @@ const schemas = {
       .messages({
         "array.max": "Cannot have more than 10 tags",
       }),
-    estimatedTime: Joi.number().min(0).optional().messages({
+    estimatedTime: Joi.number().min(0).allow(null).optional().messages({
       "number.min": "Estimated time cannot be negative",
     }),
     actualTime: Joi.number().min(0).optional().messages({
       "number.min": "Actual time cannot be negative",
     }),
-    notes: Joi.string().trim().max(2000).optional().messages({
+    notes: Joi.string().trim().max(2000).allow("").optional().messages({
       "string.max": "Notes cannot exceed 2000 characters",
     }),
   }),
 
+  // Manual ordering of a day's tasks
+  reorderTasks: Joi.object({
+    taskIds: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .min(1)
+      .max(200)
+      .unique()
+      .required()
+      .messages({
+        "array.min": "At least one task ID is required",
+        "array.max": "Cannot reorder more than 200 tasks at once",
+        "array.unique": "Task IDs must be unique",
+        "string.hex": "Invalid task ID",
+        "string.length": "Invalid task ID",
+        "any.required": "Task IDs are required",
+      }),
+  }),
+
+  // A batch of task operations; each is checked against batchOperation by
+  // the controller, so one bad operation doesn't reject the others
+  batchTasks: Joi.object({
+    operations: Joi.array()
+      .items(Joi.object())
+      .min(1)
+      .max(200)
+      .required()
+      .messages({
+        "array.min": "At least one operation is required",
+        "array.max": "Cannot run more than 200 operations at once",
+        "object.base": "Each operation must be an object",
+        "any.required": "Operations are required",
+      }),
+  }),
+
+  // Carry unfinished tasks over to another day
+  rolloverTasks: Joi.object({
+    decisions: Joi.array()
+      .items(
+        Joi.object({
+          taskId: Joi.string().hex().length(24).required().messages({
+            "string.hex": "Invalid task ID",
+            "string.length": "Invalid task ID",
+            "any.required": "Task ID is required",
+          }),
+          action: Joi.string()
+            .valid("today", "drop", "reschedule")
+            .required()
+            .messages({
+              "any.only": "Action must be one of: today, drop, reschedule",
+              "any.required": "Action is required",
+            }),
+          date: Joi.string()
+            .pattern(/^\d{4}-\d{2}-\d{2}$/)
+            .when("action", {
+              is: "reschedule",
+              then: Joi.required(),
+              otherwise: Joi.forbidden(),
+            })
+            .messages({
+              "string.pattern.base": "Date must be in YYYY-MM-DD format",
+              "any.required": "Date is required when rescheduling",
+            }),
+        })
+      )
+      .min(1)
+      .max(200)
+      .unique("taskId")
+      .required()
+      .messages({
+        "array.min": "At least one decision is required",
+        "array.max": "Cannot roll over more than 200 tasks at once",
+        "array.unique": "Each task can only appear once",
+        "any.required": "Decisions are required",
+      }),
+  }),
+
+  // Skip one occurrence of a recurring task (defaults to the given one)
+  skipOccurrence: Joi.object({
+    date: Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}$/)
+      .optional()
+      .messages({
+        "string.pattern.base": "Date must be in YYYY-MM-DD format",
+      }),
+  }),
+
+  // Start, pause or stop a task timer
+  timerEvent: Joi.object({
+    at: Joi.date().iso().optional().messages({
+      "date.format": "Time must be an ISO 8601 date",
+    }),
+  }),
+
+  // A finished (or abandoned) focus session
+  recordFocusSession: Joi.object({
+    taskId: Joi.string().hex().length(24).required().messages({
+      "string.hex": "Invalid task ID",
+      "string.length": "Invalid task ID",
+      "any.required": "Task ID is required",
+    }),
+    startedAt: Joi.date().iso().max("now").required().messages({
+      "date.max": "Start time cannot be in the future",
+      "any.required": "Start time is required",
+    }),
+    endedAt: Joi.date()
+      .iso()
+      .greater(Joi.ref("startedAt"))
+      .required()
+      .messages({
+        "date.greater": "End time must be after the start time",
+        "any.required": "End time is required",
+      }),
+    completed: Joi.boolean().default(true),
+  }),
+
   // Password change
   changePassword: Joi.object({
     currentPassword: Joi.string().required().messages({
@@ -159,13 +309,78 @@ const schemas = {
     }),
     preferences: Joi.object({
       theme: Joi.string().valid("light", "dark", "auto").optional(),
+      timezone: timezoneSchema.optional(),
+      focus: Joi.object({
+        focusMinutes: Joi.number().integer().min(1).max(120).optional(),
+        shortBreakMinutes: Joi.number().integer().min(1).max(60).optional(),
+        longBreakMinutes: Joi.number().integer().min(1).max(60).optional(),
+        sessionsBeforeLongBreak: Joi.number()
+          .integer()
+          .min(1)
+          .max(12)
+          .optional(),
+        autoAdvance: Joi.boolean().optional(),
+        sound: Joi.boolean().optional(),
+      }).optional(),
       notifications: Joi.object({
         email: Joi.boolean().optional(),
         push: Joi.boolean().optional(),
+        inApp: Joi.boolean().optional(),
+        reminderLeadMinutes: Joi.number()
+          .integer()
+          .min(5)
+          .max(1440)
+          .optional()
+          .messages({
+            "number.min": "Reminder lead time must be at least 5 minutes",
+            "number.max": "Reminder lead time cannot exceed a day",
+          }),
+        // null turns quiet hours off
+        quietHours: Joi.object({
+          start: localTimeSchema.required(),
+          end: localTimeSchema.required(),
+        })
+          .allow(null)
+          .optional(),
+      }).optional(),
+      digest: Joi.object({
+        enabled: Joi.boolean().optional(),
+        time: localTimeSchema.optional(),
       }).optional(),
     }).optional(),
   }),
 
+  // Web push subscription, as produced by PushSubscription.toJSON()
+  pushSubscription: Joi.object({
+    endpoint: Joi.string()
+      .uri({ scheme: "https" })
+      .max(2000)
+      .required()
+      .messages({
+        "string.uri": "Endpoint must be an https URL",
+        "any.required": "Endpoint is required",
+      }),
+    keys: Joi.object({
+      p256dh: Joi.string().max(200).required(),
+      auth: Joi.string().max(100).required(),
+    }).required(),
+  }),
+
+  // Removing a push subscription only needs its endpoint
+  pushUnsubscription: Joi.object({
+    endpoint: Joi.string().required().messages({
+      "any.required": "Endpoint is required",
+    }),
+  }),
+
+  // Weekly review reflection note
+  saveWeeklyReview: Joi.object({
+    reflection: Joi.string().trim().max(2000).allow("").required().messages({
+      "string.max": "Reflection cannot exceed 2000 characters",
+      "any.required": "Reflection is required",
+    }),
+  }),
+
   // Pagination and filtering
   queryParams: Joi.object({
     page: Joi.number().integer().min(1).default(1).messages({
@@ -190,11 +405,11 @@ const schemas = {
       "any.only": "Sort order must be either asc or desc",
     }),
     status: Joi.string()
-      .valid("pending", "in_progress", "completed", "cancelled")
+      .valid("open", "pending", "in_progress", "completed", "cancelled")
       .optional()
       .messages({
         "any.only":
-          "Status must be one of: pending, in_progress, completed, cancelled",
+          "Status must be one of: open, pending, in_progress, completed, cancelled",
       }),
     priority: Joi.string()
       .valid("low", "medium", "high", "urgent")
@@ -206,9 +421,138 @@ const schemas = {
     search: Joi.string().trim().max(100).optional().messages({
       "string.max": "Search term cannot exceed 100 characters",
     }),
+    // Reporting period for the statistics endpoints, which pick the default
+    period: Joi.string()
+      .valid("week", "month", "quarter", "year")
+      .optional()
+      .messages({
+        "any.only": "Period must be one of: week, month, quarter, year",
+      }),
+    // Date range as YYYY-MM-DD days in the user's timezone (creation dates
+    // for tasks, end dates for focus sessions)
+    from: Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}$/)
+      .optional()
+      .messages({
+        "string.pattern.base": "From must be a date in YYYY-MM-DD format",
+      }),
+    to: Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}$/)
+      .optional()
+      .messages({
+        "string.pattern.base": "To must be a date in YYYY-MM-DD format",
+      }),
+    // Notification inbox filter
+    unreadOnly: Joi.boolean().optional(),
+    // Task export file format
+    format: Joi.string().valid("json", "csv", "ics").optional().messages({
+      "any.only": "Format must be one of: json, csv, ics",
+    }),
   }),
 };
 
+// A task row in an import: the createTask fields plus the history an export
+// carries. Dates may be in the past, since imports restore old tasks.
+const exportedIdSchema = Joi.alternatives().try(
+  Joi.string().trim().max(200),
+  Joi.number()
+);
+schemas.importTaskRow = schemas.createTask.keys({
+  id: exportedIdSchema.optional(),
+  parentId: exportedIdSchema.optional(),
+  dueDate: Joi.date().optional(),
+  status: Joi.string()
+    .valid("pending", "in_progress", "completed", "cancelled")
+    .optional()
+    .messages({
+      "any.only":
+        "Status must be one of: pending, in_progress, completed, cancelled",
+    }),
+  completedAt: Joi.date().max("now").optional().messages({
+    "date.max": "Completion date cannot be in the future",
+  }),
+  createdAt: Joi.date().max("now").optional().messages({
+    "date.max": "Creation date cannot be in the future",
+  }),
+  plannedDate: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .optional()
+    .messages({
+      "string.pattern.base": "Planned date must be in YYYY-MM-DD format",
+    }),
+  actualTime: Joi.number().min(0).optional().messages({
+    "number.min": "Actual time cannot be negative",
+  }),
+});
+
+// One operation of a batch: an action on a task, with what that action
+// needs. Fields other actions take are rejected.
+const onlyFor = (action, schema) =>
+  schema.when("action", { is: action, otherwise: Joi.forbidden() });
+const batchTagsSchema = Joi.array()
+  .items(Joi.string().trim().min(1).max(50))
+  .min(1)
+  .max(10)
+  .unique()
+  .messages({
+    "array.max": "Cannot have more than 10 tags",
+  });
+
+schemas.batchOperation = Joi.object({
+  taskId: Joi.string().hex().length(24).required().messages({
+    "string.hex": "Invalid task ID",
+    "string.length": "Invalid task ID",
+    "any.required": "Task ID is required",
+  }),
+  action: Joi.string()
+    .valid("complete", "restore", "update", "retag", "reschedule", "delete")
+    .required()
+    .messages({
+      "any.only":
+        "Action must be one of: complete, restore, update, retag, reschedule, delete",
+      "any.required": "Action is required",
+    }),
+  subtasks: onlyFor(
+    "complete",
+    Joi.string().valid("complete", "leave").messages({
+      "any.only": "Subtasks must be one of: complete, leave",
+    })
+  ),
+  fields: onlyFor(
+    "update",
+    schemas.updateTask.min(1).required().messages({
+      "object.min": "At least one field to update is required",
+      "any.required": "Fields to update are required",
+    })
+  ),
+  addTags: onlyFor("retag", batchTagsSchema),
+  removeTags: onlyFor("retag", batchTagsSchema),
+  plannedDate: onlyFor(
+    "reschedule",
+    Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}$/)
+      .messages({
+        "string.pattern.base": "Planned date must be in YYYY-MM-DD format",
+      })
+  ),
+  dueDate: onlyFor(
+    "reschedule",
+    Joi.date().min("now").allow(null).messages({
+      "date.min": "Due date cannot be in the past",
+    })
+  ),
+})
+  .when(Joi.object({ action: "retag" }).unknown(), {
+    then: Joi.object().or("addTags", "removeTags").messages({
+      "object.missing": "Tags to add or remove are required",
+    }),
+  })
+  .when(Joi.object({ action: "reschedule" }).unknown(), {
+    then: Joi.object().or("plannedDate", "dueDate").messages({
+      "object.missing": "A planned date or due date is required",
+    }),
+  });
+
 // Generic validation middleware
 const validate = (schemaName) => {
   return (req, res, next) => {
@@ -0,0 +1,35 @@
+jest.mock("../utils/logger");
+
+const { schemas } = require("./validationMiddleware");
+
+const TASK_ID = "64f000000000000000000001";
+
+describe("updateTask schema", () => {
+  it("accepts task details", () => {
+    const { error } = schemas.updateTask.validate({
+      title: "Write report",
+      priority: "high",
+    });
+
+    expect(error).toBeUndefined();
+  });
+
+  it.each(["completed", "cancelled", "pending", "in_progress"])(
+    "rejects a status change to %s",
+    (status) => {
+      const { error } = schemas.updateTask.validate({ title: "x", status });
+
+      expect(error.details[0].path).toEqual(["status"]);
+    }
+  );
+
+  it("rejects status changes in batch updates too", () => {
+    const { error } = schemas.batchOperation.validate({
+      taskId: TASK_ID,
+      action: "update",
+      fields: { status: "completed" },
+    });
+
+    expect(error.details[0].path).toEqual(["fields", "status"]);
+  });
+});
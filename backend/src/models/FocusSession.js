@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+const { DEFAULT_TIMEZONE, getDayRange } = require("../utils/dateUtils");
+
+// One pomodoro worked on a task. The task's tags are copied so the session
+// still counts towards them if the task is later edited or deleted.
+const focusSessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+      index: true,
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: [true, "Task ID is required"],
+      index: true,
+    },
+    tags: [
+      {
+        type: String,
+        trim: true,
+        maxlength: [50, "Tag cannot exceed 50 characters"],
+      },
+    ],
+    startedAt: {
+      type: Date,
+      required: [true, "Start time is required"],
+    },
+    endedAt: {
+      type: Date,
+      required: [true, "End time is required"],
+    },
+    duration: {
+      type: Number, // in minutes
+      required: true,
+      min: [1, "Focus sessions must last at least a minute"],
+    },
+    // Ran for its full length rather than being cut short
+    completed: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+focusSessionSchema.index({ user: 1, endedAt: -1 });
+
+// Static method to total one local day's completed sessions, overall and
+// per tag (most sessions first)
+focusSessionSchema.statics.getDayTotals = async function (
+  userId,
+  day,
+  timezone = DEFAULT_TIMEZONE
+) {
+  const { start, end } = getDayRange(day, timezone);
+  const sessions = await this.find({
+    user: userId,
+    completed: true,
+    endedAt: { $gte: start, $lte: end },
+  });
+
+  const tagCounts = {};
+  sessions.forEach((session) => {
+    session.tags.forEach((tag) => {
+      tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+    });
+  });
+
+  return {
+    count: sessions.length,
+    minutes: sessions.reduce((sum, session) => sum + session.duration, 0),
+    byTag: Object.entries(tagCounts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([tag, count]) => ({ tag, count })),
+  };
+};
+
+module.exports = mongoose.model("FocusSession", focusSessionSchema);
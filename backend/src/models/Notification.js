@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// An entry in a user's in-app notification inbox
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+      index: true,
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+    },
+    type: {
+      type: String,
+      enum: ["due_soon", "overdue"],
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      maxlength: [200, "Title cannot exceed 200 characters"],
+    },
+    message: {
+      type: String,
+      maxlength: [1000, "Message cannot exceed 1000 characters"],
+    },
+    readAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -1,4 +1,23 @@
 const mongoose = require("mongoose");
+const {
+  DEFAULT_TIMEZONE,
+  getDayKey,
+  addDays,
+  startOfDay,
+  getDayRange,
+} = require("../utils/dateUtils");
+const {
+  TRACKED_FIELDS,
+  TRACKED_PROJECTION,
+  touchesTrackedFields,
+  getHistoryEntries,
+} = require("../utils/taskHistory");
+
+// Dates that must not be in the past are only checked when they are set.
+// Saving a document validates every path, and an overdue task must still be
+// completable; update validators only see the paths being updated.
+const isUnchanged = (context, path) =>
+  context instanceof mongoose.Document && !context.isModified(path);
 
 const taskSchema = new mongoose.Schema(
   {
@@ -33,6 +52,7 @@ const taskSchema = new mongoose.Schema(
       type: Date,
       validate: {
         validator: function (value) {
+          if (isUnchanged(this, "dueDate")) return true;
           return !value || value >= new Date();
         },
         message: "Due date cannot be in the past",
@@ -61,6 +81,40 @@ const taskSchema = new mongoose.Schema(
       trim: true,
       maxlength: [2000, "Notes cannot exceed 2000 characters"],
     },
+    focusSessionCount: {
+      type: Number, // full-length pomodoros worked on the task
+      default: 0,
+      min: [0, "Focus session count cannot be negative"],
+    },
+    // The due date each reminder was last sent for, so changing the due
+    // date re-arms them
+    reminders: {
+      dueSoonFor: Date,
+      overdueFor: Date,
+    },
+    timeSessions: [
+      {
+        _id: false,
+        startedAt: { type: Date, required: true },
+        endedAt: Date, // unset while the timer is running
+      },
+    ],
+    plannedDate: {
+      type: String, // YYYY-MM-DD, set once moved off the day it was created
+      match: [
+        /^\d{4}-\d{2}-\d{2}$/,
+        "Planned date must be in YYYY-MM-DD format",
+      ],
+    },
+    rolloverCount: {
+      type: Number, // times the task was carried over to a later day
+      default: 0,
+      min: [0, "Rollover count cannot be negative"],
+    },
+    position: {
+      type: Number, // manual sort order within the day; unset until reordered
+      min: [0, "Position cannot be negative"],
+    },
     recurring: {
       type: {
         type: String,
@@ -78,16 +132,29 @@ const taskSchema = new mongoose.Schema(
         type: Date,
         validate: {
           validator: function (value) {
+            if (isUnchanged(this, "recurring.endDate")) return true;
             return !value || value > new Date();
           },
           message: "Recurring end date cannot be in the past",
         },
       },
+      skippedDates: [String], // YYYY-MM-DD occurrences the user skipped
     },
     isRecurring: {
       type: Boolean,
       default: false,
     },
+    recurringTemplate: {
+      type: mongoose.Schema.Types.ObjectId, // set on generated occurrences
+      ref: "Task",
+    },
+    occurrenceDate: {
+      type: String, // YYYY-MM-DD day this occurrence of a recurring task is for
+      match: [
+        /^\d{4}-\d{2}-\d{2}$/,
+        "Occurrence date must be in YYYY-MM-DD format",
+      ],
+    },
     parentTask: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Task",
@@ -111,11 +178,27 @@ const taskSchema = new mongoose.Schema(
         },
       },
     ],
+    // Set while the task is in the trash
+    deletedAt: {
+      type: Date,
+    },
+    deletedWith: {
+      type: mongoose.Schema.Types.ObjectId, // parent it was deleted along with
+      ref: "Task",
+    },
     history: [
       {
         action: {
           type: String,
-          enum: ["created", "updated", "completed", "cancelled", "restored"],
+          enum: [
+            "created",
+            "updated",
+            "completed",
+            "cancelled",
+            "restored",
+            "deleted",
+            "undeleted",
+          ],
           required: true,
         },
         field: String,
@@ -146,11 +229,39 @@ taskSchema.virtual("isOverdue").get(function () {
   return new Date() > this.dueDate;
 });
 
-// Virtual for completion rate (for recurring tasks)
+// Virtual for whether the task's timer is running
+taskSchema.virtual("isTimerRunning").get(function () {
+  return (this.timeSessions || []).some((session) => !session.endedAt);
+});
+
+// Occurrences generated from a recurring task (populate to use)
+taskSchema.virtual("instances", {
+  ref: "Task",
+  localField: "_id",
+  foreignField: "recurringTemplate",
+});
+
+// Virtual for completion rate (for recurring tasks): the share of
+// occurrences so far that were completed, skipped ones left out. Needs
+// `instances` populated with at least status and occurrenceDate.
 taskSchema.virtual("completionRate").get(function () {
   if (!this.isRecurring || !this.recurring) return null;
-  // This would need to be calculated based on actual recurring instances
-  return 0;
+  if (!Array.isArray(this.instances)) return null;
+
+  const skippedDates = this.recurring.skippedDates || [];
+  const occurrences = [this, ...this.instances].filter(
+    (occurrence) =>
+      !(
+        occurrence.status === "cancelled" &&
+        skippedDates.includes(occurrence.occurrenceDate)
+      )
+  );
+  if (occurrences.length === 0) return 0;
+
+  const completed = occurrences.filter(
+    (occurrence) => occurrence.status === "completed"
+  ).length;
+  return Math.round((completed / occurrences.length) * 100);
 });
 
 // Indexes for better query performance
@@ -160,35 +271,95 @@ taskSchema.index({ user: 1, dueDate: 1 });
 taskSchema.index({ user: 1, completedAt: 1 });
 taskSchema.index({ user: 1, priority: 1 });
 taskSchema.index({ user: 1, tags: 1 });
+taskSchema.index({ user: 1, plannedDate: 1 });
+taskSchema.index(
+  { recurringTemplate: 1, occurrenceDate: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { recurringTemplate: { $exists: true } },
+  }
+);
 
 // Compound indexes for common queries
 taskSchema.index({ user: 1, status: 1, dueDate: 1 });
 taskSchema.index({ user: 1, completedAt: 1, status: 1 });
 
-// Pre-save middleware to add history
-taskSchema.pre("save", function (next) {
-  if (this.isNew) {
-    this.history.push({
-      action: "created",
-      timestamp: new Date(),
-    });
-  } else if (this.isModified()) {
-    const changes = this.modifiedPaths();
-    changes.forEach((field) => {
-      if (field !== "history" && field !== "updatedAt") {
-        this.history.push({
-          action: "updated",
-          field,
-          oldValue: this._original[field],
-          newValue: this[field],
-          timestamp: new Date(),
-        });
-      }
-    });
+// Trash listing and purging
+taskSchema.index({ user: 1, deletedAt: -1 });
+taskSchema.index(
+  { deletedAt: 1 },
+  { partialFilterExpression: { deletedAt: { $exists: true } } }
+);
+
+// Tasks in the trash are left out of every query and aggregation unless it
+// filters on `deletedAt` itself, as the trash endpoints do
+taskSchema.pre(
+  [
+    "countDocuments",
+    "deleteMany",
+    "deleteOne",
+    "distinct",
+    "find",
+    "findOne",
+    "findOneAndDelete",
+    "findOneAndUpdate",
+    "updateMany",
+    "updateOne",
+  ],
+  function () {
+    if (!("deletedAt" in this.getFilter())) this.where({ deletedAt: null });
+  }
+);
+
+taskSchema.pre("aggregate", function () {
+  const [firstStage] = this.pipeline();
+  if (!(firstStage?.$match && "deletedAt" in firstStage.$match)) {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
   }
-  next();
 });
 
+// Tasks whose timer is running
+const RUNNING_TIMER = { timeSessions: { $elemMatch: { endedAt: null } } };
+
+// Static method to pause the running timer of every matching task
+taskSchema.statics.pauseTimers = function (filter, at = new Date(), options) {
+  return this.updateMany(
+    { ...filter, ...RUNNING_TIMER },
+    { $set: { "timeSessions.$.endedAt": at } },
+    options
+  );
+};
+
+// Static method to stop the timers of matching tasks, recording the time
+// tracked across all of their sessions as actualTime (in minutes)
+taskSchema.statics.stopTimers = async function (filter, at, options = {}) {
+  await this.pauseTimers(filter, at, options);
+  return this.updateMany({ ...filter, "timeSessions.0": { $exists: true } }, [
+    {
+      $set: {
+        actualTime: {
+          $round: [
+            {
+              $divide: [
+                {
+                  $sum: {
+                    $map: {
+                      input: "$timeSessions",
+                      in: { $subtract: ["$$this.endedAt", "$$this.startedAt"] },
+                    },
+                  },
+                },
+                60 * 1000,
+              ],
+            },
+            0,
+          ],
+        },
+      },
+    },
+  ]).setOptions(options);
+};
+
 // Pre-save middleware to handle completion
 taskSchema.pre("save", function (next) {
   if (
@@ -197,85 +368,137 @@ taskSchema.pre("save", function (next) {
     !this.completedAt
   ) {
     this.completedAt = new Date();
-    this.history.push({
-      action: "completed",
-      timestamp: new Date(),
-    });
   } else if (
     this.isModified("status") &&
     this.status !== "completed" &&
     this.completedAt
   ) {
     this.completedAt = null;
-    this.history.push({
-      action: "restored",
-      timestamp: new Date(),
-    });
   }
   next();
 });
 
-// Static method to get today's tasks
-taskSchema.statics.getTodayTasks = function (userId) {
-  const today = new Date();
-  const startOfDay = new Date(
-    today.getFullYear(),
-    today.getMonth(),
-    today.getDate()
+// Pre-save middleware to add history: the stored task is read back to
+// compare against, since documents don't keep their original values.
+// Reads here and in the query hooks below use the operation's session, if
+// any, to see the transaction's own writes.
+taskSchema.pre("save", async function () {
+  if (this.isNew) {
+    this.history.push({ action: "created", timestamp: new Date() });
+    return;
+  }
+  if (!TRACKED_FIELDS.some((field) => this.isModified(field))) return;
+
+  const stored = await this.constructor.collection.findOne(
+    { _id: this._id },
+    { projection: TRACKED_PROJECTION, session: this.$session() }
   );
-  const endOfDay = new Date(
-    today.getFullYear(),
-    today.getMonth(),
-    today.getDate(),
-    23,
-    59,
-    59,
-    999
+  this.history.push(
+    ...getHistoryEntries(stored || {}, this.toObject({ depopulate: true }))
   );
+});
+
+// Updates through queries bypass save, so tasks they may change are read
+// before and after and the differences added to their history. Single-task
+// updates read the task the query will pick.
+const HISTORY_QUERY_HOOKS = ["findOneAndUpdate", "updateOne", "updateMany"];
+
+taskSchema.pre(HISTORY_QUERY_HOOKS, async function () {
+  if (!touchesTrackedFields(this.getUpdate())) return;
+
+  const query = this.model
+    .find(this.getFilter())
+    .select(TRACKED_PROJECTION)
+    .session(this.getOptions().session || null)
+    .lean();
+  if (this.op !== "updateMany") {
+    query.sort(this.getOptions().sort).limit(1);
+  }
+  this._historyBefore = await query;
+});
+
+taskSchema.post(HISTORY_QUERY_HOOKS, async function () {
+  const before = this._historyBefore;
+  if (!before?.length) return;
+  const session = this.getOptions().session || undefined;
+
+  // Read with the driver: the task may have just moved to the trash
+  const after = await this.model.collection
+    .find(
+      { _id: { $in: before.map((task) => task._id) } },
+      { projection: TRACKED_PROJECTION, session }
+    )
+    .toArray();
+  const beforeById = new Map(before.map((task) => [task._id.toString(), task]));
+  const timestamp = new Date();
+
+  const updates = after
+    .map((task) => ({
+      _id: task._id,
+      entries: getHistoryEntries(
+        beforeById.get(task._id.toString()),
+        task,
+        timestamp
+      ),
+    }))
+    .filter(({ entries }) => entries.length > 0)
+    .map(({ _id, entries }) => ({
+      updateOne: {
+        filter: { _id },
+        update: { $push: { history: { $each: entries } } },
+      },
+    }));
+
+  if (updates.length > 0) await this.model.bulkWrite(updates, { session });
+});
+
+// Static method to get today's tasks, where "today" is the user's local day
+taskSchema.statics.getTodayTasks = function (
+  userId,
+  timezone = DEFAULT_TIMEZONE
+) {
+  const today = getDayKey(new Date(), timezone);
+  const { start, end } = getDayRange(today, timezone);
 
   return this.find({
     user: userId,
     $or: [
-      { createdAt: { $gte: startOfDay, $lte: endOfDay } },
-      { dueDate: { $gte: startOfDay, $lte: endOfDay } },
+      { plannedDate: today },
+      { plannedDate: null, createdAt: { $gte: start, $lte: end } },
+      { dueDate: { $gte: start, $lte: end } },
     ],
-  }).sort({ priority: -1, createdAt: 1 });
+  }).sort({ position: 1, createdAt: -1 });
 };
 
 // Static method to get completed tasks for yesterday
-taskSchema.statics.getYesterdayCompleted = function (userId) {
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  const startOfDay = new Date(
-    yesterday.getFullYear(),
-    yesterday.getMonth(),
-    yesterday.getDate()
-  );
-  const endOfDay = new Date(
-    yesterday.getFullYear(),
-    yesterday.getMonth(),
-    yesterday.getDate(),
-    23,
-    59,
-    59,
-    999
-  );
+taskSchema.statics.getYesterdayCompleted = function (
+  userId,
+  timezone = DEFAULT_TIMEZONE
+) {
+  const yesterday = addDays(getDayKey(new Date(), timezone), -1);
+  const { start, end } = getDayRange(yesterday, timezone);
 
   return this.find({
     user: userId,
     status: "completed",
-    completedAt: { $gte: startOfDay, $lte: endOfDay },
+    completedAt: { $gte: start, $lte: end },
   }).sort({ completedAt: -1 });
 };
 
 // Static method to get task history
-taskSchema.statics.getTaskHistory = function (userId, days = 30) {
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - days);
+taskSchema.statics.getTaskHistory = function (
+  userId,
+  days = 30,
+  timezone = DEFAULT_TIMEZONE
+) {
+  const startDay = addDays(getDayKey(new Date(), timezone), -days);
 
   return this.find({
     user: userId,
-    createdAt: { $gte: startDate },
+    $or: [
+      { createdAt: { $gte: startOfDay(startDay, timezone) } },
+      { plannedDate: { $gte: startDay } },
+    ],
   }).sort({ createdAt: -1 });
 };
 
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { DEFAULT_TIMEZONE, isValidTimezone } = require("../utils/dateUtils");
 
 const userSchema = new mongoose.Schema(
   {
@@ -60,6 +61,24 @@ const userSchema = new mongoose.Schema(
         enum: ["light", "dark", "auto"],
         default: "auto",
       },
+      // IANA zone used to decide which calendar day a task belongs to
+      timezone: {
+        type: String,
+        default: DEFAULT_TIMEZONE,
+        validate: {
+          validator: isValidTimezone,
+          message: "Timezone must be a valid IANA timezone",
+        },
+      },
+      // Pomodoro timer settings
+      focus: {
+        focusMinutes: { type: Number, default: 25, min: 1, max: 120 },
+        shortBreakMinutes: { type: Number, default: 5, min: 1, max: 60 },
+        longBreakMinutes: { type: Number, default: 15, min: 1, max: 60 },
+        sessionsBeforeLongBreak: { type: Number, default: 4, min: 1, max: 12 },
+        autoAdvance: { type: Boolean, default: true },
+        sound: { type: Boolean, default: true },
+      },
       notifications: {
         email: {
           type: Boolean,
@@ -69,7 +88,57 @@ const userSchema = new mongoose.Schema(
           type: Boolean,
           default: true,
         },
+        inApp: {
+          type: Boolean,
+          default: true,
+        },
+        // How long before a task is due to remind about it
+        reminderLeadMinutes: {
+          type: Number,
+          default: 60,
+          min: [5, "Reminder lead time must be at least 5 minutes"],
+          max: [1440, "Reminder lead time cannot exceed a day"],
+        },
+        // No email or push between these local times ("HH:MM"); the window
+        // may span midnight. Unset means no quiet hours.
+        quietHours: {
+          start: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+          end: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+        },
       },
+      // Morning digest email (also needs notifications.email)
+      digest: {
+        enabled: { type: Boolean, default: false },
+        time: {
+          type: String, // local "HH:MM" to send it at
+          default: "07:30",
+          match: /^([01]\d|2[0-3]):[0-5]\d$/,
+        },
+      },
+    },
+    // Local day (YYYY-MM-DD) the last daily digest was sent for
+    digestSentOn: {
+      type: String,
+    },
+    // Secret in the calendar feed URL; unset while the feed is off
+    calendarFeedToken: {
+      type: String,
+      select: false,
+    },
+    // Web push subscriptions, one per browser
+    pushSubscriptions: {
+      type: [
+        {
+          _id: false,
+          endpoint: { type: String, required: true },
+          keys: {
+            p256dh: { type: String, required: true },
+            auth: { type: String, required: true },
+          },
+          createdAt: { type: Date, default: Date.now },
+        },
+      ],
+      select: false,
     },
     refreshTokens: [
       {
@@ -98,6 +167,7 @@ userSchema.virtual("fullName").get(function () {
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
 
 // Pre-save middleware to hash password
 userSchema.pre("save", async function (next) {
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// A user's review of one week: their reflection note and the week's
+// statistics as they stood when the review was saved
+const weeklyReviewSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+      index: true,
+    },
+    // First and last day of the week ("YYYY-MM-DD", user's timezone)
+    weekStart: {
+      type: String,
+      required: [true, "Week start is required"],
+      match: [/^\d{4}-\d{2}-\d{2}$/, "Week start must be a YYYY-MM-DD date"],
+    },
+    weekEnd: {
+      type: String,
+      required: [true, "Week end is required"],
+      match: [/^\d{4}-\d{2}-\d{2}$/, "Week end must be a YYYY-MM-DD date"],
+    },
+    reflection: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Reflection cannot exceed 2000 characters"],
+      default: "",
+    },
+    statistics: {
+      total: { type: Number, default: 0 },
+      completed: { type: Number, default: 0 },
+      pending: { type: Number, default: 0 },
+      inProgress: { type: Number, default: 0 },
+      completionRate: { type: Number, default: 0 },
+      averageTasksPerDay: { type: Number, default: 0 },
+      mostProductiveDay: String,
+      priorityBreakdown: {
+        low: { type: Number, default: 0 },
+        medium: { type: Number, default: 0 },
+        high: { type: Number, default: 0 },
+        urgent: { type: Number, default: 0 },
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+weeklyReviewSchema.index({ user: 1, weekStart: -1 }, { unique: true });
+
+module.exports = mongoose.model("WeeklyReview", weeklyReviewSchema);
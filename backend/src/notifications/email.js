@@ -0,0 +1,27 @@
+const { isMailConfigured, sendMail, escapeHtml } = require("./mailer");
+
+// Notifications sent by email over SMTP
+module.exports = {
+  name: "email",
+
+  isEnabled: (user) =>
+    isMailConfigured() && user.preferences?.notifications?.email !== false,
+
+  send: (user, notification) => {
+    const { title, message, url } = notification;
+    const lines = [message, url && `Open your tasks: ${url}`].filter(Boolean);
+
+    return sendMail({
+      to: user.email,
+      subject: title,
+      text: lines.join("\n\n"),
+      html: [
+        `<p><strong>${escapeHtml(title)}</strong></p>`,
+        message && `<p>${escapeHtml(message)}</p>`,
+        url && `<p><a href="${escapeHtml(url)}">Open your tasks</a></p>`,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    });
+  },
+};
@@ -0,0 +1,19 @@
+const Notification = require("../models/Notification");
+
+// Notifications kept in the user's inbox (GET /api/notifications)
+module.exports = {
+  name: "inApp",
+
+  silent: true,
+
+  isEnabled: (user) => user.preferences?.notifications?.inApp !== false,
+
+  send: (user, notification) =>
+    Notification.create({
+      user: user._id,
+      task: notification.task,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+    }),
+};
@@ -0,0 +1,63 @@
+const logger = require("../utils/logger");
+const { getUserTimezone, getLocalTime } = require("../utils/dateUtils");
+const inApp = require("./inApp");
+const email = require("./email");
+const push = require("./push");
+
+// Delivery channels. Each has a name, isEnabled(user) and
+// send(user, notification), which returns a promise. A `silent` channel
+// makes no noise, so it keeps delivering during quiet hours.
+const channels = [inApp, email, push];
+
+const registerChannel = (channel) => {
+  channels.push(channel);
+};
+
+// Whether it is currently within the user's quiet hours. The window may span
+// midnight ("22:00" to "07:00").
+const isInQuietHours = (user, now = new Date()) => {
+  const { start, end } = user.preferences?.notifications?.quietHours || {};
+  if (!start || !end || start === end) return false;
+
+  const time = getLocalTime(now, getUserTimezone(user));
+  return start < end
+    ? time >= start && time < end
+    : time >= start || time < end;
+};
+
+// Send a notification ({ type, title, message, task, url }) over every
+// channel the user has enabled; during quiet hours only over silent ones. A
+// failing channel doesn't stop the others; resolves with the names of the
+// channels that delivered it.
+const deliverNotification = async (user, notification, now = new Date()) => {
+  const quiet = isInQuietHours(user, now);
+  const enabled = channels.filter(
+    (channel) => channel.isEnabled(user) && (channel.silent || !quiet)
+  );
+  const results = await Promise.allSettled(
+    enabled.map((channel) => channel.send(user, notification))
+  );
+
+  const delivered = [];
+  results.forEach((result, index) => {
+    const { name } = enabled[index];
+    if (result.status === "fulfilled") {
+      delivered.push(name);
+    } else {
+      logger.error("Notification delivery failed", {
+        userId: user._id,
+        channel: name,
+        type: notification.type,
+        error: result.reason.message,
+      });
+    }
+  });
+
+  return delivered;
+};
+
+module.exports = {
+  registerChannel,
+  isInQuietHours,
+  deliverNotification,
+};
@@ -0,0 +1,43 @@
+const nodemailer = require("nodemailer");
+
+let transporter = null;
+
+// Email is sent only when an SMTP server is configured. For local testing
+// point SMTP_HOST/SMTP_PORT at a stand-in such as MailHog or smtp4dev.
+const isMailConfigured = () => Boolean(process.env.SMTP_HOST);
+
+// The transport is created on first use, so env changes in tests apply
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transporter;
+};
+
+// Escape text for use in an HTML email
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Send an email ({ to, subject, text, html, headers }) from SMTP_FROM
+const sendMail = (message) =>
+  getTransporter().sendMail({
+    from: process.env.SMTP_FROM || "Daily Todo <no-reply@localhost>",
+    ...message,
+  });
+
+module.exports = {
+  isMailConfigured,
+  sendMail,
+  escapeHtml,
+};
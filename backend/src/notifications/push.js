@@ -0,0 +1,87 @@
+const webpush = require("web-push");
+const User = require("../models/User");
+const logger = require("../utils/logger");
+
+let vapidDetailsSet = false;
+
+// Web push needs a VAPID key pair (generate one with
+// `npx web-push generate-vapid-keys`)
+const isPushConfigured = () =>
+  Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+
+const getPublicKey = () => process.env.VAPID_PUBLIC_KEY || null;
+
+const ensureVapidDetails = () => {
+  if (vapidDetailsSet) return;
+  webpush.setVapidDetails(
+    process.env.VAPID_SUBJECT || "mailto:admin@localhost",
+    process.env.VAPID_PUBLIC_KEY,
+    process.env.VAPID_PRIVATE_KEY
+  );
+  vapidDetailsSet = true;
+};
+
+// Push to every browser the user subscribed. Subscriptions the push service
+// reports as gone are removed.
+const send = async (user, notification) => {
+  ensureVapidDetails();
+
+  const payload = JSON.stringify({
+    title: notification.title,
+    body: notification.message,
+    url: notification.url,
+    tag: notification.task ? `task-${notification.task}` : undefined,
+  });
+
+  const results = await Promise.allSettled(
+    user.pushSubscriptions.map((subscription) =>
+      webpush.sendNotification(subscription, payload)
+    )
+  );
+
+  const expired = [];
+  const failures = [];
+  results.forEach((result, index) => {
+    if (result.status === "fulfilled") return;
+    if ([404, 410].includes(result.reason.statusCode)) {
+      expired.push(user.pushSubscriptions[index].endpoint);
+    } else {
+      failures.push(result.reason);
+    }
+  });
+
+  if (expired.length > 0) {
+    await User.updateOne(
+      { _id: user._id },
+      { $pull: { pushSubscriptions: { endpoint: { $in: expired } } } }
+    );
+    logger.info("Expired push subscriptions removed", {
+      userId: user._id,
+      count: expired.length,
+    });
+  }
+
+  // Report a failure only if no browser got the notification
+  if (
+    failures.length > 0 &&
+    failures.length + expired.length === results.length
+  ) {
+    throw failures[0];
+  }
+};
+
+// Notifications pushed to the user's browsers. The user must be loaded with
+// `+pushSubscriptions`.
+module.exports = {
+  name: "push",
+
+  isEnabled: (user) =>
+    isPushConfigured() &&
+    user.preferences?.notifications?.push !== false &&
+    Array.isArray(user.pushSubscriptions) &&
+    user.pushSubscriptions.length > 0,
+
+  send,
+  isPushConfigured,
+  getPublicKey,
+};
@@ -0,0 +1,90 @@
+const { escapeHtml } = require("../mailer");
+
+const PRIORITY_LABELS = {
+  low: "Low",
+  medium: "Medium",
+  high: "High",
+  urgent: "Urgent",
+};
+
+// "Write report (High)"; medium priority, the default, is left out
+const describeTask = (task) =>
+  task.priority && task.priority !== "medium"
+    ? `${task.title} (${PRIORITY_LABELS[task.priority]})`
+    : task.title;
+
+const SECTIONS = [
+  { key: "completedTasks", heading: "Completed yesterday" },
+  { key: "plannedTasks", heading: "Planned for today" },
+  { key: "overdueTasks", heading: "Overdue" },
+];
+
+const renderText = (digest) => {
+  const lines = [`Good morning, ${digest.userName}!`, "", digest.message];
+
+  SECTIONS.forEach(({ key, heading }) => {
+    const tasks = digest[key];
+    if (tasks.length === 0) return;
+    lines.push("", `${heading} (${tasks.length})`);
+    tasks.forEach((task) => lines.push(`- ${describeTask(task)}`));
+  });
+
+  if (digest.appUrl) lines.push("", `Open your tasks: ${digest.appUrl}`);
+  lines.push(
+    "",
+    "--",
+    "You're getting this because you turned on the daily digest.",
+    `Unsubscribe from emails: ${digest.unsubscribeUrl}`
+  );
+
+  return lines.join("\n");
+};
+
+const renderHtml = (digest) => {
+  const sections = SECTIONS.filter(({ key }) => digest[key].length > 0).map(
+    ({ key, heading }) => `
+    <h2 style="font-size:16px;margin:24px 0 8px;">${escapeHtml(heading)} (${
+      digest[key].length
+    })</h2>
+    <ul style="margin:0;padding-left:20px;">
+      ${digest[key]
+        .map((task) => `<li>${escapeHtml(describeTask(task))}</li>`)
+        .join("\n      ")}
+    </ul>`
+  );
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="font-family:Arial,sans-serif;color:#111827;max-width:600px;margin:0 auto;padding:24px;">
+    <h1 style="font-size:20px;">Good morning, ${escapeHtml(digest.userName)}!</h1>
+    <p style="line-height:1.5;">${escapeHtml(digest.message)}</p>
+    ${sections.join("\n")}
+    ${
+      digest.appUrl
+        ? `<p style="margin-top:24px;"><a href="${escapeHtml(
+            digest.appUrl
+          )}" style="color:#2563eb;">Open your tasks</a></p>`
+        : ""
+    }
+    <hr style="border:none;border-top:1px solid #e5e7eb;margin:24px 0;" />
+    <p style="font-size:12px;color:#6b7280;">
+      You're getting this because you turned on the daily digest.
+      <a href="${escapeHtml(digest.unsubscribeUrl)}" style="color:#6b7280;">Unsubscribe from emails</a>
+    </p>
+  </body>
+</html>
+`;
+};
+
+// Render the daily digest email ({ userName, date, message, completedTasks,
+// plannedTasks, overdueTasks, appUrl, unsubscribeUrl }) as a subject with
+// plain-text and HTML bodies
+const renderDailyDigest = (digest) => ({
+  subject: `Your day, ${digest.date}: ${digest.plannedTasks.length} planned, ${digest.overdueTasks.length} overdue`,
+  text: renderText(digest),
+  html: renderHtml(digest),
+});
+
+module.exports = {
+  renderDailyDigest,
+};
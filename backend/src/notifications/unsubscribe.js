@@ -0,0 +1,40 @@
+const crypto = require("crypto");
+
+// Unsubscribe links carry `<userId>.<signature>`. They don't expire and
+// can't be used to sign in, only to turn off email.
+const sign = (userId) =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(`unsubscribe:${userId}`)
+    .digest("base64url");
+
+const createUnsubscribeToken = (userId) => `${userId}.${sign(userId)}`;
+
+// The user id a token was issued for, or null if it isn't valid
+const verifyUnsubscribeToken = (token) => {
+  const [userId, signature] = String(token || "").split(".");
+  if (!userId || !signature) return null;
+
+  const expected = Buffer.from(sign(userId));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+    ? userId
+    : null;
+};
+
+// Link that turns off the user's email notifications. API_URL is the
+// backend's public address.
+const getUnsubscribeUrl = (userId) => {
+  const apiUrl =
+    process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${apiUrl}/api/notifications/unsubscribe?token=${encodeURIComponent(
+    createUnsubscribeToken(userId)
+  )}`;
+};
+
+module.exports = {
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  getUnsubscribeUrl,
+};
@@ -0,0 +1,23 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  getFeedSettings,
+  rotateFeedToken,
+  disableFeed,
+  getCalendarFeed,
+} = require("../controllers/calendarController");
+
+const { authMiddleware } = require("../middleware/authMiddleware");
+
+// Calendar apps fetch the feed without signing in
+router.get("/feed/:token.ics", getCalendarFeed);
+
+// All other routes require authentication
+router.use(authMiddleware);
+
+router.get("/feed", getFeedSettings);
+router.post("/feed", rotateFeedToken);
+router.delete("/feed", disableFeed);
+
+module.exports = router;
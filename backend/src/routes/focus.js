@@ -0,0 +1,28 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  recordFocusSession,
+  getFocusSessions,
+} = require("../controllers/focusController");
+
+const { authMiddleware } = require("../middleware/authMiddleware");
+const {
+  validate,
+  validateQuery,
+  sanitizeInput,
+} = require("../middleware/validationMiddleware");
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// Focus sessions (pomodoros) worked on tasks
+router.get("/sessions", validateQuery, getFocusSessions);
+router.post(
+  "/sessions",
+  sanitizeInput,
+  validate("recordFocusSession"),
+  recordFocusSession
+);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPushKey,
+  addPushSubscription,
+  removePushSubscription,
+  confirmUnsubscribe,
+  unsubscribe,
+} = require("../controllers/notificationController");
+
+const { authMiddleware } = require("../middleware/authMiddleware");
+const {
+  validate,
+  validateQuery,
+  sanitizeInput,
+} = require("../middleware/validationMiddleware");
+
+// Unsubscribe links in emails work without signing in. GET only shows a
+// confirmation page; POST (the page's button or one-click) unsubscribes.
+router.get("/unsubscribe", confirmUnsubscribe);
+router.post("/unsubscribe", unsubscribe);
+
+// All other routes require authentication
+router.use(authMiddleware);
+
+// In-app inbox
+router.get("/", validateQuery, getNotifications);
+router.patch("/read-all", markAllNotificationsRead);
+
+// Web push subscriptions
+router.get("/push-key", getPushKey);
+router.post(
+  "/push-subscriptions",
+  sanitizeInput,
+  validate("pushSubscription"),
+  addPushSubscription
+);
+router.delete(
+  "/push-subscriptions",
+  sanitizeInput,
+  validate("pushUnsubscription"),
+  removePushSubscription
+);
+
+router.patch("/:id/read", markNotificationRead);
+
+module.exports = router;
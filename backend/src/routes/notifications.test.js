@@ -0,0 +1,74 @@
+jest.mock("../utils/logger");
+
+const express = require("express");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { errorHandler } = require("../middleware/errorHandler");
+const { createUnsubscribeToken } = require("../notifications/unsubscribe");
+
+process.env.JWT_SECRET = "test-secret";
+
+const notificationRoutes = require("./notifications");
+
+const app = express();
+app.use("/api/notifications", notificationRoutes);
+app.use(errorHandler);
+
+const userId = new mongoose.Types.ObjectId().toString();
+const url = `/api/notifications/unsubscribe?token=${encodeURIComponent(
+  createUnsubscribeToken(userId)
+)}`;
+
+let updateOne;
+
+beforeEach(() => {
+  updateOne = jest
+    .spyOn(User, "updateOne")
+    .mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("unsubscribe links", () => {
+  it("only show a confirmation form when opened", async () => {
+    const response = await request(app).get(url);
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('<form method="post"');
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  it("turn off email when the form is posted", async () => {
+    const response = await request(app).post(url).set("Accept", "text/html");
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain("You're unsubscribed");
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: userId },
+      { $set: { "preferences.notifications.email": false } }
+    );
+  });
+
+  it("support one-click unsubscribe", async () => {
+    const response = await request(app)
+      .post(url)
+      .type("form")
+      .send("List-Unsubscribe=One-Click");
+
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  it("reject tokens that weren't signed for the user", async () => {
+    const response = await request(app).get(
+      `/api/notifications/unsubscribe?token=${userId}.forged`
+    );
+
+    expect(response.status).toBe(400);
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+});
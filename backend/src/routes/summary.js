@@ -4,11 +4,17 @@ const router = express.Router();
 const {
   getMotivationalSummary,
   getWeeklySummary,
+  saveWeeklyReview,
+  getWeeklyReviews,
   getProductivityInsights,
 } = require("../controllers/summaryController");
 
 const { authMiddleware } = require("../middleware/authMiddleware");
-const { validateQuery } = require("../middleware/validationMiddleware");
+const {
+  validate,
+  validateQuery,
+  sanitizeInput,
+} = require("../middleware/validationMiddleware");
 
 // All routes require authentication
 router.use(authMiddleware);
@@ -19,6 +25,15 @@ router.get("/", getMotivationalSummary);
 // Get weekly summary
 router.get("/weekly", getWeeklySummary);
 
+// Weekly review reflections
+router.get("/reviews", validateQuery, getWeeklyReviews);
+router.put(
+  "/reviews/:weekStart",
+  sanitizeInput,
+  validate("saveWeeklyReview"),
+  saveWeeklyReview
+);
+
 // Get productivity insights
 router.get("/insights", validateQuery, getProductivityInsights);
 
@@ -5,15 +5,34 @@ const {
   getTodayTasks,
   getTasks,
   getTask,
+  getTaskAuditTrail,
   createTask,
   updateTask,
   completeTask,
   restoreTask,
   deleteTask,
+  addSubtask,
+  attachSubtask,
+  detachSubtask,
+  reorderSubtasks,
   getTaskHistory,
   getTaskStats,
-  bulkUpdateTasks,
+  getTaskActivity,
+  reorderTasks,
+  rolloverTasks,
+  skipOccurrence,
+  getRunningTimer,
+  startTimer,
+  pauseTimer,
+  stopTimer,
+  exportTasks,
+  importTasks,
+  batchTasks,
   bulkDeleteTasks,
+  getTrash,
+  restoreFromTrash,
+  purgeTask,
+  emptyTrash,
 } = require("../controllers/taskController");
 
 const { authMiddleware } = require("../middleware/authMiddleware");
@@ -35,12 +54,48 @@ router.get("/history", validateQuery, getTaskHistory);
 // Task statistics
 router.get("/stats", validateQuery, getTaskStats);
 
+// Completed tasks per day over the last year, for the activity heatmap
+router.get("/activity", getTaskActivity);
+
+// The running timer, if any
+router.get("/timer", getRunningTimer);
+
+// Manual ordering and rollover (must come before the /:id routes)
+router.patch("/reorder", sanitizeInput, validate("reorderTasks"), reorderTasks);
+
+// Carry unfinished tasks over to another day
+router.patch(
+  "/rollover",
+  sanitizeInput,
+  validate("rolloverTasks"),
+  rolloverTasks
+);
+
+// Export and import as JSON, CSV or iCalendar
+router.get("/export", validateQuery, exportTasks);
+router.post("/import", sanitizeInput, validate("importTasks"), importTasks);
+
+// Run operations on many tasks at once, with a result for each
+router.post("/batch", sanitizeInput, validate("batchTasks"), batchTasks);
+
+// Move many tasks to the trash
+router.delete("/bulk", sanitizeInput, bulkDeleteTasks);
+
+// Trash: deleted tasks can be restored or deleted for good
+router.get("/trash", validateQuery, getTrash);
+router.delete("/trash", emptyTrash);
+router.patch("/trash/:id/restore", restoreFromTrash);
+router.delete("/trash/:id", purgeTask);
+
 // Get all tasks with filtering and pagination
 router.get("/", validateQuery, getTasks);
 
 // Get single task
 router.get("/:id", getTask);
 
+// A task's change history
+router.get("/:id/history", getTaskAuditTrail);
+
 // Create new task
 router.post("/", sanitizeInput, validate("createTask"), createTask);
 
@@ -53,11 +108,46 @@ router.patch("/:id/complete", completeTask);
 // Restore task (mark as pending)
 router.patch("/:id/restore", restoreTask);
 
-// Delete task
+// Time tracking (one running timer per user)
+router.patch(
+  "/:id/timer/start",
+  sanitizeInput,
+  validate("timerEvent"),
+  startTimer
+);
+router.patch(
+  "/:id/timer/pause",
+  sanitizeInput,
+  validate("timerEvent"),
+  pauseTimer
+);
+router.patch(
+  "/:id/timer/stop",
+  sanitizeInput,
+  validate("timerEvent"),
+  stopTimer
+);
+
+// Skip one occurrence of a recurring task
+router.patch(
+  "/:id/skip",
+  sanitizeInput,
+  validate("skipOccurrence"),
+  skipOccurrence
+);
+
+// Move task to the trash
 router.delete("/:id", deleteTask);
 
-// Bulk operations
-router.patch("/bulk", sanitizeInput, bulkUpdateTasks);
-router.delete("/bulk", sanitizeInput, bulkDeleteTasks);
+// Subtasks (one level deep)
+router.post("/:id/subtasks", sanitizeInput, validate("createTask"), addSubtask);
+router.patch(
+  "/:id/subtasks/order",
+  sanitizeInput,
+  validate("reorderTasks"),
+  reorderSubtasks
+);
+router.put("/:id/subtasks/:subtaskId", attachSubtask);
+router.delete("/:id/subtasks/:subtaskId", detachSubtask);
 
 module.exports = router;
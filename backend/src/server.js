@@ -10,11 +10,18 @@ const connectDB = require("./config/database");
 const logger = require("./utils/logger");
 const { errorHandler } = require("./middleware/errorHandler");
 const { requestLogger } = require("./middleware/requestLogger");
+const { startRecurringTaskScheduler } = require("./jobs/recurringTasks");
+const { startReminderScheduler } = require("./jobs/reminders");
+const { startDailyDigestScheduler } = require("./jobs/dailyDigest");
+const { startTrashPurgeScheduler } = require("./jobs/trashPurge");
 
 // Import routes
 const authRoutes = require("./routes/auth");
 const taskRoutes = require("./routes/tasks");
 const summaryRoutes = require("./routes/summary");
+const focusRoutes = require("./routes/focus");
+const notificationRoutes = require("./routes/notifications");
+const calendarRoutes = require("./routes/calendar");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -78,6 +85,9 @@ app.get("/health", (req, res) => {
 app.use("/api/auth", authRoutes);
 app.use("/api/tasks", taskRoutes);
 app.use("/api/summary", summaryRoutes);
+app.use("/api/focus", focusRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/calendar", calendarRoutes);
 
 // 404 handler
 app.use("*", (req, res) => {
@@ -96,6 +106,12 @@ app.listen(PORT, () => {
     `🚀 Server running on port ${PORT} in ${process.env.NODE_ENV} mode`
   );
   logger.info(`📊 Health check available at http://localhost:${PORT}/health`);
+
+  // Background jobs
+  startRecurringTaskScheduler();
+  startReminderScheduler();
+  startDailyDigestScheduler();
+  startTrashPurgeScheduler();
 });
 
 // Graceful shutdown
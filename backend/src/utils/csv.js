@@ -0,0 +1,80 @@
+// Minimal RFC 4180 CSV reading and writing
+
+// Quote a value if it holds a delimiter, quote or line break
+const formatCell = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows of objects to CSV, one column per entry of `columns`
+const toCsv = (rows, columns) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(formatCell).join(","))
+    .join("\r\n") + "\r\n";
+
+// CSV to an array of rows, each an array of cells
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+};
+
+// CSV with a header row to objects keyed by the (trimmed) header names.
+// Empty cells are left out.
+const parseCsv = (text) => {
+  const [header = [], ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ""));
+  const columns = header.map((name) => name.trim());
+
+  return rows.map((cells) =>
+    Object.fromEntries(
+      columns
+        .map((column, index) => [column, cells[index]])
+        .filter(
+          ([column, value]) => column && value !== undefined && value !== ""
+        )
+    )
+  );
+};
+
+module.exports = {
+  toCsv,
+  parseCsv,
+};
@@ -0,0 +1,144 @@
+// Calendar-day helpers that respect a user's timezone.
+//
+// Days are passed around as "YYYY-MM-DD" keys. A key names a calendar day in
+// some IANA timezone; getDayRange turns it into the UTC instants the day
+// spans there, which is 23 or 25 hours long across a DST change.
+
+const DEFAULT_TIMEZONE = "UTC";
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const getUserTimezone = (user) =>
+  user?.preferences?.timezone || DEFAULT_TIMEZONE;
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// Wall-clock fields of `date` as seen in `timezone`
+const getZonedParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+  };
+};
+
+// Minutes `timezone` is ahead of UTC at the instant `date`
+const getTimezoneOffset = (date, timezone) => {
+  const parts = getZonedParts(date, timezone);
+  const wallClockAsUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((wallClockAsUtc - wholeSeconds) / 60000);
+};
+
+const getDayKey = (date = new Date(), timezone = DEFAULT_TIMEZONE) => {
+  const parts = getZonedParts(new Date(date), timezone);
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+};
+
+// Wall-clock time of `date` in `timezone`, as "HH:MM"
+const getLocalTime = (date = new Date(), timezone = DEFAULT_TIMEZONE) => {
+  const parts = getZonedParts(new Date(date), timezone);
+  return `${pad(parts.hour)}:${pad(parts.minute)}`;
+};
+
+const addDays = (dayKey, days) => {
+  const date = new Date(`${dayKey}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+};
+
+// 0 (Sunday) to 6 (Saturday)
+const getWeekday = (dayKey) => new Date(`${dayKey}T00:00:00.000Z`).getUTCDay();
+
+// The instant `dayKey` begins in `timezone`. That is local midnight, except
+// in zones whose DST change skips midnight, where the day starts at 01:00.
+const startOfDay = (dayKey, timezone = DEFAULT_TIMEZONE) => {
+  const midnightUtc = new Date(`${dayKey}T00:00:00.000Z`).getTime();
+  const guess = new Date(
+    midnightUtc - getTimezoneOffset(new Date(midnightUtc), timezone) * 60000
+  );
+  // Re-read the offset at the guess in case a DST change falls in between
+  const corrected = new Date(
+    midnightUtc - getTimezoneOffset(guess, timezone) * 60000
+  );
+  return getDayKey(corrected, timezone) === dayKey ? corrected : guess;
+};
+
+// The instant a wall-clock time occurs in `timezone`. `wallClock` is a Date
+// whose UTC fields hold the local time (e.g. from Date.UTC).
+const fromWallClock = (wallClock, timezone = DEFAULT_TIMEZONE) => {
+  const wallMs = wallClock.getTime();
+  const guess = new Date(
+    wallMs - getTimezoneOffset(wallClock, timezone) * 60000
+  );
+  // Re-read the offset at the guess in case a DST change falls in between
+  return new Date(wallMs - getTimezoneOffset(guess, timezone) * 60000);
+};
+
+// First and last millisecond of `dayKey` in `timezone`
+const getDayRange = (dayKey, timezone = DEFAULT_TIMEZONE) => ({
+  start: startOfDay(dayKey, timezone),
+  end: new Date(startOfDay(addDays(dayKey, 1), timezone).getTime() - 1),
+});
+
+// First day of a reporting period that ends on `today`: the last 7 days for
+// "week", otherwise the calendar month, quarter or year to date
+const getPeriodStart = (period, today) => {
+  const [year, month] = today.split("-").map(Number);
+
+  switch (period) {
+    case "month":
+      return `${year}-${pad(month)}-01`;
+    case "quarter":
+      return `${year}-${pad(Math.floor((month - 1) / 3) * 3 + 1)}-01`;
+    case "year":
+      return `${year}-01-01`;
+    case "week":
+    default:
+      return addDays(today, -6);
+  }
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getUserTimezone,
+  getTimezoneOffset,
+  getDayKey,
+  getLocalTime,
+  addDays,
+  getWeekday,
+  startOfDay,
+  fromWallClock,
+  getDayRange,
+  getPeriodStart,
+};
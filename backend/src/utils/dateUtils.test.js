@@ -0,0 +1,135 @@
+const {
+  getDayKey,
+  addDays,
+  startOfDay,
+  fromWallClock,
+  getDayRange,
+} = require("./dateUtils");
+
+const HOUR = 60 * 60 * 1000;
+
+const dayLength = (dayKey, timezone) => {
+  const { start, end } = getDayRange(dayKey, timezone);
+  return (end.getTime() + 1 - start.getTime()) / HOUR;
+};
+
+describe("dateUtils", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe("getDayKey", () => {
+    it("uses the current time by default", () => {
+      jest.useFakeTimers({ now: new Date("2026-03-08T04:30:00.000Z") });
+
+      expect(getDayKey()).toBe("2026-03-08");
+      expect(getDayKey(undefined, "America/New_York")).toBe("2026-03-07");
+    });
+
+    it("buckets instants on either side of a zone's midnight", () => {
+      const zone = "America/New_York";
+
+      expect(getDayKey("2026-03-08T04:59:59.999Z", zone)).toBe("2026-03-07");
+      expect(getDayKey("2026-03-08T05:00:00.000Z", zone)).toBe("2026-03-08");
+      expect(getDayKey("2026-11-01T03:59:59.999Z", zone)).toBe("2026-10-31");
+      expect(getDayKey("2026-11-01T04:00:00.000Z", zone)).toBe("2026-11-01");
+    });
+  });
+
+  describe("addDays", () => {
+    it("moves across month and year ends", () => {
+      expect(addDays("2026-02-28", 1)).toBe("2026-03-01");
+      expect(addDays("2026-12-31", 1)).toBe("2027-01-01");
+      expect(addDays("2026-03-01", -1)).toBe("2026-02-28");
+    });
+  });
+
+  describe("getDayRange", () => {
+    it.each([
+      ["America/New_York", "2026-06-15", 24],
+      ["America/New_York", "2026-03-08", 23],
+      ["America/New_York", "2026-11-01", 25],
+      ["Europe/London", "2026-03-29", 23],
+      ["Europe/London", "2026-10-25", 25],
+      ["America/Santiago", "2026-09-06", 23],
+      ["America/Santiago", "2026-04-04", 25],
+    ])("gives %s on %s %i hours", (timezone, dayKey, hours) => {
+      expect(dayLength(dayKey, timezone)).toBe(hours);
+    });
+
+    it("covers New York's spring-forward day", () => {
+      expect(getDayRange("2026-03-08", "America/New_York")).toEqual({
+        start: new Date("2026-03-08T05:00:00.000Z"),
+        end: new Date("2026-03-09T03:59:59.999Z"),
+      });
+    });
+
+    it("covers New York's fall-back day", () => {
+      expect(getDayRange("2026-11-01", "America/New_York")).toEqual({
+        start: new Date("2026-11-01T04:00:00.000Z"),
+        end: new Date("2026-11-02T04:59:59.999Z"),
+      });
+    });
+
+    it("covers London's clock changes", () => {
+      expect(getDayRange("2026-03-29", "Europe/London")).toEqual({
+        start: new Date("2026-03-29T00:00:00.000Z"),
+        end: new Date("2026-03-29T22:59:59.999Z"),
+      });
+      expect(getDayRange("2026-10-25", "Europe/London")).toEqual({
+        start: new Date("2026-10-24T23:00:00.000Z"),
+        end: new Date("2026-10-25T23:59:59.999Z"),
+      });
+    });
+
+    it("leaves no gap between consecutive days", () => {
+      const zone = "America/Santiago";
+      const saturday = getDayRange("2026-09-05", zone);
+      const sunday = getDayRange("2026-09-06", zone);
+
+      expect(sunday.start.getTime()).toBe(saturday.end.getTime() + 1);
+    });
+  });
+
+  describe("startOfDay", () => {
+    it("starts a day at 01:00 when DST skips midnight", () => {
+      // Santiago moves from 00:00 -04 straight to 01:00 -03
+      const start = startOfDay("2026-09-06", "America/Santiago");
+
+      expect(start).toEqual(new Date("2026-09-06T04:00:00.000Z"));
+      expect(getDayKey(start, "America/Santiago")).toBe("2026-09-06");
+    });
+
+    it("starts other days at local midnight", () => {
+      expect(startOfDay("2026-09-05", "America/Santiago")).toEqual(
+        new Date("2026-09-05T04:00:00.000Z")
+      );
+      expect(startOfDay("2026-04-05", "America/Santiago")).toEqual(
+        new Date("2026-04-05T04:00:00.000Z")
+      );
+    });
+
+    it("defaults to UTC", () => {
+      expect(startOfDay("2026-03-08")).toEqual(
+        new Date("2026-03-08T00:00:00.000Z")
+      );
+    });
+  });
+
+  describe("fromWallClock", () => {
+    const wallClock = (dayKey, time) => new Date(`${dayKey}T${time}:00.000Z`);
+
+    it.each([
+      ["America/New_York", "2026-03-07", "23:30", "2026-03-08T04:30:00.000Z"],
+      ["America/New_York", "2026-03-08", "09:00", "2026-03-08T13:00:00.000Z"],
+      ["America/New_York", "2026-11-01", "09:00", "2026-11-01T14:00:00.000Z"],
+      ["Europe/London", "2026-03-29", "12:00", "2026-03-29T11:00:00.000Z"],
+      ["America/Santiago", "2026-09-05", "23:59", "2026-09-06T03:59:00.000Z"],
+      ["America/Santiago", "2026-09-06", "12:00", "2026-09-06T15:00:00.000Z"],
+    ])("reads %s %s %s with that day's offset", (zone, day, time, instant) => {
+      expect(fromWallClock(wallClock(day, time), zone)).toEqual(
+        new Date(instant)
+      );
+    });
+  });
+});
@@ -0,0 +1,176 @@
+// Minimal iCalendar (RFC 5545) reading and writing
+const { isValidTimezone, fromWallClock } = require("./dateUtils");
+
+const PRODUCT_ID = "-//Daily Todo//Tasks//EN";
+
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+const unescapeText = (value) =>
+  value.replace(/\\([\\;,nN])/g, (match, char) =>
+    char === "n" || char === "N" ? "\n" : char
+  );
+
+// 20261019T083000Z
+const formatDateTime = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+// 20261019, from a YYYY-MM-DD day key
+const formatDate = (dayKey) => dayKey.replace(/-/g, "");
+
+// 20261019T083000, from a day key and an "HH:MM" time. Without a Z or TZID
+// this is a floating time, read in whatever timezone the calendar is viewed.
+const formatLocalDateTime = (dayKey, time) =>
+  `${formatDate(dayKey)}T${time.replace(":", "")}00`;
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= 75) return line;
+
+  const lines = [];
+  let current = "";
+  for (const char of line) {
+    const limit = lines.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      lines.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  lines.push(current);
+  return lines.join("\r\n ");
+};
+
+// A component (e.g. VTODO) from [name, value] property pairs; pairs whose
+// value is empty are left out. Values must already be formatted/escaped.
+const buildComponent = (type, properties) => [
+  `BEGIN:${type}`,
+  ...properties
+    .filter(
+      ([, value]) => value !== undefined && value !== null && value !== ""
+    )
+    .map(([name, value]) => `${name}:${value}`),
+  `END:${type}`,
+];
+
+// A complete calendar from components built with buildComponent
+const buildCalendar = ({ name, components }) =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...components.flat(),
+    "END:VCALENDAR",
+  ]
+    .map(foldLine)
+    .join("\r\n") + "\r\n";
+
+// "NAME;PARAM=value:content" to { name, params, value }
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i += 1) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ":" && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(";");
+  const params = Object.fromEntries(
+    paramParts.map((part) => {
+      const [key, ...rest] = part.split("=");
+      return [key.toUpperCase(), rest.join("=").replace(/^"|"$/g, "")];
+    })
+  );
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+// The top-level components of the given types, each as
+// { type, properties: { NAME: [{ value, params }] } }. Nested components
+// (such as alarms) are skipped.
+const parseCalendar = (text, types = ["VTODO", "VEVENT"]) => {
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const components = [];
+  const stack = [];
+
+  lines.forEach((line) => {
+    const property = parseContentLine(line);
+    if (!property) return;
+
+    if (property.name === "BEGIN") {
+      stack.push(property.value.toUpperCase());
+      const isTopLevel = stack.length === 2 && stack[0] === "VCALENDAR";
+      if (isTopLevel && types.includes(stack[1])) {
+        components.push({ type: stack[1], properties: {} });
+      }
+      return;
+    }
+    if (property.name === "END") {
+      stack.pop();
+      return;
+    }
+
+    const current = components[components.length - 1];
+    if (stack.length !== 2 || !current || current.type !== stack[1]) return;
+    (current.properties[property.name] ||= []).push(property);
+  });
+
+  return components;
+};
+
+// A DATE or DATE-TIME value as { date, isDate }. Floating times are read in
+// the TZID given, or else in `timezone`.
+const parseDateValue = (value, params = {}, timezone = "UTC") => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(
+    value.trim()
+  );
+  if (!match) return null;
+
+  const [, year, month, day, hour = "00", minute = "00", second = "00", utc] =
+    match;
+  const wallClock = new Date(
+    Date.UTC(year, month - 1, day, hour, minute, second)
+  );
+  const zone =
+    params.TZID && isValidTimezone(params.TZID) ? params.TZID : timezone;
+
+  return {
+    date: utc ? wallClock : fromWallClock(wallClock, zone),
+    isDate: match[4] === undefined,
+    dayKey: `${year}-${month}-${day}`,
+  };
+};
+
+// "FREQ=WEEKLY;INTERVAL=2" to { FREQ: "WEEKLY", INTERVAL: "2" }
+const parseRecurrenceRule = (value) =>
+  Object.fromEntries(
+    value.split(";").map((part) => {
+      const [key, ...rest] = part.split("=");
+      return [key.toUpperCase(), rest.join("=")];
+    })
+  );
+
+module.exports = {
+  escapeText,
+  unescapeText,
+  formatDateTime,
+  formatDate,
+  formatLocalDateTime,
+  buildComponent,
+  buildCalendar,
+  parseCalendar,
+  parseDateValue,
+  parseRecurrenceRule,
+};
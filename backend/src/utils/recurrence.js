@@ -0,0 +1,75 @@
+// Occurrence rules for recurring tasks.
+//
+// A recurring task is its own first occurrence; the day it belongs to is its
+// anchor. Later occurrences fall every `interval` days, weeks, months or
+// years after the anchor, and each one is materialized as a separate task
+// (an instance) linked back to the template. Monthly and yearly occurrences
+// keep the anchor's day of the month, moving to the last day of shorter
+// months (a task anchored on Jan 31 recurs on Feb 28).
+
+const { getDayKey } = require("./dateUtils");
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const parseDay = (dayKey) => dayKey.split("-").map(Number);
+
+const daysInMonth = (year, month) =>
+  new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const daysBetween = (fromDay, toDay) =>
+  Math.round((Date.parse(toDay) - Date.parse(fromDay)) / MS_PER_DAY);
+
+// The day a recurring task first occurs on, in the owner's timezone
+const getAnchorDay = (task, timezone) =>
+  task.occurrenceDate ||
+  task.plannedDate ||
+  getDayKey(task.createdAt, timezone);
+
+const isOccurrenceDay = (recurring, anchorDay, day) => {
+  const interval = recurring.interval || 1;
+  if (day < anchorDay) return false;
+
+  const [anchorYear, anchorMonth, anchorDate] = parseDay(anchorDay);
+  const [year, month, date] = parseDay(day);
+
+  switch (recurring.type) {
+    case "daily":
+      return daysBetween(anchorDay, day) % interval === 0;
+    case "weekly":
+      return daysBetween(anchorDay, day) % (7 * interval) === 0;
+    case "monthly": {
+      const months = (year - anchorYear) * 12 + (month - anchorMonth);
+      return (
+        months % interval === 0 &&
+        date === Math.min(anchorDate, daysInMonth(year, month))
+      );
+    }
+    case "yearly":
+      return (
+        (year - anchorYear) % interval === 0 &&
+        month === anchorMonth &&
+        date === Math.min(anchorDate, daysInMonth(year, month))
+      );
+    default:
+      return false;
+  }
+};
+
+// Whether a recurring task should have an occurrence on `day`: it must fall
+// on the schedule, not after the end date, and not have been skipped
+const occursOn = (task, day, timezone) => {
+  const { recurring } = task;
+  if (!task.isRecurring || !recurring?.type) return false;
+  if (recurring.endDate && day > getDayKey(recurring.endDate, timezone)) {
+    return false;
+  }
+  if ((recurring.skippedDates || []).includes(day)) return false;
+
+  return isOccurrenceDay(recurring, getAnchorDay(task, timezone), day);
+};
+
+module.exports = {
+  getAnchorDay,
+  isOccurrenceDay,
+  occursOn,
+};
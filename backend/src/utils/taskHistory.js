@@ -0,0 +1,116 @@
+// Change tracking for Task.history. Entries record the old and new value of
+// each user-facing field a change touched; bookkeeping fields such as timer
+// sessions, positions and reminder markers are left out.
+
+const TRACKED_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "dueDate",
+  "tags",
+  "estimatedTime",
+  "actualTime",
+  "notes",
+  "plannedDate",
+  "parentTask",
+  "isRecurring",
+  "recurring.type",
+  "recurring.interval",
+  "recurring.endDate",
+  "recurring.skippedDates",
+  "deletedAt",
+];
+
+// Top-level fields to read when comparing a task before and after a change
+const TRACKED_PROJECTION = Object.fromEntries(
+  [...new Set(TRACKED_FIELDS.map((field) => field.split(".")[0]))].map(
+    (field) => [field, 1]
+  )
+);
+
+const CLOSED_STATUSES = ["completed", "cancelled"];
+
+const getPath = (object, path) =>
+  path.split(".").reduce((value, key) => value?.[key], object);
+
+// Comparable form of a value: dates and ObjectIds as strings, unset as null
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") return value.toString();
+  return value;
+};
+
+const isEmpty = (value) =>
+  value === null || (Array.isArray(value) && value.length === 0);
+
+const getAction = (field, oldValue, newValue) => {
+  if (field === "deletedAt") return newValue ? "deleted" : "undeleted";
+  if (field === "status") {
+    if (CLOSED_STATUSES.includes(newValue)) return newValue;
+    if (CLOSED_STATUSES.includes(oldValue)) return "restored";
+  }
+  return "updated";
+};
+
+// Whether an update (operators, a replacement or a pipeline) may change a
+// tracked field. Paths match when one contains the other, so `recurring`
+// and `recurring.skippedDates` both count.
+const touchesTrackedFields = (update) => {
+  if (!update) return false;
+
+  const stages = Array.isArray(update) ? update : [update];
+  const paths = stages.flatMap((stage) =>
+    Object.entries(stage).flatMap(([key, value]) => {
+      if (!key.startsWith("$")) return [key];
+      if (Array.isArray(value)) return value; // pipeline $unset: [paths]
+      if (typeof value === "string") return [value];
+      return Object.keys(value || {});
+    })
+  );
+
+  return paths
+    .map((path) => path.replace(/\.\$(\[\w*\])?/g, ""))
+    .some((path) =>
+      TRACKED_FIELDS.some(
+        (field) =>
+          field === path ||
+          field.startsWith(`${path}.`) ||
+          path.startsWith(`${field}.`)
+      )
+    );
+};
+
+// History entries for the tracked fields that differ between two versions
+// of a task (plain objects or documents converted with toObject)
+const getHistoryEntries = (before, after, timestamp = new Date()) =>
+  TRACKED_FIELDS.flatMap((field) => {
+    const oldValue = normalize(getPath(before, field));
+    const newValue = normalize(getPath(after, field));
+
+    if (
+      (isEmpty(oldValue) && isEmpty(newValue)) ||
+      JSON.stringify(oldValue) === JSON.stringify(newValue)
+    ) {
+      return [];
+    }
+
+    return [
+      {
+        action: getAction(field, oldValue, newValue),
+        field,
+        oldValue,
+        newValue,
+        timestamp,
+      },
+    ];
+  });
+
+module.exports = {
+  TRACKED_FIELDS,
+  TRACKED_PROJECTION,
+  touchesTrackedFields,
+  getHistoryEntries,
+};
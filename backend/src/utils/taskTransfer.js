@@ -0,0 +1,359 @@
+// Task import and export formats: JSON, CSV and iCalendar (VTODO), and
+// the VTODO/VEVENT components of the calendar feed
+const { toCsv, parseCsv } = require("./csv");
+const {
+  escapeText,
+  unescapeText,
+  formatDateTime,
+  formatDate,
+  formatLocalDateTime,
+  buildComponent,
+  buildCalendar,
+  parseCalendar,
+  parseDateValue,
+  parseRecurrenceRule,
+} = require("./ical");
+const { getDayKey, getLocalTime, getDayRange } = require("./dateUtils");
+const { getAnchorDay } = require("./recurrence");
+
+const EXPORT_FORMATS = {
+  json: { contentType: "application/json", extension: "json" },
+  csv: { contentType: "text/csv", extension: "csv" },
+  ics: { contentType: "text/calendar", extension: "ics" },
+};
+
+// A task as exported. `id` and `parentId` let an import rebuild subtasks
+// and spot tasks that already exist.
+const toExportTask = (task) => ({
+  id: task._id.toString(),
+  title: task.title,
+  description: task.description,
+  status: task.status,
+  priority: task.priority,
+  dueDate: task.dueDate,
+  completedAt: task.completedAt,
+  tags: task.tags,
+  estimatedTime: task.estimatedTime,
+  actualTime: task.actualTime,
+  notes: task.notes,
+  plannedDate: task.plannedDate,
+  parentId: task.parentTask?.toString(),
+  isRecurring: task.isRecurring,
+  recurring: task.isRecurring
+    ? {
+        type: task.recurring.type,
+        interval: task.recurring.interval,
+        endDate: task.recurring.endDate,
+      }
+    : undefined,
+  createdAt: task.createdAt,
+});
+
+// Recurrence is flattened into three columns in CSV
+const CSV_COLUMNS = [
+  "id",
+  "title",
+  "description",
+  "status",
+  "priority",
+  "dueDate",
+  "completedAt",
+  "tags",
+  "estimatedTime",
+  "actualTime",
+  "notes",
+  "plannedDate",
+  "parentId",
+  "recurringType",
+  "recurringInterval",
+  "recurringEndDate",
+  "createdAt",
+];
+
+// Tags are separated by semicolons within their cell. A semicolon or
+// backslash inside a tag is escaped with a backslash.
+const joinTags = (tags) =>
+  tags.map((tag) => tag.replace(/[\\;]/g, "\\$&")).join(";");
+
+const splitTags = (cell) =>
+  (cell.match(/(?:\\.|[^\\;])+/g) || []).map((tag) =>
+    tag.replace(/\\(.)/g, "$1").trim()
+  );
+
+const toIsoString = (date) => (date ? new Date(date).toISOString() : undefined);
+
+const toCsvRow = (task) => {
+  const { recurring, tags, ...fields } = toExportTask(task);
+  return {
+    ...fields,
+    dueDate: toIsoString(fields.dueDate),
+    completedAt: toIsoString(fields.completedAt),
+    createdAt: toIsoString(fields.createdAt),
+    tags: joinTags(tags || []),
+    recurringType: recurring?.type,
+    recurringInterval: recurring?.interval,
+    recurringEndDate: toIsoString(recurring?.endDate),
+  };
+};
+
+// Suffix that makes task ids globally unique iCalendar UIDs
+const UID_SUFFIX = "@daily-todo";
+const fromUid = (uid) => uid?.replace(UID_SUFFIX, "");
+
+// iCalendar equivalents of task statuses and priorities
+const ICAL_STATUSES = {
+  pending: "NEEDS-ACTION",
+  in_progress: "IN-PROCESS",
+  completed: "COMPLETED",
+  cancelled: "CANCELLED",
+};
+const ICAL_PRIORITIES = { urgent: 1, high: 3, medium: 5, low: 9 };
+
+// PRIORITY runs from 1 (highest) to 9; 0 means undefined
+const fromICalPriority = (value) => {
+  const priority = parseInt(value);
+  if (!priority) return undefined;
+  if (priority === 1) return "urgent";
+  if (priority <= 4) return "high";
+  if (priority === 5) return "medium";
+  return "low";
+};
+
+const isRecurringTask = (task) => task.isRecurring && task.recurring?.type;
+
+// RRULE for a recurring task (skipped occurrences become EXDATEs). The
+// series runs through the day of its end date. DTSTART is a whole day,
+// unless `withTime` makes it local midnight for a VTODO with a DUE: the
+// two must share a value type, and UNTIL and EXDATE follow DTSTART's.
+const getRecurrenceProperties = (task, timezone, { withTime = false } = {}) => {
+  if (!isRecurringTask(task)) return [];
+
+  const valueType = withTime ? "" : ";VALUE=DATE";
+  const formatDay = (dayKey, time) =>
+    withTime ? formatLocalDateTime(dayKey, time) : formatDate(dayKey);
+
+  const rule = [
+    `FREQ=${task.recurring.type.toUpperCase()}`,
+    `INTERVAL=${task.recurring.interval || 1}`,
+    task.recurring.endDate &&
+      `UNTIL=${formatDay(getDayKey(task.recurring.endDate, timezone), "23:59")}`,
+  ].filter(Boolean);
+
+  return [
+    [`DTSTART${valueType}`, formatDay(getAnchorDay(task, timezone), "00:00")],
+    ["RRULE", rule.join(";")],
+    ...(task.recurring.skippedDates || []).map((day) => [
+      `EXDATE${valueType}`,
+      formatDay(day, "00:00"),
+    ]),
+  ];
+};
+
+// A recurring task's DUE is a floating time like its DTSTART, so each
+// occurrence is due at the same time of day
+const formatDue = (task, timezone) =>
+  isRecurringTask(task)
+    ? formatLocalDateTime(
+        getDayKey(task.dueDate, timezone),
+        getLocalTime(task.dueDate, timezone)
+      )
+    : formatDateTime(task.dueDate);
+
+// Properties a task has as either component. DTSTAMP is the last change
+// rather than the time of the request, so an unchanged task serializes the
+// same and feeds can be cached by content.
+const getCommonProperties = (task) => [
+  ["UID", `${task._id}${UID_SUFFIX}`],
+  ["DTSTAMP", formatDateTime(task.updatedAt || task.createdAt)],
+  ["CREATED", formatDateTime(task.createdAt)],
+  ["LAST-MODIFIED", formatDateTime(task.updatedAt || task.createdAt)],
+];
+
+// A task as a VTODO component
+const toVTodo = (task, timezone) =>
+  buildComponent("VTODO", [
+    ...getCommonProperties(task),
+    ["SUMMARY", escapeText(task.title)],
+    ["DESCRIPTION", task.description && escapeText(task.description)],
+    ["STATUS", ICAL_STATUSES[task.status]],
+    ["PRIORITY", ICAL_PRIORITIES[task.priority]],
+    ["DUE", task.dueDate && formatDue(task, timezone)],
+    ["COMPLETED", task.completedAt && formatDateTime(task.completedAt)],
+    ["CATEGORIES", task.tags?.map(escapeText).join(",")],
+    ["RELATED-TO", task.parentTask && `${task.parentTask}${UID_SUFFIX}`],
+    ...getRecurrenceProperties(task, timezone, {
+      withTime: Boolean(task.dueDate),
+    }),
+  ]);
+
+// A task as a VEVENT, for calendars that don't show tasks. A recurring
+// task is an all-day event on each occurrence day; any other task is a
+// moment at its due date. Completed one-off tasks are ticked in the title.
+const toVEvent = (task, timezone) =>
+  buildComponent("VEVENT", [
+    ...getCommonProperties(task),
+    [
+      "SUMMARY",
+      escapeText(
+        task.status === "completed" && !isRecurringTask(task)
+          ? `✓ ${task.title}`
+          : task.title
+      ),
+    ],
+    ["DESCRIPTION", task.description && escapeText(task.description)],
+    ["PRIORITY", ICAL_PRIORITIES[task.priority]],
+    ["CATEGORIES", task.tags?.map(escapeText).join(",")],
+    ["TRANSP", "TRANSPARENT"],
+    ...(isRecurringTask(task)
+      ? getRecurrenceProperties(task, timezone)
+      : [["DTSTART", formatDateTime(task.dueDate)]]),
+  ]);
+
+const CALENDAR_COMPONENTS = { VTODO: toVTodo, VEVENT: toVEvent };
+
+// A calendar with each task as a VTODO or VEVENT component
+const serializeCalendar = (
+  tasks,
+  { timezone, name, component = "VTODO" } = {}
+) =>
+  buildCalendar({
+    name,
+    components: tasks.map((task) =>
+      CALENDAR_COMPONENTS[component](task, timezone)
+    ),
+  });
+
+// Serialize tasks in one of EXPORT_FORMATS
+const serializeTasks = (tasks, format, { timezone, name } = {}) => {
+  if (format === "csv") return toCsv(tasks.map(toCsvRow), CSV_COLUMNS);
+  if (format === "ics") return serializeCalendar(tasks, { timezone, name });
+  return JSON.stringify(
+    { exportedAt: new Date().toISOString(), tasks: tasks.map(toExportTask) },
+    null,
+    2
+  );
+};
+
+// CSV row to an import row; values stay strings for validation to convert
+const fromCsvRow = (row) => {
+  const {
+    tags,
+    recurringType,
+    recurringInterval,
+    recurringEndDate,
+    ...fields
+  } = row;
+  return {
+    ...fields,
+    ...(tags && {
+      tags: splitTags(tags).filter(Boolean),
+    }),
+    ...(recurringType && {
+      isRecurring: true,
+      recurring: {
+        type: recurringType,
+        ...(recurringInterval && { interval: recurringInterval }),
+        ...(recurringEndDate && { endDate: recurringEndDate }),
+      },
+    }),
+  };
+};
+
+const ICAL_FREQUENCIES = {
+  DAILY: "daily",
+  WEEKLY: "weekly",
+  MONTHLY: "monthly",
+  YEARLY: "yearly",
+};
+
+// VTODO to an import row. Date-only due dates mean the end of that day.
+const fromVTodo = ({ properties }, timezone) => {
+  const first = (name) => properties[name]?.[0];
+  const text = (name) => first(name) && unescapeText(first(name).value);
+  const date = (name, { endOfDay = false } = {}) => {
+    const property = first(name);
+    const parsed =
+      property && parseDateValue(property.value, property.params, timezone);
+    if (!parsed) return undefined;
+    return parsed.isDate && endOfDay
+      ? getDayRange(parsed.dayKey, timezone).end
+      : parsed.date;
+  };
+
+  const status = Object.keys(ICAL_STATUSES).find(
+    (key) => ICAL_STATUSES[key] === first("STATUS")?.value.toUpperCase()
+  );
+  const tags = (properties.CATEGORIES || []).flatMap(({ value }) =>
+    value
+      .split(/(?<!\\),/)
+      .map((tag) => unescapeText(tag).trim())
+      .filter(Boolean)
+  );
+  const rule = first("RRULE") && parseRecurrenceRule(first("RRULE").value);
+  const frequency = rule && ICAL_FREQUENCIES[rule.FREQ];
+  const until = rule?.UNTIL && parseDateValue(rule.UNTIL, {}, timezone);
+
+  return {
+    id: fromUid(text("UID")),
+    title: text("SUMMARY"),
+    description: text("DESCRIPTION"),
+    status,
+    priority: fromICalPriority(first("PRIORITY")?.value),
+    dueDate: date("DUE", { endOfDay: true }),
+    completedAt: date("COMPLETED"),
+    createdAt: date("CREATED"),
+    tags: tags.length > 0 ? tags : undefined,
+    parentId: fromUid(text("RELATED-TO")),
+    ...(frequency && {
+      isRecurring: true,
+      recurring: {
+        type: frequency,
+        ...(rule.INTERVAL && { interval: rule.INTERVAL }),
+        ...(until && {
+          endDate: until.isDate
+            ? getDayRange(until.dayKey, timezone).end
+            : until.date,
+        }),
+      },
+    }),
+  };
+};
+
+// Drop unset fields so validation applies its defaults
+const compact = (row) =>
+  Object.fromEntries(
+    Object.entries(row).filter(([, value]) => value !== undefined)
+  );
+
+// Parse an import in one of EXPORT_FORMATS into rows shaped like the
+// JSON export. JSON may be an array of tasks or an export ({ tasks }), as
+// text or already parsed. Throws a SyntaxError on malformed input.
+const parseImport = (format, data, timezone) => {
+  if (format === "csv") {
+    if (typeof data !== "string") throw new SyntaxError("Expected CSV text");
+    return parseCsv(data).map(fromCsvRow).map(compact);
+  }
+
+  if (format === "ics") {
+    if (typeof data !== "string") {
+      throw new SyntaxError("Expected iCalendar text");
+    }
+    return parseCalendar(data, ["VTODO"])
+      .map((component) => fromVTodo(component, timezone))
+      .map(compact);
+  }
+
+  const parsed = typeof data === "string" ? JSON.parse(data) : data;
+  const rows = Array.isArray(parsed) ? parsed : parsed?.tasks;
+  if (!Array.isArray(rows)) {
+    throw new SyntaxError("Expected an array of tasks or an export file");
+  }
+  return rows;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  serializeTasks,
+  serializeCalendar,
+  parseImport,
+};
@@ -0,0 +1,132 @@
+const { serializeTasks, parseImport } = require("./taskTransfer");
+const { getDayKey } = require("./dateUtils");
+
+const TIMEZONE = "America/New_York";
+
+const buildTask = (overrides = {}) => ({
+  _id: "64f000000000000000000001",
+  title: "Write report",
+  status: "pending",
+  priority: "medium",
+  tags: [],
+  createdAt: new Date("2026-10-01T12:00:00.000Z"),
+  updatedAt: new Date("2026-10-01T12:00:00.000Z"),
+  ...overrides,
+});
+
+const recurringTask = buildTask({
+  title: "Gym",
+  dueDate: new Date("2026-10-02T17:30:00.000Z"),
+  plannedDate: "2026-10-02",
+  isRecurring: true,
+  recurring: {
+    type: "weekly",
+    interval: 2,
+    endDate: new Date("2026-12-31T23:00:00.000Z"),
+    skippedDates: ["2026-10-16"],
+  },
+});
+
+// Export `tasks` in `format` and import the result again
+const roundTrip = (format, tasks) =>
+  parseImport(
+    format,
+    serializeTasks(tasks, format, { timezone: TIMEZONE }),
+    TIMEZONE
+  );
+
+// The content lines of an iCalendar export
+const icsLines = (tasks) =>
+  serializeTasks(tasks, "ics", { timezone: TIMEZONE }).split("\r\n");
+
+describe("CSV", () => {
+  it("keeps tags that contain separators", () => {
+    const tags = ["a;b", "c,d", "back\\slash", "plain"];
+    const [row] = roundTrip("csv", [buildTask({ tags })]);
+
+    expect(row.tags).toEqual(tags);
+  });
+
+  it("leaves tags out for tasks without any", () => {
+    const [row] = roundTrip("csv", [buildTask()]);
+
+    expect(row).not.toHaveProperty("tags");
+  });
+
+  it("keeps a recurring task's due date and recurrence", () => {
+    const [row] = roundTrip("csv", [recurringTask]);
+
+    expect(row).toMatchObject({
+      title: "Gym",
+      dueDate: "2026-10-02T17:30:00.000Z",
+      plannedDate: "2026-10-02",
+      isRecurring: true,
+      recurring: {
+        type: "weekly",
+        interval: "2",
+        endDate: "2026-12-31T23:00:00.000Z",
+      },
+    });
+  });
+});
+
+describe("iCalendar", () => {
+  it("keeps tags that contain separators", () => {
+    const tags = ["a;b", "c,d", "plain"];
+    const [row] = roundTrip("ics", [buildTask({ tags })]);
+
+    expect(row.tags).toEqual(tags);
+  });
+
+  it("leaves CATEGORIES out for tasks without tags", () => {
+    expect(icsLines([buildTask()])).not.toContainEqual(
+      expect.stringMatching(/^CATEGORIES/)
+    );
+    expect(roundTrip("ics", [buildTask()])[0]).not.toHaveProperty("tags");
+  });
+
+  it("gives a recurring task with a due date date-time values throughout", () => {
+    const lines = icsLines([recurringTask]);
+
+    expect(lines).toEqual(
+      expect.arrayContaining([
+        "DUE:20261002T133000",
+        "DTSTART:20261002T000000",
+        "RRULE:FREQ=WEEKLY;INTERVAL=2;UNTIL=20261231T235900",
+        "EXDATE:20261016T000000",
+      ])
+    );
+    expect(lines.join("\n")).not.toContain("VALUE=DATE");
+  });
+
+  it("keeps a recurring task's due date and recurrence", () => {
+    const [row] = roundTrip("ics", [recurringTask]);
+
+    expect(row.dueDate).toEqual(recurringTask.dueDate);
+    expect(row.recurring).toMatchObject({ type: "weekly", interval: "2" });
+    expect(getDayKey(row.recurring.endDate, TIMEZONE)).toBe("2026-12-31");
+  });
+
+  it("keeps whole days for a recurring task without a due date", () => {
+    const { dueDate, ...task } = recurringTask;
+
+    expect(icsLines([task])).toEqual(
+      expect.arrayContaining([
+        "DTSTART;VALUE=DATE:20261002",
+        "RRULE:FREQ=WEEKLY;INTERVAL=2;UNTIL=20261231",
+        "EXDATE;VALUE=DATE:20261016",
+      ])
+    );
+  });
+
+  it("keeps a one-off due date in UTC", () => {
+    const dueDate = new Date("2026-10-02T17:30:00.000Z");
+
+    expect(icsLines([buildTask({ dueDate })])).toContain(
+      "DUE:20261002T173000Z"
+    );
+    expect(roundTrip("ics", [buildTask({ dueDate })])[0].dueDate).toEqual(
+      dueDate
+    );
+  });
+});
@@ -0,0 +1,45 @@
+// Multi-document transactions, where the database supports them.
+//
+// Transactions need a replica set or a sharded cluster. A standalone
+// MongoDB server (the usual local setup) has neither, so there the work runs
+// without one and its writes are not rolled back together on failure.
+
+const mongoose = require("mongoose");
+const logger = require("./logger");
+
+let transactionsSupported;
+
+const supportsTransactions = async () => {
+  if (transactionsSupported === undefined) {
+    const hello = await mongoose.connection.db.command({ hello: 1 });
+    transactionsSupported = Boolean(hello.setName) || hello.msg === "isdbgrid";
+
+    if (!transactionsSupported) {
+      logger.warn(
+        "MongoDB is a standalone server; writes will run without transactions"
+      );
+    }
+  }
+  return transactionsSupported;
+};
+
+// Run `work(session)` in a transaction and return what it returns. Queries
+// in `work` must pass the session along; it is null without transaction
+// support. The driver retries `work` on transient errors, so it must not
+// have side effects outside the database.
+const withTransaction = async (work) => {
+  if (!(await supportsTransactions())) return work(null);
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { supportsTransactions, withTransaction };
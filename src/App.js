@@ -1,32 +1,102 @@
 import React, { useState, useEffect, useCallback } from "react";
+import clsx from "clsx";
 import MotivationalSummary from "./components/MotivationalSummary";
 import TodayTasks from "./components/TodayTasks";
 import AddTaskForm from "./components/AddTaskForm";
 import TaskHistory from "./components/TaskHistory";
-import { generateMotivationalMessage } from "./utils/aiService";
+import FocusMode from "./components/FocusMode";
+import AllTasks from "./components/AllTasks";
+import StatsDashboard from "./components/StatsDashboard";
+import WeeklyReview from "./components/WeeklyReview";
+import AuthForm from "./components/AuthForm";
+import RolloverDialog from "./components/RolloverDialog";
+import UserMenu from "./components/UserMenu";
+import SyncStatus from "./components/SyncStatus";
+import ImportExport from "./components/ImportExport";
+import GuestTasksImport from "./components/GuestTasksImport";
+import UndoToast from "./components/UndoToast";
+import TaskDetailDrawer from "./components/TaskDetailDrawer";
+import { useAuth } from "./context/AuthContext";
+import useTasks from "./hooks/useTasks";
+import useTaskFilters from "./hooks/useTaskFilters";
+import { getMotivationalSummary, clearSummaryCache } from "./utils/aiService";
+import { getToday } from "./utils/dateUtils";
+import { isSubtask, getSubtasks } from "./utils/subtasks";
+import { isRecurringOccurrence } from "./utils/recurrence";
+import { loadFocusState } from "./utils/focus";
+
+const VIEWS = [
+  { value: "today", label: "Today" },
+  { value: "all", label: "All tasks" },
+  { value: "stats", label: "Statistics" },
+  { value: "review", label: "Weekly review" },
+];
 
 function App() {
-  const [tasks, setTasks] = useState(() => {
-    const savedTasks = localStorage.getItem("todo-tasks");
-    return savedTasks ? JSON.parse(savedTasks) : [];
-  });
+  const { isAuthenticated, sessionExpired } = useAuth();
+  const [showAuthForm, setShowAuthForm] = useState(sessionExpired);
+
+  const {
+    tasks,
+    addTask,
+    toggleTask,
+    updateTask,
+    reorderTasks,
+    rolloverTasks,
+    skipOccurrence,
+    setTimer,
+    recordFocusSession,
+    deleteTask,
+    deleteTasks,
+    batchTasks,
+    lastDeletion,
+    undoDelete,
+    dismissUndo,
+    addSubtask,
+    detachSubtask,
+    reorderSubtasks,
+    reloadTasks,
+    uploadGuestTasks,
+    syncStatus,
+    pendingCount,
+    sync,
+  } = useTasks();
+
+  const { view, setView, filters, updateFilters, resetFilters } =
+    useTaskFilters();
+
+  // The task in focus mode, kept across reloads while a run is in progress
+  const [focusTaskId, setFocusTaskId] = useState(
+    () => loadFocusState()?.taskId
+  );
+  const focusTask = tasks.find((task) => task.id === focusTaskId);
 
-  const [motivationalMessage, setMotivationalMessage] = useState("");
+  // The task in the detail drawer. Search results may not be in the local
+  // list, so the task itself is kept, preferring the local copy's updates.
+  const [detailTask, setDetailTask] = useState(null);
+  const closeDetails = useCallback(() => setDetailTask(null), []);
+
+  const [motivationalSummary, setMotivationalSummary] = useState(null);
   const [isLoadingMessage, setIsLoadingMessage] = useState(true);
   const [messageError, setMessageError] = useState("");
 
-  // Save tasks to localStorage whenever tasks change
+  // Close the sign-in screen once the user is signed in
   useEffect(() => {
-    localStorage.setItem("todo-tasks", JSON.stringify(tasks));
-  }, [tasks]);
+    if (isAuthenticated) setShowAuthForm(false);
+  }, [isAuthenticated]);
+
+  // Bring the sign-in screen back when the session can't be renewed
+  useEffect(() => {
+    if (sessionExpired) setShowAuthForm(true);
+  }, [sessionExpired]);
 
   // Function to fetch motivational message (memoized)
   const fetchMotivationalMessage = useCallback(async () => {
     try {
       setIsLoadingMessage(true);
       setMessageError("");
-      const message = await generateMotivationalMessage(tasks);
-      setMotivationalMessage(message);
+      const summary = await getMotivationalSummary(tasks);
+      setMotivationalSummary(summary);
     } catch (error) {
       setMessageError(
         "Failed to load motivational message. Please try again later."
@@ -42,43 +112,83 @@ function App() {
     fetchMotivationalMessage();
   }, [fetchMotivationalMessage]);
 
-  const addTask = (taskText) => {
-    const newTask = {
-      id: Date.now(),
-      text: taskText,
-      completed: false,
-      createdAt: new Date().toISOString(),
-      date: new Date().toISOString().split("T")[0],
-    };
-    setTasks((prevTasks) => [newTask, ...prevTasks]);
+  // The refresh button always asks for a new message
+  const refreshMotivationalMessage = () => {
+    clearSummaryCache();
+    fetchMotivationalMessage();
   };
 
-  const toggleTask = (taskId) => {
-    setTasks((prevTasks) =>
-      prevTasks.map((task) =>
-        task.id === taskId ? { ...task, completed: !task.completed } : task
-      )
-    );
+  const getTodayTasks = () => {
+    const today = getToday();
+    return tasks.filter((task) => task.date === today && !isSubtask(task));
   };
 
-  const deleteTask = (taskId) => {
-    setTasks((prevTasks) => prevTasks.filter((task) => task.id !== taskId));
+  // Rescheduled tasks planned for a later day show up once it arrives
+  const getPreviousTasks = () => {
+    const today = getToday();
+    return tasks.filter((task) => task.date < today && !isSubtask(task));
   };
 
-  const getTodayTasks = () => {
-    const today = new Date().toISOString().split("T")[0];
-    return tasks.filter((task) => task.date === today);
+  // Unfinished tasks from earlier days are reviewed once per day
+  const [reviewedDay, setReviewedDay] = useState(() =>
+    localStorage.getItem("todo-rollover-reviewed")
+  );
+
+  // Missed occurrences of recurring tasks aren't carried over; the next one
+  // comes around on its own
+  const getRolloverTasks = () =>
+    getPreviousTasks().filter(
+      (task) => !task.completed && !task.dropped && !isRecurringOccurrence(task)
+    );
+
+  const finishRolloverReview = () => {
+    const today = getToday();
+    localStorage.setItem("todo-rollover-reviewed", today);
+    setReviewedDay(today);
   };
 
-  const getPreviousTasks = () => {
-    const today = new Date().toISOString().split("T")[0];
-    return tasks.filter((task) => task.date !== today);
+  const handleRollover = (decisions) => {
+    rolloverTasks(decisions);
+    if (decisions.length === getRolloverTasks().length) {
+      finishRolloverReview();
+    }
   };
 
+  // Tasks added before signing in only exist on this device
+  const guestTaskCount = tasks.filter(
+    (task) => typeof task.id === "number"
+  ).length;
+
+  const showRolloverDialog =
+    !showAuthForm &&
+    reviewedDay !== getToday() &&
+    getRolloverTasks().length > 0;
+
   return (
     <div className="min-h-screen bg-gray-50">
       <div className="container mx-auto px-4 py-8 max-w-4xl">
         <header className="text-center mb-8">
+          <div className="flex items-center justify-end space-x-3 mb-2">
+            {isAuthenticated ? (
+              <>
+                <SyncStatus
+                  status={syncStatus}
+                  pendingCount={pendingCount}
+                  onSync={sync}
+                />
+                <UserMenu />
+              </>
+            ) : (
+              !showAuthForm && (
+                <button
+                  onClick={() => setShowAuthForm(true)}
+                  className="btn-secondary text-sm"
+                >
+                  Sign in
+                </button>
+              )
+            )}
+          </div>
           <h1 className="text-4xl font-bold text-gray-900 mb-2">
             Daily Todo App
           </h1>
@@ -87,29 +197,138 @@ function App() {
           </p>
         </header>
 
-        <div className="space-y-6">
-          {/* Motivational Summary Section */}
-          <MotivationalSummary
-            message={motivationalMessage}
-            isLoading={isLoadingMessage}
-            error={messageError}
-            onRefresh={fetchMotivationalMessage}
-          />
-
-          {/* Add Task Form */}
-          <AddTaskForm onAddTask={addTask} />
-
-          {/* Today's Tasks Section */}
-          <TodayTasks
-            tasks={getTodayTasks()}
-            onToggleTask={toggleTask}
-            onDeleteTask={deleteTask}
-          />
-
-          {/* Task History Section */}
-          <TaskHistory tasks={getPreviousTasks()} />
-        </div>
+        {showAuthForm && !isAuthenticated ? (
+          <AuthForm onCancel={() => setShowAuthForm(false)} />
+        ) : (
+          <div className="space-y-6">
+            {/* Motivational Summary Section */}
+            <MotivationalSummary
+              message={motivationalSummary?.message}
+              statistics={motivationalSummary?.statistics}
+              predictedTasks={motivationalSummary?.predictedTasks}
+              plannedTitles={getTodayTasks().map((task) => task.text)}
+              onAcceptSuggestion={addTask}
+              isLoading={isLoadingMessage}
+              error={messageError}
+              onRefresh={refreshMotivationalMessage}
+            />
+
+            {isAuthenticated && guestTaskCount > 0 && (
+              <GuestTasksImport
+                count={guestTaskCount}
+                onUpload={uploadGuestTasks}
+              />
+            )}
+
+            {/* Add Task Form */}
+            <AddTaskForm onAddTask={addTask} />
+
+            {/* View Switcher */}
+            <nav className="flex flex-wrap gap-2" aria-label="Task views">
+              {VIEWS.map((option) => (
+                <button
+                  key={option.value}
+                  onClick={() => setView(option.value)}
+                  aria-current={view === option.value ? "page" : undefined}
+                  className={clsx(
+                    "text-sm",
+                    view === option.value ? "btn-primary" : "btn-secondary"
+                  )}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </nav>
+
+            {view === "all" && (
+              <>
+                <ImportExport tasks={tasks} onImported={reloadTasks} />
+                <AllTasks
+                  tasks={tasks}
+                  filters={filters}
+                  onFiltersChange={updateFilters}
+                  onResetFilters={resetFilters}
+                  onShowDetails={setDetailTask}
+                />
+              </>
+            )}
+
+            {/* Statistics Dashboard */}
+            {view === "stats" && <StatsDashboard />}
+
+            {/* Weekly Review */}
+            {view === "review" && (
+              <WeeklyReview onRolloverTasks={rolloverTasks} />
+            )}
+
+            {view === "today" && (
+              <>
+                {/* Focus mode for the selected task */}
+                {focusTask && (
+                  <FocusMode
+                    key={focusTask.id}
+                    task={focusTask}
+                    onTimer={setTimer}
+                    onRecordSession={recordFocusSession}
+                    onClose={() => setFocusTaskId(null)}
+                  />
+                )}
+
+                {/* Today's Tasks Section */}
+                <TodayTasks
+                  tasks={getTodayTasks()}
+                  getSubtasks={(task) => getSubtasks(task, tasks)}
+                  onToggleTask={toggleTask}
+                  onUpdateTask={updateTask}
+                  onReorderTasks={reorderTasks}
+                  onDeleteTask={deleteTask}
+                  onAddSubtask={addSubtask}
+                  onDetachSubtask={detachSubtask}
+                  onReorderSubtasks={reorderSubtasks}
+                  onSkipOccurrence={skipOccurrence}
+                  onTimer={setTimer}
+                  onFocus={setFocusTaskId}
+                  onShowDetails={setDetailTask}
+                  onBatch={batchTasks}
+                />
+
+                {/* Task History Section */}
+                <TaskHistory
+                  tasks={getPreviousTasks()}
+                  onToggleTask={toggleTask}
+                  onDeleteTask={deleteTask}
+                  onDeleteTasks={deleteTasks}
+                  onAddTask={addTask}
+                />
+              </>
+            )}
+          </div>
+        )}
       </div>
+
+      {showRolloverDialog && (
+        <RolloverDialog
+          tasks={getRolloverTasks()}
+          onRollover={handleRollover}
+          onClose={finishRolloverReview}
+        />
+      )}
+
+      {detailTask && (
+        <TaskDetailDrawer
+          task={tasks.find((task) => task.id === detailTask.id) || detailTask}
+          onClose={closeDetails}
+        />
+      )}
+
+      {lastDeletion && (
+        <UndoToast
+          key={lastDeletion.id}
+          message={lastDeletion.message}
+          onUndo={undoDelete}
+          onDismiss={dismissUndo}
+        />
+      )}
     </div>
   );
 }
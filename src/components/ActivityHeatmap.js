@@ -0,0 +1,115 @@
+import React from "react";
+import clsx from "clsx";
+import { addDays, formatDay } from "../utils/dateUtils";
+
+const WEEKDAY_LABELS = ["", "Mon", "", "Wed", "", "Fri", ""];
+
+const getLevelStyle = (count) => {
+  if (!count) return "bg-gray-100";
+  if (count === 1) return "bg-success-200";
+  if (count <= 3) return "bg-success-400";
+  if (count <= 5) return "bg-success-600";
+  return "bg-success-800";
+};
+
+// 0 (Sunday) to 6 (Saturday) for a "YYYY-MM-DD" day key
+const getWeekday = (dayKey) => new Date(`${dayKey}T00:00:00Z`).getUTCDay();
+
+// Columns of seven days (Sunday first) covering startDate to endDate
+const buildWeeks = (startDate, endDate) => {
+  const weeks = [];
+  let day = addDays(startDate, -getWeekday(startDate));
+
+  while (day <= endDate) {
+    const week = [];
+    for (let i = 0; i < 7; i++) {
+      week.push(day >= startDate && day <= endDate ? day : null);
+      day = addDays(day, 1);
+    }
+    weeks.push(week);
+  }
+
+  return weeks;
+};
+
+const monthLabel = (dayKey) =>
+  new Date(`${dayKey}T00:00:00Z`).toLocaleDateString("en-US", {
+    timeZone: "UTC",
+    month: "short",
+  });
+
+// GitHub-style calendar of completed tasks over the last year
+const ActivityHeatmap = ({ activity }) => {
+  const weeks = buildWeeks(activity.startDate, activity.endDate);
+  const total = Object.values(activity.days).reduce(
+    (sum, count) => sum + count,
+    0
+  );
+
+  // Label a column when a new month starts in it
+  let previousMonth = null;
+  const monthLabels = weeks.map((week) => {
+    const firstDay = week.find(Boolean);
+    const month = firstDay.slice(0, 7);
+    if (month === previousMonth) return "";
+    previousMonth = month;
+    return monthLabel(firstDay);
+  });
+
+  return (
+    <div>
+      <div className="overflow-x-auto">
+        <div className="inline-flex space-x-1 text-[10px] text-gray-400">
+          <div className="flex flex-col space-y-1 pt-4 pr-1">
+            {WEEKDAY_LABELS.map((label, index) => (
+              <span key={index} className="h-3 leading-3">
+                {label}
+              </span>
+            ))}
+          </div>
+          {weeks.map((week, weekIndex) => (
+            <div key={week.find(Boolean)} className="flex flex-col space-y-1">
+              <span className="h-3 leading-3 whitespace-nowrap">
+                {monthLabels[weekIndex]}
+              </span>
+              {week.map((day, dayIndex) =>
+                day ? (
+                  <span
+                    key={day}
+                    className={clsx(
+                      "w-3 h-3 rounded-sm",
+                      getLevelStyle(activity.days[day])
+                    )}
+                    title={`${activity.days[day] || 0} completed on ${formatDay(
+                      day
+                    )}`}
+                  />
+                ) : (
+                  <span key={`empty-${dayIndex}`} className="w-3 h-3" />
+                )
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between mt-2 text-xs text-gray-500">
+        <span>
+          {total} task{total === 1 ? "" : "s"} completed in the last year
+        </span>
+        <span className="flex items-center space-x-1">
+          <span>Less</span>
+          {[0, 1, 2, 4, 6].map((count) => (
+            <span
+              key={count}
+              className={clsx("w-3 h-3 rounded-sm", getLevelStyle(count))}
+            />
+          ))}
+          <span>More</span>
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default ActivityHeatmap;
@@ -1,14 +1,94 @@
 import React, { useState } from "react";
-import { Plus, Send } from "lucide-react";
+import {
+  Plus,
+  Send,
+  ChevronDown,
+  ChevronUp,
+  Flag,
+  Calendar,
+  Clock,
+  Tag,
+  Repeat,
+} from "lucide-react";
+import clsx from "clsx";
+import { parseQuickAdd } from "../utils/quickAdd";
+import { PRIORITIES, getPriorityStyle } from "../utils/priorities";
+import {
+  toDateTimeInput,
+  fromDateTimeInput,
+  formatDueDate,
+} from "../utils/dateUtils";
+
+const RECURRENCE_TYPES = ["daily", "weekly", "monthly", "yearly"];
+
+const emptyDetails = {
+  description: "",
+  priority: "",
+  dueDate: "",
+  tags: "",
+  estimatedTime: "",
+  recurrence: "",
+  interval: 1,
+};
+
+// The server refuses due dates in the past, so the form does too
+const isPastDue = (task, now = new Date()) =>
+  Boolean(task.dueDate) && new Date(task.dueDate) <= now;
+
+// Values set in the details panel win over ones parsed from the text
+const buildTask = (taskText, details) => {
+  const parsed = parseQuickAdd(taskText);
+  const panelTags = details.tags
+    .split(",")
+    .map((tag) => tag.trim().replace(/^#/, ""))
+    .filter(Boolean);
+
+  const task = {
+    text: parsed.text,
+    description: details.description.trim() || null,
+    priority: details.priority || parsed.priority,
+    dueDate: fromDateTimeInput(details.dueDate) || parsed.dueDate,
+    tags: [...new Set([...parsed.tags, ...panelTags])].slice(0, 10),
+    estimatedTime:
+      details.estimatedTime !== ""
+        ? Number(details.estimatedTime)
+        : parsed.estimatedTime,
+    ...(details.recurrence && {
+      isRecurring: true,
+      recurring: {
+        type: details.recurrence,
+        interval: Math.max(1, Number(details.interval) || 1),
+      },
+    }),
+  };
+
+  // Leave unset fields out entirely
+  return Object.fromEntries(
+    Object.entries(task).filter(
+      ([, value]) =>
+        value !== null && !(Array.isArray(value) && value.length === 0)
+    )
+  );
+};
 
 const AddTaskForm = ({ onAddTask }) => {
   const [taskText, setTaskText] = useState("");
+  const [showDetails, setShowDetails] = useState(false);
+  const [details, setDetails] = useState(emptyDetails);
+
+  const task = buildTask(taskText, details);
+  const pastDue = isPastDue(task);
+
+  const updateDetail = (field) => (e) =>
+    setDetails((prev) => ({ ...prev, [field]: e.target.value }));
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (taskText.trim()) {
-      onAddTask(taskText.trim());
+    if (task.text && !isPastDue(task)) {
+      const { text, ...taskDetails } = task;
+      onAddTask(text, taskDetails);
       setTaskText("");
+      setDetails(emptyDetails);
     }
   };
 
@@ -39,7 +119,7 @@ const AddTaskForm = ({ onAddTask }) => {
           />
           <button
             type="submit"
-            disabled={!taskText.trim()}
+            disabled={!task.text || pastDue}
             className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
           >
             <Send className="w-4 h-4" />
@@ -47,9 +127,117 @@ const AddTaskForm = ({ onAddTask }) => {
           </button>
         </div>
 
-        {taskText.length > 0 && (
-          <div className="text-sm text-gray-500">
-            {taskText.length}/200 characters
+        {taskText.length > 0 && <TaskPreview task={task} pastDue={pastDue} />}
+
+        {pastDue && (
+          <p className="text-sm text-red-600" role="alert">
+            The due date has already passed. Pick a later day or time.
+          </p>
+        )}
+
+        <div className="flex items-center justify-between text-sm text-gray-500">
+          {taskText.length > 0 ? (
+            <span>{taskText.length}/200 characters</span>
+          ) : (
+            <span>Try "Write report !high #work tomorrow 5pm ~45m"</span>
+          )}
+          <button
+            type="button"
+            onClick={() => setShowDetails(!showDetails)}
+            className="flex items-center text-primary-600 hover:underline"
+          >
+            {showDetails ? "Hide details" : "Add details"}
+            {showDetails ? (
+              <ChevronUp className="w-4 h-4 ml-1" />
+            ) : (
+              <ChevronDown className="w-4 h-4 ml-1" />
+            )}
+          </button>
+        </div>
+
+        {showDetails && (
+          <div className="space-y-3 pt-3 border-t border-gray-100">
+            <textarea
+              value={details.description}
+              onChange={updateDetail("description")}
+              placeholder="Description"
+              className="input-field"
+              rows={2}
+              maxLength={1000}
+            />
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              <label className="text-xs text-gray-500">
+                Priority
+                <select
+                  value={details.priority}
+                  onChange={updateDetail("priority")}
+                  className="input-field mt-1"
+                >
+                  <option value="">Default</option>
+                  {PRIORITIES.map((option) => (
+                    <option key={option} value={option}>
+                      {option}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-xs text-gray-500">
+                Due date
+                <input
+                  type="datetime-local"
+                  value={details.dueDate}
+                  min={toDateTimeInput(new Date().toISOString())}
+                  onChange={updateDetail("dueDate")}
+                  className="input-field mt-1"
+                />
+              </label>
+              <label className="text-xs text-gray-500">
+                Estimate (minutes)
+                <input
+                  type="number"
+                  min={0}
+                  value={details.estimatedTime}
+                  onChange={updateDetail("estimatedTime")}
+                  className="input-field mt-1"
+                />
+              </label>
+            </div>
+            <input
+              type="text"
+              value={details.tags}
+              onChange={updateDetail("tags")}
+              placeholder="Tags, separated by commas"
+              className="input-field"
+            />
+            <div className="grid grid-cols-2 gap-3">
+              <label className="text-xs text-gray-500">
+                Repeat
+                <select
+                  value={details.recurrence}
+                  onChange={updateDetail("recurrence")}
+                  className="input-field mt-1"
+                >
+                  <option value="">Does not repeat</option>
+                  {RECURRENCE_TYPES.map((option) => (
+                    <option key={option} value={option}>
+                      {option}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {details.recurrence && (
+                <label className="text-xs text-gray-500">
+                  Every
+                  <input
+                    type="number"
+                    min={1}
+                    value={details.interval}
+                    onChange={updateDetail("interval")}
+                    className="input-field mt-1"
+                  />
+                </label>
+              )}
+            </div>
           </div>
         )}
       </form>
@@ -57,4 +245,67 @@ const AddTaskForm = ({ onAddTask }) => {
   );
 };
 
+// Chips previewing what will be saved with the task
+const TaskPreview = ({ task, pastDue }) => {
+  const chips = [];
+
+  if (task.priority) {
+    chips.push({
+      key: "priority",
+      icon: Flag,
+      label: task.priority,
+      className: getPriorityStyle(task.priority),
+    });
+  }
+  if (task.dueDate) {
+    chips.push({
+      key: "dueDate",
+      icon: Calendar,
+      label: formatDueDate(task.dueDate),
+      className: pastDue && "bg-red-100 text-red-800",
+    });
+  }
+  if (task.estimatedTime) {
+    chips.push({
+      key: "estimatedTime",
+      icon: Clock,
+      label: `${task.estimatedTime} min`,
+    });
+  }
+  (task.tags || []).forEach((tag) =>
+    chips.push({ key: `tag-${tag}`, icon: Tag, label: tag })
+  );
+  if (task.recurring) {
+    chips.push({
+      key: "recurring",
+      icon: Repeat,
+      label:
+        task.recurring.interval > 1
+          ? `every ${task.recurring.interval} × ${task.recurring.type}`
+          : task.recurring.type,
+    });
+  }
+
+  if (chips.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {chips.map(({ key, icon: Icon, label, className }) => (
+        <span
+          key={key}
+          className={clsx(
+            "flex items-center px-2 py-1 rounded-full text-xs font-medium",
+            className || "bg-gray-100 text-gray-700"
+          )}
+        >
+          <Icon className="w-3 h-3 mr-1" />
+          {label}
+        </span>
+      ))}
+    </div>
+  );
+};
+
 export default AddTaskForm;
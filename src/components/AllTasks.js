@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from "react";
+import {
+  ListFilter,
+  CheckCircle2,
+  Circle,
+  Ban,
+  Calendar,
+  Tag,
+  ChevronLeft,
+  ChevronRight,
+  History,
+} from "lucide-react";
+import clsx from "clsx";
+import TaskFilterBar from "./TaskFilterBar";
+import { useAuth } from "../context/AuthContext";
+import { searchTasks } from "../utils/taskService";
+import { filterTasksLocally } from "../utils/taskFilters";
+import { getPriorityStyle } from "../utils/priorities";
+import { formatDay, formatDueDate } from "../utils/dateUtils";
+
+// Wait for a pause in typing before searching the server
+const SEARCH_DELAY_MS = 300;
+
+// Paginated, filterable list of every task. Signed-in users search the
+// server; guests (and anyone offline) search the tasks on this device.
+const AllTasks = ({
+  tasks,
+  filters,
+  onFiltersChange,
+  onResetFilters,
+  onShowDetails,
+}) => {
+  const { isAuthenticated } = useAuth();
+  const [results, setResults] = useState(() =>
+    filterTasksLocally(tasks, filters)
+  );
+  const [isLoading, setIsLoading] = useState(false);
+  const [isLocalFallback, setIsLocalFallback] = useState(false);
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setResults(filterTasksLocally(tasks, filters));
+      return;
+    }
+
+    let isCurrent = true;
+    setIsLoading(true);
+    const timer = setTimeout(() => {
+      searchTasks(filters)
+        .then((serverResults) => {
+          if (!isCurrent) return;
+          setResults(serverResults);
+          setIsLocalFallback(false);
+        })
+        .catch((error) => {
+          if (!isCurrent) return;
+          console.error("Error searching tasks:", error);
+          setResults(filterTasksLocally(tasks, filters));
+          setIsLocalFallback(true);
+        })
+        .finally(() => {
+          if (isCurrent) setIsLoading(false);
+        });
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+  }, [isAuthenticated, tasks, filters]);
+
+  const knownTags = [...new Set(tasks.flatMap((task) => task.tags || []))];
+  const { pagination } = results;
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+          <ListFilter className="w-5 h-5 mr-2 text-primary-600" />
+          All Tasks
+        </h2>
+        <div className="text-sm text-gray-500">
+          {isLoading
+            ? "Searching..."
+            : `${pagination.total} task${pagination.total === 1 ? "" : "s"}`}
+        </div>
+      </div>
+
+      <TaskFilterBar
+        filters={filters}
+        onChange={onFiltersChange}
+        onReset={onResetFilters}
+        knownTags={knownTags}
+      />
+
+      {isLocalFallback && (
+        <p className="text-sm text-warning-700 mb-3">
+          Couldn't reach the server; showing tasks saved on this device.
+        </p>
+      )}
+
+      {results.tasks.length === 0 ? (
+        <div className="text-center py-8 text-gray-500">
+          <ListFilter className="w-12 h-12 mx-auto mb-3 text-gray-300" />
+          <p>No tasks match these filters.</p>
+        </div>
+      ) : (
+        <ul
+          className={clsx("space-y-2", isLoading && "opacity-60")}
+          aria-busy={isLoading}
+        >
+          {results.tasks.map((task) => (
+            <ResultItem
+              key={task.id}
+              task={task}
+              onShowDetails={onShowDetails}
+            />
+          ))}
+        </ul>
+      )}
+
+      {pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between mt-4 text-sm">
+          <button
+            onClick={() => onFiltersChange({ page: pagination.page - 1 })}
+            disabled={!pagination.hasPrevPage}
+            className="btn-secondary flex items-center disabled:opacity-50"
+          >
+            <ChevronLeft className="w-4 h-4 mr-1" />
+            Previous
+          </button>
+          <span className="text-gray-500">
+            Page {pagination.page} of {pagination.totalPages}
+          </span>
+          <button
+            onClick={() => onFiltersChange({ page: pagination.page + 1 })}
+            disabled={!pagination.hasNextPage}
+            className="btn-secondary flex items-center disabled:opacity-50"
+          >
+            Next
+            <ChevronRight className="w-4 h-4 ml-1" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ResultItem = ({ task, onShowDetails }) => (
+  <li
+    className={clsx(
+      "flex items-start space-x-3 p-3 rounded-lg border border-gray-200",
+      task.completed && "bg-green-50"
+    )}
+  >
+    {task.completed ? (
+      <CheckCircle2 className="w-4 h-4 mt-1 text-success-600 flex-shrink-0" />
+    ) : task.dropped ? (
+      <Ban className="w-4 h-4 mt-1 text-gray-400 flex-shrink-0" />
+    ) : (
+      <Circle className="w-4 h-4 mt-1 text-gray-400 flex-shrink-0" />
+    )}
+    <div className="flex-1 min-w-0">
+      <p
+        className={clsx(
+          "text-gray-900",
+          (task.completed || task.dropped) && "task-text-completed"
+        )}
+      >
+        {task.text}
+      </p>
+      {task.description && (
+        <p className="text-sm text-gray-600 truncate">{task.description}</p>
+      )}
+      <div className="flex flex-wrap items-center gap-2 mt-1 text-xs text-gray-500">
+        <span>{formatDay(task.date)}</span>
+        {task.priority && (
+          <span
+            className={clsx(
+              "px-2 rounded-full font-medium",
+              getPriorityStyle(task.priority)
+            )}
+          >
+            {task.priority}
+          </span>
+        )}
+        {task.dueDate && (
+          <span className="flex items-center">
+            <Calendar className="w-3 h-3 mr-1" />
+            Due {formatDueDate(task.dueDate)}
+          </span>
+        )}
+        {(task.tags || []).map((tag) => (
+          <span key={tag} className="flex items-center text-primary-700">
+            <Tag className="w-3 h-3 mr-1" />
+            {tag}
+          </span>
+        ))}
+      </div>
+    </div>
+    <button
+      onClick={() => onShowDetails(task)}
+      className="text-gray-400 hover:text-gray-600"
+      title="Details and activity"
+      aria-label="Details and activity"
+    >
+      <History className="w-4 h-4" />
+    </button>
+  </li>
+);
+
+export default AllTasks;
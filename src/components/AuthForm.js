@@ -0,0 +1,205 @@
+import React, { useState } from "react";
+import { LogIn, UserPlus, Loader2, AlertCircle } from "lucide-react";
+import { useAuth } from "../context/AuthContext";
+
+const emptyRegistration = {
+  username: "",
+  email: "",
+  password: "",
+  firstName: "",
+  lastName: "",
+};
+
+const AuthForm = ({ onCancel }) => {
+  const { login, register, sessionExpired } = useAuth();
+  const [mode, setMode] = useState("login");
+  const [identifier, setIdentifier] = useState("");
+  const [password, setPassword] = useState("");
+  const [details, setDetails] = useState(emptyRegistration);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isLogin = mode === "login";
+
+  const updateDetail = (field) => (e) =>
+    setDetails((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const switchMode = () => {
+    setMode(isLogin ? "register" : "login");
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      if (isLogin) {
+        await login(identifier.trim(), password);
+      } else {
+        // Optional name fields are omitted rather than sent empty
+        const payload = Object.fromEntries(
+          Object.entries(details).filter(([, value]) => value.trim())
+        );
+        await register(payload);
+      }
+    } catch (err) {
+      setError({
+        message: err.message,
+        details: err.data?.details || [],
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="card max-w-md mx-auto">
+      <h2 className="text-xl font-semibold text-gray-900 mb-1 flex items-center">
+        {isLogin ? (
+          <LogIn className="w-5 h-5 mr-2 text-primary-600" />
+        ) : (
+          <UserPlus className="w-5 h-5 mr-2 text-primary-600" />
+        )}
+        {isLogin ? "Sign In" : "Create Account"}
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">
+        {isLogin
+          ? "Sign in to sync your tasks across devices."
+          : "Sign up to keep your tasks in the cloud."}
+      </p>
+
+      {sessionExpired && isLogin && !error && (
+        <div className="text-sm text-warning-800 bg-warning-50 p-3 rounded-lg mb-4">
+          Your session has expired. Please sign in again.
+        </div>
+      )}
+
+      {error && (
+        <div className="flex items-start space-x-2 text-red-600 bg-red-50 p-3 rounded-lg mb-4">
+          <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          <div className="text-sm">
+            <p>{error.message}</p>
+            {error.details.length > 0 && (
+              <ul className="list-disc ml-4 mt-1">
+                {error.details.map((detail) => (
+                  <li key={detail.field}>{detail.message}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-3">
+        {isLogin ? (
+          <>
+            <input
+              type="text"
+              value={identifier}
+              onChange={(e) => setIdentifier(e.target.value)}
+              placeholder="Email or username"
+              className="input-field"
+              autoComplete="username"
+              required
+            />
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Password"
+              className="input-field"
+              autoComplete="current-password"
+              required
+            />
+          </>
+        ) : (
+          <>
+            <div className="flex space-x-3">
+              <input
+                type="text"
+                value={details.firstName}
+                onChange={updateDetail("firstName")}
+                placeholder="First name"
+                className="input-field"
+                maxLength={50}
+              />
+              <input
+                type="text"
+                value={details.lastName}
+                onChange={updateDetail("lastName")}
+                placeholder="Last name"
+                className="input-field"
+                maxLength={50}
+              />
+            </div>
+            <input
+              type="text"
+              value={details.username}
+              onChange={updateDetail("username")}
+              placeholder="Username"
+              className="input-field"
+              autoComplete="username"
+              maxLength={30}
+              required
+            />
+            <input
+              type="email"
+              value={details.email}
+              onChange={updateDetail("email")}
+              placeholder="Email"
+              className="input-field"
+              autoComplete="email"
+              required
+            />
+            <input
+              type="password"
+              value={details.password}
+              onChange={updateDetail("password")}
+              placeholder="Password"
+              className="input-field"
+              autoComplete="new-password"
+              minLength={6}
+              required
+            />
+            <p className="text-xs text-gray-500">
+              At least 6 characters with an uppercase letter, a lowercase letter
+              and a number.
+            </p>
+          </>
+        )}
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="btn-primary w-full disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center space-x-2"
+        >
+          {isSubmitting && <Loader2 className="w-4 h-4 animate-spin" />}
+          <span>{isLogin ? "Sign In" : "Create Account"}</span>
+        </button>
+      </form>
+
+      <div className="flex items-center justify-between mt-4 text-sm">
+        <button
+          onClick={switchMode}
+          className="text-primary-600 hover:underline"
+        >
+          {isLogin
+            ? "Need an account? Sign up"
+            : "Already have an account? Sign in"}
+        </button>
+        {onCancel && (
+          <button
+            onClick={onCancel}
+            className="text-gray-500 hover:text-gray-700"
+          >
+            Continue offline
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuthForm;
@@ -0,0 +1,159 @@
+import React, { useState } from "react";
+import {
+  CheckCircle2,
+  RotateCcw,
+  CalendarClock,
+  Tag,
+  Trash2,
+  X,
+} from "lucide-react";
+import { PRIORITIES } from "../utils/priorities";
+import { getToday, addDays } from "../utils/dateUtils";
+
+const getTomorrow = () => addDays(getToday(), 1);
+
+// Toolbar for the tasks selected in TodayTasks. Each action becomes one
+// operation per selected task, run as a batch.
+const BatchActions = ({
+  selectedTasks,
+  allSelected,
+  onToggleAll,
+  onRun,
+  onClose,
+}) => {
+  const [moveDate, setMoveDate] = useState(getTomorrow);
+  const [tag, setTag] = useState("");
+
+  const openTasks = selectedTasks.filter(
+    (task) => !task.completed && !task.dropped
+  );
+  const completedTasks = selectedTasks.filter((task) => task.completed);
+  const trimmedTag = tag.trim();
+  const nothingSelected = selectedTasks.length === 0;
+
+  const run = (tasks, action, details = {}) =>
+    onRun(tasks.map((task) => ({ taskId: task.id, action, ...details })));
+
+  const retag = (field) => {
+    run(selectedTasks, "retag", { [field]: [trimmedTag] });
+    setTag("");
+  };
+
+  return (
+    <div
+      className="mb-4 p-3 rounded-lg bg-primary-50 border border-primary-200 space-y-3"
+      role="toolbar"
+      aria-label="Selected tasks"
+    >
+      <div className="flex items-center justify-between">
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input type="checkbox" checked={allSelected} onChange={onToggleAll} />
+          <span>
+            {selectedTasks.length === 1
+              ? "1 task selected"
+              : `${selectedTasks.length} tasks selected`}
+          </span>
+        </label>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700"
+          title="Stop selecting"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => run(openTasks, "complete")}
+          disabled={openTasks.length === 0}
+          className="btn-primary py-1 text-sm flex items-center disabled:opacity-50"
+        >
+          <CheckCircle2 className="w-4 h-4 mr-1" />
+          Complete
+        </button>
+        <button
+          onClick={() => run(completedTasks, "restore")}
+          disabled={completedTasks.length === 0}
+          className="btn-secondary py-1 text-sm flex items-center disabled:opacity-50"
+        >
+          <RotateCcw className="w-4 h-4 mr-1" />
+          Reopen
+        </button>
+        <select
+          value=""
+          onChange={(e) =>
+            run(selectedTasks, "update", {
+              changes: { priority: e.target.value },
+            })
+          }
+          disabled={nothingSelected}
+          className="input-field w-auto py-1 text-sm"
+          aria-label="Set priority"
+        >
+          <option value="" disabled>
+            Set priority…
+          </option>
+          {PRIORITIES.map((option) => (
+            <option key={option} value={option}>
+              {option}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={() => run(selectedTasks, "delete")}
+          disabled={nothingSelected}
+          className="btn-danger py-1 text-sm flex items-center disabled:opacity-50"
+        >
+          <Trash2 className="w-4 h-4 mr-1" />
+          Delete
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="date"
+          value={moveDate}
+          min={getToday()}
+          onChange={(e) => setMoveDate(e.target.value)}
+          className="input-field w-auto py-1 text-sm"
+          aria-label="Day to move the tasks to"
+        />
+        <button
+          onClick={() => run(openTasks, "reschedule", { date: moveDate })}
+          disabled={openTasks.length === 0 || !moveDate}
+          className="btn-secondary py-1 text-sm flex items-center disabled:opacity-50"
+        >
+          <CalendarClock className="w-4 h-4 mr-1" />
+          Move
+        </button>
+        <input
+          type="text"
+          value={tag}
+          onChange={(e) => setTag(e.target.value)}
+          placeholder="Tag"
+          maxLength={50}
+          className="input-field w-32 py-1 text-sm"
+          aria-label="Tag to add or remove"
+        />
+        <button
+          onClick={() => retag("addTags")}
+          disabled={nothingSelected || !trimmedTag}
+          className="btn-secondary py-1 text-sm flex items-center disabled:opacity-50"
+        >
+          <Tag className="w-4 h-4 mr-1" />
+          Add tag
+        </button>
+        <button
+          onClick={() => retag("removeTags")}
+          disabled={nothingSelected || !trimmedTag}
+          className="btn-secondary py-1 text-sm disabled:opacity-50"
+        >
+          Remove tag
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BatchActions;
@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from "react";
+import { CalendarDays, Copy, Check, RefreshCw } from "lucide-react";
+import {
+  getCalendarFeed,
+  rotateCalendarFeed,
+  disableCalendarFeed,
+} from "../utils/calendarService";
+
+// Subscribe link for calendar apps. Anyone with the link can read the
+// tasks, so it can be replaced or turned off.
+const CalendarFeed = () => {
+  const [feed, setFeed] = useState(null);
+  const [asEvents, setAsEvents] = useState(false);
+  const [isCopied, setIsCopied] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let isCancelled = false;
+
+    getCalendarFeed()
+      .then((nextFeed) => !isCancelled && setFeed(nextFeed))
+      .catch((loadError) => {
+        console.error("Error loading calendar feed:", loadError);
+        if (!isCancelled) setError("Couldn't load the calendar link.");
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, []);
+
+  const save = async (request) => {
+    setIsSaving(true);
+    setError("");
+    setIsCopied(false);
+    try {
+      setFeed(await request());
+    } catch (saveError) {
+      console.error("Error updating calendar feed:", saveError);
+      setError("Couldn't update the calendar link. Please try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const replaceLink = () => {
+    if (
+      window.confirm(
+        "Calendars subscribed to the current link will stop updating. Create a new link?"
+      )
+    ) {
+      save(rotateCalendarFeed);
+    }
+  };
+
+  // Calendars that don't show tasks get them as events instead
+  const url = feed?.enabled
+    ? `${feed.webcalUrl}${asEvents ? "?type=event" : ""}`
+    : "";
+
+  const copyUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setIsCopied(true);
+    } catch (copyError) {
+      console.error("Error copying calendar link:", copyError);
+    }
+  };
+
+  return (
+    <div className="px-4 py-2 border-b border-gray-100">
+      <p className="flex items-center space-x-2 text-sm text-gray-700">
+        <CalendarDays className="w-4 h-4 text-gray-400" />
+        <span>Calendar feed</span>
+      </p>
+
+      {feed && !feed.enabled && (
+        <button
+          onClick={() => save(rotateCalendarFeed)}
+          disabled={isSaving}
+          className="mt-1 text-xs text-primary-600 hover:underline"
+        >
+          Create a subscribe link
+        </button>
+      )}
+
+      {feed?.enabled && (
+        <>
+          <div className="flex items-center space-x-1 mt-1">
+            <input
+              type="text"
+              value={url}
+              readOnly
+              onFocus={(e) => e.target.select()}
+              className="input-field text-xs"
+              aria-label="Calendar feed link"
+            />
+            <button
+              onClick={copyUrl}
+              className="p-1 text-gray-500 hover:text-gray-700"
+              title="Copy link"
+              aria-label="Copy link"
+            >
+              {isCopied ? (
+                <Check className="w-4 h-4 text-success-600" />
+              ) : (
+                <Copy className="w-4 h-4" />
+              )}
+            </button>
+          </div>
+          <label className="flex items-center space-x-2 mt-1 text-xs text-gray-500">
+            <input
+              type="checkbox"
+              checked={asEvents}
+              onChange={(e) => {
+                setAsEvents(e.target.checked);
+                setIsCopied(false);
+              }}
+            />
+            <span>Show tasks as events</span>
+          </label>
+          <div className="flex items-center space-x-3 mt-1">
+            <button
+              onClick={replaceLink}
+              disabled={isSaving}
+              className="flex items-center text-xs text-primary-600 hover:underline"
+            >
+              <RefreshCw className="w-3 h-3 mr-1" />
+              New link
+            </button>
+            <button
+              onClick={() => save(disableCalendarFeed)}
+              disabled={isSaving}
+              className="text-xs text-gray-500 hover:underline"
+            >
+              Turn off
+            </button>
+          </div>
+        </>
+      )}
+
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default CalendarFeed;
@@ -0,0 +1,127 @@
+import React from "react";
+import { formatDay } from "../utils/dateUtils";
+
+const WIDTH = 600;
+const HEIGHT = 160;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 36 };
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right;
+const PLOT_HEIGHT = HEIGHT - PADDING.top - PADDING.bottom;
+
+// Points are only drawn for days that had tasks, so the line breaks over
+// empty days instead of dropping to 0%
+const buildSegments = (trend) => {
+  const step = trend.length > 1 ? PLOT_WIDTH / (trend.length - 1) : 0;
+  const segments = [];
+  let current = [];
+
+  trend.forEach((day, index) => {
+    if (day.total === 0) {
+      if (current.length > 0) segments.push(current);
+      current = [];
+      return;
+    }
+    current.push({
+      ...day,
+      x: PADDING.left + (trend.length > 1 ? index * step : PLOT_WIDTH / 2),
+      y: PADDING.top + PLOT_HEIGHT * (1 - day.completionRate / 100),
+    });
+  });
+  if (current.length > 0) segments.push(current);
+
+  return segments;
+};
+
+// Daily completion rate over the selected period, as an SVG line chart
+const CompletionTrendChart = ({ trend }) => {
+  const segments = buildSegments(trend);
+  const showDots = trend.length <= 31;
+
+  if (segments.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 py-8 text-center">
+        No tasks in this period yet.
+      </p>
+    );
+  }
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      className="w-full h-auto"
+      role="img"
+      aria-label={`Daily completion rate from ${formatDay(
+        trend[0].date
+      )} to ${formatDay(trend[trend.length - 1].date)}`}
+    >
+      {[0, 50, 100].map((rate) => {
+        const y = PADDING.top + PLOT_HEIGHT * (1 - rate / 100);
+        return (
+          <g key={rate}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y}
+              y2={y}
+              className="stroke-gray-200"
+              strokeDasharray={rate === 0 ? undefined : "4 4"}
+            />
+            <text
+              x={PADDING.left - 6}
+              y={y + 4}
+              textAnchor="end"
+              className="fill-gray-400 text-[10px]"
+            >
+              {rate}%
+            </text>
+          </g>
+        );
+      })}
+
+      <text
+        x={PADDING.left}
+        y={HEIGHT - 6}
+        className="fill-gray-400 text-[10px]"
+      >
+        {formatDay(trend[0].date)}
+      </text>
+      <text
+        x={WIDTH - PADDING.right}
+        y={HEIGHT - 6}
+        textAnchor="end"
+        className="fill-gray-400 text-[10px]"
+      >
+        {formatDay(trend[trend.length - 1].date)}
+      </text>
+
+      {segments.map((points) => (
+        <polyline
+          key={points[0].date}
+          points={points.map((point) => `${point.x},${point.y}`).join(" ")}
+          fill="none"
+          className="stroke-primary-600"
+          strokeWidth="2"
+          strokeLinejoin="round"
+        />
+      ))}
+
+      {(showDots || segments.some((points) => points.length === 1)) &&
+        segments.flat().map((point) => (
+          <circle
+            key={point.date}
+            cx={point.x}
+            cy={point.y}
+            r="3"
+            className="fill-primary-600"
+          >
+            <title>
+              {`${formatDay(point.date)}: ${point.completed} of ${
+                point.total
+              } done (${point.completionRate}%)`}
+            </title>
+          </circle>
+        ))}
+    </svg>
+  );
+};
+
+export default CompletionTrendChart;
@@ -0,0 +1,326 @@
+import React, { useState, useEffect } from "react";
+import {
+  Target,
+  Play,
+  Pause,
+  SkipForward,
+  X,
+  Settings,
+  Coffee,
+} from "lucide-react";
+import clsx from "clsx";
+import useFocusSettings from "../hooks/useFocusSettings";
+import { formatDuration } from "../utils/timeTracking";
+import {
+  PHASES,
+  MIN_RECORDED_MS,
+  getPhaseMs,
+  getNextPhase,
+  loadFocusState,
+  saveFocusState,
+  clearFocusState,
+  playChime,
+} from "../utils/focus";
+
+// A fresh run starts idle, in a focus phase
+const createFocusState = (taskId) => ({
+  taskId,
+  phase: "focus",
+  status: "idle", // "idle" | "running" | "paused"
+  endsAt: null, // while running
+  remainingMs: null, // while paused
+  phaseStartedAt: null,
+  completedCount: 0,
+});
+
+// Run `phase` from `at` (a timestamp) for its full length
+const startPhase = (state, phase, at, settings) => ({
+  ...state,
+  phase,
+  status: "running",
+  endsAt: at + getPhaseMs(phase, settings),
+  remainingMs: null,
+  phaseStartedAt: new Date(at).toISOString(),
+});
+
+// Pomodoro timer for one task. Focus phases run the task's timer and are
+// recorded as focus sessions; breaks pause it.
+const FocusMode = ({ task, onTimer, onRecordSession, onClose }) => {
+  const { settings, updateSettings } = useFocusSettings();
+  const [focus, setFocus] = useState(() => {
+    const saved = loadFocusState();
+    return saved?.taskId === task.id ? saved : createFocusState(task.id);
+  });
+  const [now, setNow] = useState(Date.now());
+  const [showSettings, setShowSettings] = useState(false);
+
+  const phaseMs = getPhaseMs(focus.phase, settings);
+  const remainingMs = {
+    idle: phaseMs,
+    running: Math.max(0, focus.endsAt - now),
+    paused: focus.remainingMs,
+  }[focus.status];
+
+  useEffect(() => {
+    saveFocusState(focus);
+  }, [focus]);
+
+  useEffect(() => {
+    if (focus.status !== "running") return undefined;
+
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [focus.status]);
+
+  // Focus sessions cut short are recorded too, if they ran long enough
+  const recordInterrupted = () => {
+    if (focus.phase !== "focus" || focus.status === "idle") return;
+    if (phaseMs - remainingMs < MIN_RECORDED_MS) return;
+
+    onRecordSession(task.id, {
+      startedAt: focus.phaseStartedAt,
+      endedAt: new Date().toISOString(),
+      completed: false,
+    });
+  };
+
+  // Move on once the countdown runs out
+  useEffect(() => {
+    if (focus.status !== "running" || now < focus.endsAt) return;
+
+    if (settings.sound) playChime();
+
+    let { completedCount } = focus;
+    if (focus.phase === "focus") {
+      completedCount += 1;
+      onTimer(task.id, "pause");
+      onRecordSession(task.id, {
+        startedAt: focus.phaseStartedAt,
+        endedAt: new Date(focus.endsAt).toISOString(),
+        completed: true,
+      });
+    }
+
+    const nextPhase = getNextPhase(focus.phase, completedCount, settings);
+    const finished = { ...focus, completedCount };
+    if (!settings.autoAdvance) {
+      setFocus({ ...finished, phase: nextPhase, status: "idle", endsAt: null });
+      return;
+    }
+
+    if (nextPhase === "focus") onTimer(task.id, "start");
+    setFocus(startPhase(finished, nextPhase, Date.now(), settings));
+  }, [now, focus, settings, task.id, onTimer, onRecordSession]);
+
+  const start = () => {
+    const at = Date.now();
+    if (focus.phase === "focus") onTimer(task.id, "start");
+    setFocus(
+      focus.status === "paused"
+        ? {
+            ...focus,
+            status: "running",
+            endsAt: at + focus.remainingMs,
+            remainingMs: null,
+          }
+        : startPhase(focus, focus.phase, at, settings)
+    );
+    setNow(at);
+  };
+
+  const pause = () => {
+    if (focus.phase === "focus") onTimer(task.id, "pause");
+    setFocus({ ...focus, status: "paused", remainingMs, endsAt: null });
+  };
+
+  // Skipping a focus phase doesn't count it as done
+  const skip = () => {
+    recordInterrupted();
+    if (focus.phase === "focus" && focus.status === "running") {
+      onTimer(task.id, "pause");
+    }
+    setFocus({
+      ...focus,
+      phase: getNextPhase(focus.phase, focus.completedCount, settings),
+      status: "idle",
+      endsAt: null,
+      remainingMs: null,
+      phaseStartedAt: null,
+    });
+  };
+
+  const close = () => {
+    recordInterrupted();
+    if (focus.phase === "focus" && focus.status === "running") {
+      onTimer(task.id, "pause");
+    }
+    clearFocusState();
+    onClose();
+  };
+
+  const isBreak = focus.phase !== "focus";
+  const PhaseIcon = isBreak ? Coffee : Target;
+  const sessionCount = task.focusSessionCount || 0;
+
+  return (
+    <div
+      className={clsx(
+        "card border-2",
+        isBreak ? "border-success-200" : "border-primary-200"
+      )}
+    >
+      <div className="flex items-start justify-between mb-4">
+        <div className="min-w-0">
+          <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+            <PhaseIcon
+              className={clsx(
+                "w-5 h-5 mr-2",
+                isBreak ? "text-success-600" : "text-primary-600"
+              )}
+            />
+            {PHASES[focus.phase].label}
+          </h2>
+          <p className="text-sm text-gray-600 truncate">{task.text}</p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => setShowSettings(!showSettings)}
+            className="btn-secondary p-2"
+            title="Focus settings"
+            aria-expanded={showSettings}
+          >
+            <Settings className="w-4 h-4" />
+          </button>
+          <button
+            onClick={close}
+            className="btn-secondary p-2"
+            title="Leave focus mode"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="text-center">
+        <p
+          className="text-5xl font-mono font-semibold text-gray-900"
+          role="timer"
+          aria-live="off"
+        >
+          {formatDuration(remainingMs)}
+        </p>
+        <div className="w-full h-2 bg-gray-100 rounded-full mt-4 overflow-hidden">
+          <div
+            className={clsx(
+              "h-full rounded-full transition-all duration-1000",
+              isBreak ? "bg-success-500" : "bg-primary-500"
+            )}
+            style={{ width: `${100 - (remainingMs / phaseMs) * 100}%` }}
+          />
+        </div>
+        <p className="text-sm text-gray-500 mt-2">
+          {focus.completedCount} this run · {sessionCount} pomodoro
+          {sessionCount === 1 ? "" : "s"} on this task
+        </p>
+
+        <div className="flex items-center justify-center space-x-2 mt-4">
+          {focus.status === "running" ? (
+            <button onClick={pause} className="btn-primary flex items-center">
+              <Pause className="w-4 h-4 mr-2" />
+              Pause
+            </button>
+          ) : (
+            <button onClick={start} className="btn-primary flex items-center">
+              <Play className="w-4 h-4 mr-2" />
+              {focus.status === "paused"
+                ? "Resume"
+                : `Start ${PHASES[focus.phase].label.toLowerCase()}`}
+            </button>
+          )}
+          <button
+            onClick={skip}
+            className="btn-secondary flex items-center"
+            title={isBreak ? "Skip the break" : "Skip to the break"}
+          >
+            <SkipForward className="w-4 h-4 mr-2" />
+            Skip
+          </button>
+        </div>
+      </div>
+
+      {showSettings && (
+        <FocusSettings settings={settings} onChange={updateSettings} />
+      )}
+    </div>
+  );
+};
+
+const LENGTH_FIELDS = [
+  { field: "focusMinutes", label: "Focus (min)", max: 120 },
+  { field: "shortBreakMinutes", label: "Short break (min)", max: 60 },
+  { field: "longBreakMinutes", label: "Long break (min)", max: 60 },
+  { field: "sessionsBeforeLongBreak", label: "Long break every", max: 12 },
+];
+
+const FocusSettings = ({ settings, onChange }) => {
+  const [error, setError] = useState("");
+
+  const save = async (changes) => {
+    setError("");
+    try {
+      await onChange(changes);
+    } catch (saveError) {
+      console.error("Error saving focus settings:", saveError);
+      setError("Couldn't save the settings. Please try again.");
+    }
+  };
+
+  const saveLength = (field, max) => (e) => {
+    const value = Math.round(Number(e.target.value));
+    if (value >= 1 && value <= max && value !== settings[field]) {
+      save({ [field]: value });
+    }
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-100 space-y-3">
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        {LENGTH_FIELDS.map(({ field, label, max }) => (
+          <label key={field} className="text-xs text-gray-500">
+            {label}
+            <input
+              type="number"
+              min={1}
+              max={max}
+              defaultValue={settings[field]}
+              onBlur={saveLength(field, max)}
+              className="input-field mt-1"
+            />
+          </label>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+        <label className="flex items-center space-x-2">
+          <input
+            type="checkbox"
+            checked={settings.autoAdvance}
+            onChange={(e) => save({ autoAdvance: e.target.checked })}
+          />
+          <span>Start the next phase automatically</span>
+        </label>
+        <label className="flex items-center space-x-2">
+          <input
+            type="checkbox"
+            checked={settings.sound}
+            onChange={(e) => save({ sound: e.target.checked })}
+          />
+          <span>Play a sound when a phase ends</span>
+        </label>
+      </div>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default FocusMode;
@@ -0,0 +1,64 @@
+import React, { useState } from "react";
+import { Upload } from "lucide-react";
+
+// Offers to move the tasks added on this device before signing in into the
+// account; they stay local until the user agrees
+const GuestTasksImport = ({ count, onUpload }) => {
+  const [isUploading, setIsUploading] = useState(false);
+  const [isDismissed, setIsDismissed] = useState(false);
+  const [error, setError] = useState("");
+
+  if (isDismissed) return null;
+
+  const upload = async () => {
+    setIsUploading(true);
+    setError("");
+    try {
+      const { summary } = await onUpload();
+      if (summary.invalid > 0) {
+        setError(
+          `${summary.invalid} task${
+            summary.invalid === 1 ? "" : "s"
+          } couldn't be added and stayed on this device.`
+        );
+      }
+    } catch (uploadError) {
+      console.error("Error uploading guest tasks:", uploadError);
+      setError("Couldn't add the tasks to your account. Please try again.");
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  return (
+    <div className="card border-2 border-primary-200">
+      <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+        <Upload className="w-5 h-5 text-primary-600 flex-shrink-0" />
+        <p className="text-sm text-gray-700 flex-1">
+          {count} task{count === 1 ? " was" : "s were"} added on this device
+          before you signed in. Add {count === 1 ? "it" : "them"} to your
+          account so {count === 1 ? "it syncs" : "they sync"} everywhere?
+        </p>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={upload}
+            disabled={isUploading}
+            className="btn-primary text-sm"
+          >
+            {isUploading ? "Adding…" : "Add to account"}
+          </button>
+          <button
+            onClick={() => setIsDismissed(true)}
+            disabled={isUploading}
+            className="btn-secondary text-sm"
+          >
+            Not now
+          </button>
+        </div>
+      </div>
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default GuestTasksImport;
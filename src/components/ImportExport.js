@@ -0,0 +1,211 @@
+import React, { useState, useRef } from "react";
+import { Download, Upload, AlertCircle } from "lucide-react";
+import { useAuth } from "../context/AuthContext";
+import { exportTasks, importTasks } from "../utils/taskService";
+import {
+  TRANSFER_FORMATS,
+  getFileFormat,
+  exportLocalTasks,
+  downloadFile,
+} from "../utils/taskTransfer";
+
+// Invalid rows listed in the import check before the rest are summarised
+const MAX_LISTED_ERRORS = 10;
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
+
+// Export tasks as JSON, CSV or iCalendar, and import them from those files
+// after a dry run shows what would be added. Guests export the tasks on
+// this device; importing needs an account.
+const ImportExport = ({ tasks, onImported }) => {
+  const { isAuthenticated } = useAuth();
+  const [pendingImport, setPendingImport] = useState(null);
+  const [status, setStatus] = useState("idle"); // "idle" | "checking" | "importing"
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const fileInputRef = useRef(null);
+
+  const handleExport = async (format) => {
+    setError("");
+    try {
+      downloadFile(
+        isAuthenticated
+          ? await exportTasks(format)
+          : exportLocalTasks(tasks, format),
+        format
+      );
+    } catch (exportError) {
+      console.error("Error exporting tasks:", exportError);
+      setError("Couldn't export your tasks. Please try again.");
+    }
+  };
+
+  // Check the chosen file with a dry run before importing anything
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setError("");
+    setMessage("");
+    setPendingImport(null);
+
+    const format = getFileFormat(file.name);
+    if (!format) {
+      setError("Choose a .json, .csv or .ics file.");
+      return;
+    }
+
+    setStatus("checking");
+    try {
+      const data = await file.text();
+      const report = await importTasks(format, data, { dryRun: true });
+      setPendingImport({ fileName: file.name, format, data, report });
+    } catch (importError) {
+      console.error("Error checking import:", importError);
+      setError(importError.message || "Couldn't read that file.");
+    } finally {
+      setStatus("idle");
+    }
+  };
+
+  const confirmImport = async () => {
+    setStatus("importing");
+    setError("");
+    try {
+      const { summary } = await importTasks(
+        pendingImport.format,
+        pendingImport.data
+      );
+      setPendingImport(null);
+      setMessage(`Imported ${plural(summary.created, "task")}.`);
+      onImported();
+    } catch (importError) {
+      console.error("Error importing tasks:", importError);
+      setError("Couldn't import the tasks. Please try again.");
+    } finally {
+      setStatus("idle");
+    }
+  };
+
+  const summary = pendingImport?.report.summary;
+  const invalidRows =
+    pendingImport?.report.results.filter(
+      (result) => result.status === "invalid"
+    ) || [];
+
+  return (
+    <div className="card">
+      <h2 className="text-xl font-semibold text-gray-900 mb-4">
+        Import &amp; export
+      </h2>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm text-gray-600 flex items-center mr-1">
+          <Download className="w-4 h-4 mr-1" />
+          Export as
+        </span>
+        {TRANSFER_FORMATS.map((format) => {
+          const unavailable = format.needsAccount && !isAuthenticated;
+          return (
+            <button
+              key={format.value}
+              onClick={() => handleExport(format.value)}
+              disabled={unavailable}
+              title={
+                unavailable
+                  ? `Sign in to export to ${format.label}`
+                  : `Download your tasks as ${format.label}`
+              }
+              className="btn-secondary text-sm"
+            >
+              {format.label}
+            </button>
+          );
+        })}
+
+        {isAuthenticated && (
+          <>
+            <button
+              onClick={() => fileInputRef.current.click()}
+              disabled={status !== "idle"}
+              className="btn-secondary text-sm flex items-center sm:ml-auto"
+            >
+              <Upload className="w-4 h-4 mr-1" />
+              {status === "checking" ? "Checking…" : "Import file"}
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,.csv,.ics"
+              onChange={handleFile}
+              className="hidden"
+              aria-label="Import file"
+            />
+          </>
+        )}
+      </div>
+
+      {pendingImport && (
+        <div className="mt-4 p-4 rounded-lg bg-gray-50 border border-gray-200">
+          <p className="text-sm text-gray-800">
+            <span className="font-medium">{pendingImport.fileName}</span>:{" "}
+            {plural(summary.valid, "task")} ready to import
+            {summary.duplicates > 0 &&
+              `, ${plural(summary.duplicates, "duplicate")} skipped`}
+            {summary.invalid > 0 &&
+              `, ${plural(summary.invalid, "row")} with errors`}
+            .
+          </p>
+
+          {invalidRows.length > 0 && (
+            <ul className="mt-2 space-y-1 text-xs text-red-600">
+              {invalidRows.slice(0, MAX_LISTED_ERRORS).map((result) => (
+                <li key={result.row} className="flex items-start">
+                  <AlertCircle className="w-3 h-3 mr-1 mt-0.5 flex-shrink-0" />
+                  <span>
+                    Row {result.row}
+                    {result.title && ` (${result.title})`}:{" "}
+                    {result.errors
+                      .map((rowError) => rowError.message)
+                      .join("; ")}
+                  </span>
+                </li>
+              ))}
+              {invalidRows.length > MAX_LISTED_ERRORS && (
+                <li>
+                  …and{" "}
+                  {plural(invalidRows.length - MAX_LISTED_ERRORS, "more row")}
+                </li>
+              )}
+            </ul>
+          )}
+
+          <div className="flex items-center space-x-2 mt-3">
+            <button
+              onClick={confirmImport}
+              disabled={summary.valid === 0 || status !== "idle"}
+              className="btn-primary text-sm"
+            >
+              {status === "importing"
+                ? "Importing…"
+                : `Import ${plural(summary.valid, "task")}`}
+            </button>
+            <button
+              onClick={() => setPendingImport(null)}
+              disabled={status !== "idle"}
+              className="btn-secondary text-sm"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {message && <p className="mt-3 text-sm text-success-600">{message}</p>}
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default ImportExport;
@@ -1,7 +1,26 @@
 import React from "react";
-import { Sparkles, Loader2, AlertCircle, RefreshCw } from "lucide-react";
+import {
+  Sparkles,
+  Loader2,
+  AlertCircle,
+  RefreshCw,
+  ListChecks,
+  Flag,
+  Gauge,
+  Clock,
+} from "lucide-react";
+import SuggestedTasks from "./SuggestedTasks";
 
-const MotivationalSummary = ({ message, isLoading, error, onRefresh }) => {
+const MotivationalSummary = ({
+  message,
+  statistics,
+  predictedTasks = [],
+  plannedTitles,
+  onAcceptSuggestion,
+  isLoading,
+  error,
+  onRefresh,
+}) => {
   const formatMessage = (text) => {
     if (!text) return "";
 
@@ -118,6 +137,39 @@ const MotivationalSummary = ({ message, isLoading, error, onRefresh }) => {
             </div>
           )}
 
+          {!isLoading && !error && statistics && (
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mt-4">
+              <StatTile
+                icon={ListChecks}
+                label="Done yesterday"
+                value={statistics.totalTasks}
+              />
+              <StatTile
+                icon={Flag}
+                label="High priority"
+                value={statistics.highPriorityTasks}
+              />
+              <StatTile
+                icon={Gauge}
+                label="Efficiency"
+                value={`${statistics.efficiency}%`}
+              />
+              <StatTile
+                icon={Clock}
+                label="Time spent"
+                value={`${statistics.totalActualTime} min`}
+              />
+            </div>
+          )}
+
+          {!isLoading && !error && onAcceptSuggestion && (
+            <SuggestedTasks
+              suggestions={predictedTasks}
+              plannedTitles={plannedTitles}
+              onAccept={onAcceptSuggestion}
+            />
+          )}
+
           {!isLoading && !error && !message && (
             <div className="text-gray-500 italic">
               No motivational message available at the moment.
@@ -129,4 +181,14 @@ const MotivationalSummary = ({ message, isLoading, error, onRefresh }) => {
   );
 };
 
+const StatTile = ({ icon: Icon, label, value }) => (
+  <div className="p-3 bg-white rounded-lg border border-gray-200">
+    <div className="flex items-center text-xs text-gray-500 mb-1">
+      <Icon className="w-3 h-3 mr-1" />
+      {label}
+    </div>
+    <div className="text-lg font-semibold text-gray-900">{value}</div>
+  </div>
+);
+
 export default MotivationalSummary;
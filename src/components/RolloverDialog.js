@@ -0,0 +1,164 @@
+import React, { useState } from "react";
+import { RotateCw, ArrowRightCircle, CalendarClock, Ban } from "lucide-react";
+import clsx from "clsx";
+import { formatDay, getToday, addDays } from "../utils/dateUtils";
+
+// Tasks carried over this many times are flagged as chronically postponed
+export const CHRONIC_ROLLOVERS = 3;
+
+const getTomorrow = () => addDays(getToday(), 1);
+
+// Shown on the first open of a new day when earlier days left tasks
+// unfinished. Each selected task can be moved to today, dropped, or
+// rescheduled; whatever is left stays in the history.
+const RolloverDialog = ({ tasks, onRollover, onClose }) => {
+  const [selectedIds, setSelectedIds] = useState(
+    () => new Set(tasks.map((task) => task.id))
+  );
+  const [rescheduleDate, setRescheduleDate] = useState(getTomorrow);
+
+  const selectedTasks = tasks.filter((task) => selectedIds.has(task.id));
+  const allSelected = selectedTasks.length === tasks.length;
+
+  const toggleSelected = (taskId) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(taskId)) {
+        next.delete(taskId);
+      } else {
+        next.add(taskId);
+      }
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelectedIds(
+      allSelected ? new Set() : new Set(tasks.map((task) => task.id))
+    );
+  };
+
+  const applyAction = (action) => {
+    onRollover(
+      selectedTasks.map((task) => ({
+        taskId: task.id,
+        action,
+        ...(action === "reschedule" && { date: rescheduleDate }),
+      }))
+    );
+    setSelectedIds(new Set());
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40 p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="rollover-title"
+    >
+      <div className="card w-full max-w-lg max-h-[85vh] flex flex-col">
+        <h2
+          id="rollover-title"
+          className="text-xl font-semibold text-gray-900 mb-1 flex items-center"
+        >
+          <RotateCw className="w-5 h-5 mr-2 text-primary-600" />
+          Unfinished tasks
+        </h2>
+        <p className="text-sm text-gray-600 mb-4">
+          {tasks.length === 1
+            ? "1 task from earlier days wasn't finished."
+            : `${tasks.length} tasks from earlier days weren't finished.`}{" "}
+          What should happen to them?
+        </p>
+
+        <label className="flex items-center space-x-2 text-sm text-gray-600 mb-2">
+          <input type="checkbox" checked={allSelected} onChange={toggleAll} />
+          <span>Select all</span>
+        </label>
+
+        <ul className="space-y-2 overflow-y-auto flex-1 mb-4">
+          {tasks.map((task) => (
+            <li key={task.id}>
+              <label className="flex items-center space-x-3 p-2 rounded bg-gray-50 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.has(task.id)}
+                  onChange={() => toggleSelected(task.id)}
+                />
+                <span className="flex-1 min-w-0">
+                  <span className="block text-sm text-gray-900 truncate">
+                    {task.text}
+                  </span>
+                  <span className="block text-xs text-gray-500">
+                    From {formatDay(task.date)}
+                  </span>
+                </span>
+                {task.rolloverCount > 0 && (
+                  <span
+                    className={clsx(
+                      "px-2 py-1 rounded-full text-xs font-medium",
+                      task.rolloverCount >= CHRONIC_ROLLOVERS
+                        ? "bg-warning-100 text-warning-800"
+                        : "bg-gray-100 text-gray-700"
+                    )}
+                    title="Times this task was carried over"
+                  >
+                    {task.rolloverCount}×
+                  </span>
+                )}
+              </label>
+            </li>
+          ))}
+        </ul>
+
+        <div className="space-y-3">
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => applyAction("today")}
+              disabled={selectedTasks.length === 0}
+              className="btn-primary flex items-center disabled:opacity-50"
+            >
+              <ArrowRightCircle className="w-4 h-4 mr-2" />
+              Move to today
+            </button>
+            <button
+              onClick={() => applyAction("drop")}
+              disabled={selectedTasks.length === 0}
+              className="btn-secondary flex items-center disabled:opacity-50"
+            >
+              <Ban className="w-4 h-4 mr-2" />
+              Drop
+            </button>
+          </div>
+          <div className="flex items-center gap-2">
+            <input
+              type="date"
+              value={rescheduleDate}
+              min={getTomorrow()}
+              onChange={(e) => setRescheduleDate(e.target.value)}
+              className="input-field flex-1"
+            />
+            <button
+              onClick={() => applyAction("reschedule")}
+              disabled={selectedTasks.length === 0 || !rescheduleDate}
+              className="btn-secondary flex items-center disabled:opacity-50"
+            >
+              <CalendarClock className="w-4 h-4 mr-2" />
+              Reschedule
+            </button>
+          </div>
+          <div className="text-right">
+            <button
+              onClick={onClose}
+              className="text-sm text-gray-500 hover:underline"
+            >
+              Decide later
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RolloverDialog;
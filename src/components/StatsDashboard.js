@@ -0,0 +1,275 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  BarChart3,
+  TrendingUp,
+  Flame,
+  Trophy,
+  Lightbulb,
+  CalendarDays,
+  Loader2,
+  AlertCircle,
+  RefreshCw,
+} from "lucide-react";
+import clsx from "clsx";
+import CompletionTrendChart from "./CompletionTrendChart";
+import ActivityHeatmap from "./ActivityHeatmap";
+import { useAuth } from "../context/AuthContext";
+import {
+  PERIODS,
+  fetchDashboardStats,
+  fetchActivity,
+} from "../utils/statsService";
+import { PRIORITIES } from "../utils/priorities";
+
+// Solid bar colours; the badge styles are too pale to read as a chart
+const PRIORITY_BAR_STYLES = {
+  low: "bg-gray-400",
+  medium: "bg-primary-500",
+  high: "bg-warning-500",
+  urgent: "bg-red-500",
+};
+
+const StatsDashboard = () => {
+  const { isAuthenticated } = useAuth();
+  const [period, setPeriod] = useState("week");
+  const [dashboard, setDashboard] = useState(null);
+  const [activity, setActivity] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const loadDashboard = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError("");
+      const [periodStats, yearActivity] = await Promise.all([
+        fetchDashboardStats(period),
+        fetchActivity(),
+      ]);
+      setDashboard(periodStats);
+      setActivity(yearActivity);
+    } catch (err) {
+      setError("Failed to load statistics. Please try again later.");
+      console.error("Error fetching statistics:", err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [period]);
+
+  useEffect(() => {
+    if (isAuthenticated) loadDashboard();
+  }, [isAuthenticated, loadDashboard]);
+
+  if (!isAuthenticated) {
+    return (
+      <div className="card text-center py-8 text-gray-500">
+        <BarChart3 className="w-12 h-12 mx-auto mb-3 text-gray-300" />
+        <p>Sign in to see statistics for all your tasks.</p>
+      </div>
+    );
+  }
+
+  const { stats, insights } = dashboard || {};
+
+  return (
+    <div className="space-y-6">
+      <div className="card">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+            <BarChart3 className="w-5 h-5 mr-2 text-primary-600" />
+            Statistics
+          </h2>
+          <div className="flex items-center space-x-2">
+            <div
+              className="inline-flex rounded-lg bg-gray-100 p-1"
+              role="group"
+              aria-label="Period"
+            >
+              {PERIODS.map((option) => (
+                <button
+                  key={option.value}
+                  onClick={() => setPeriod(option.value)}
+                  aria-pressed={period === option.value}
+                  className={clsx(
+                    "px-3 py-1 text-sm rounded-md transition-colors duration-200",
+                    period === option.value
+                      ? "bg-white text-primary-700 shadow-sm"
+                      : "text-gray-600 hover:text-gray-900"
+                  )}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <button
+              onClick={loadDashboard}
+              disabled={isLoading}
+              className="p-2 text-gray-500 hover:text-gray-700 disabled:opacity-50"
+              title="Refresh statistics"
+            >
+              <RefreshCw
+                className={clsx("w-4 h-4", isLoading && "animate-spin")}
+              />
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="flex items-center p-3 mb-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+            <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+            {error}
+          </div>
+        )}
+
+        {!dashboard ? (
+          isLoading && (
+            <div className="flex items-center justify-center py-8 text-gray-500">
+              <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+              Loading statistics...
+            </div>
+          )
+        ) : (
+          <div className={clsx("space-y-6", isLoading && "opacity-60")}>
+            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-3">
+              <StatTile label="Tasks" value={stats.total} />
+              <StatTile label="Completed" value={stats.completed} />
+              <StatTile
+                label="Completion rate"
+                value={`${stats.completionRate}%`}
+              />
+              <StatTile
+                label="Tasks per day"
+                value={insights.averageTasksPerDay}
+              />
+              <StatTile
+                label="Avg. time per task"
+                value={
+                  stats.averageCompletionTime > 0
+                    ? `${stats.averageCompletionTime} min`
+                    : "–"
+                }
+              />
+            </div>
+
+            <section>
+              <h3 className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+                <TrendingUp className="w-4 h-4 mr-2 text-primary-600" />
+                Completion rate
+              </h3>
+              <CompletionTrendChart trend={insights.productivityTrend} />
+            </section>
+
+            <div className="grid sm:grid-cols-2 gap-6">
+              <PriorityBreakdown byPriority={stats.byPriority} />
+              <TagLeaderboard tags={insights.topTags} />
+            </div>
+
+            {insights.recommendations.length > 0 && (
+              <section>
+                <h3 className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+                  <Lightbulb className="w-4 h-4 mr-2 text-warning-500" />
+                  Recommendations
+                </h3>
+                <ul className="space-y-2">
+                  {insights.recommendations.map((recommendation) => (
+                    <li
+                      key={recommendation}
+                      className="p-3 bg-warning-50 border border-warning-200 rounded-lg text-sm text-gray-700"
+                    >
+                      {recommendation}
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
+          </div>
+        )}
+      </div>
+
+      {activity && (
+        <div className="card">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+              <CalendarDays className="w-5 h-5 mr-2 text-primary-600" />
+              Activity
+            </h2>
+            <div className="flex items-center space-x-4 text-sm">
+              <span className="flex items-center text-gray-700">
+                <Flame
+                  className={clsx(
+                    "w-4 h-4 mr-1",
+                    activity.currentStreak > 0
+                      ? "text-warning-500"
+                      : "text-gray-300"
+                  )}
+                />
+                {activity.currentStreak}-day streak
+              </span>
+              <span className="text-gray-500">
+                Longest: {activity.longestStreak} day
+                {activity.longestStreak === 1 ? "" : "s"}
+              </span>
+            </div>
+          </div>
+          <ActivityHeatmap activity={activity} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+const StatTile = ({ label, value }) => (
+  <div className="p-3 bg-gray-50 rounded-lg">
+    <div className="text-2xl font-semibold text-gray-900">{value}</div>
+    <div className="text-xs text-gray-500">{label}</div>
+  </div>
+);
+
+const PriorityBreakdown = ({ byPriority }) => {
+  const largest = Math.max(1, ...Object.values(byPriority));
+
+  return (
+    <section>
+      <h3 className="text-sm font-medium text-gray-700 mb-2">By priority</h3>
+      <ul className="space-y-2">
+        {PRIORITIES.map((priority) => (
+          <li key={priority} className="flex items-center text-sm">
+            <span className="w-16 capitalize text-gray-600">{priority}</span>
+            <div className="flex-1 h-4 bg-gray-100 rounded">
+              <div
+                className={clsx("h-4 rounded", PRIORITY_BAR_STYLES[priority])}
+                style={{ width: `${(byPriority[priority] / largest) * 100}%` }}
+              />
+            </div>
+            <span className="w-8 text-right text-gray-700">
+              {byPriority[priority]}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+};
+
+const TagLeaderboard = ({ tags }) => (
+  <section>
+    <h3 className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+      <Trophy className="w-4 h-4 mr-2 text-warning-500" />
+      Top tags
+    </h3>
+    {tags.length === 0 ? (
+      <p className="text-sm text-gray-500">No tagged tasks in this period.</p>
+    ) : (
+      <ol className="space-y-1 text-sm">
+        {tags.map(({ tag, count }, index) => (
+          <li key={tag} className="flex items-center">
+            <span className="w-6 text-gray-400">{index + 1}.</span>
+            <span className="flex-1 text-primary-700">#{tag}</span>
+            <span className="text-gray-700">{count}</span>
+          </li>
+        ))}
+      </ol>
+    )}
+  </section>
+);
+
+export default StatsDashboard;
@@ -0,0 +1,150 @@
+import React, { useState } from "react";
+import {
+  ChevronDown,
+  ChevronRight,
+  CheckCircle2,
+  Circle,
+  ArrowUp,
+  ArrowDown,
+  Unlink,
+  X,
+  Plus,
+} from "lucide-react";
+import clsx from "clsx";
+
+// Collapsible checklist of a task's subtasks with a done/total count.
+// Subtasks can be checked off, moved up or down, detached into tasks of
+// their own, or deleted.
+const SubtaskList = ({
+  subtasks,
+  autoFocus = false,
+  onToggle,
+  onAdd,
+  onDetach,
+  onDelete,
+  onReorder,
+}) => {
+  const [isExpanded, setIsExpanded] = useState(true);
+  const [newText, setNewText] = useState("");
+
+  const doneCount = subtasks.filter((subtask) => subtask.completed).length;
+
+  const move = (fromIndex, toIndex) => {
+    if (toIndex < 0 || toIndex >= subtasks.length) return;
+    const ids = subtasks.map((subtask) => subtask.id);
+    const [moved] = ids.splice(fromIndex, 1);
+    ids.splice(toIndex, 0, moved);
+    onReorder(ids);
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!newText.trim()) return;
+    onAdd(newText.trim());
+    setNewText("");
+  };
+
+  return (
+    <div className="mt-3 pl-8">
+      {subtasks.length > 0 && (
+        <button
+          onClick={() => setIsExpanded(!isExpanded)}
+          className="flex items-center w-full text-xs text-gray-500 hover:text-gray-700"
+          aria-expanded={isExpanded}
+        >
+          {isExpanded ? (
+            <ChevronDown className="w-3 h-3 mr-1" />
+          ) : (
+            <ChevronRight className="w-3 h-3 mr-1" />
+          )}
+          Subtasks {doneCount}/{subtasks.length}
+          <span className="flex-1 h-1 ml-2 bg-gray-200 rounded-full">
+            <span
+              className="block h-1 bg-success-500 rounded-full"
+              style={{ width: `${(doneCount / subtasks.length) * 100}%` }}
+            />
+          </span>
+        </button>
+      )}
+
+      {(isExpanded || subtasks.length === 0) && (
+        <>
+          <ul className="mt-2 space-y-1">
+            {subtasks.map((subtask, index) => (
+              <li key={subtask.id} className="group flex items-center text-sm">
+                <button
+                  onClick={() => onToggle(subtask.id)}
+                  className="flex-shrink-0 mr-2 focus:outline-none focus:ring-2 focus:ring-primary-500 rounded-full"
+                  aria-label={`Mark "${subtask.text}" as ${
+                    subtask.completed ? "not done" : "done"
+                  }`}
+                >
+                  {subtask.completed ? (
+                    <CheckCircle2 className="w-4 h-4 text-success-600" />
+                  ) : (
+                    <Circle className="w-4 h-4 text-gray-400 hover:text-primary-600" />
+                  )}
+                </button>
+                <span
+                  className={clsx(
+                    "flex-1 min-w-0 truncate text-gray-800",
+                    subtask.completed && "task-text-completed"
+                  )}
+                >
+                  {subtask.text}
+                </span>
+                <span className="flex items-center space-x-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100">
+                  <button
+                    onClick={() => move(index, index - 1)}
+                    disabled={index === 0}
+                    className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                    title="Move up"
+                  >
+                    <ArrowUp className="w-3 h-3" />
+                  </button>
+                  <button
+                    onClick={() => move(index, index + 1)}
+                    disabled={index === subtasks.length - 1}
+                    className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                    title="Move down"
+                  >
+                    <ArrowDown className="w-3 h-3" />
+                  </button>
+                  <button
+                    onClick={() => onDetach(subtask.id)}
+                    className="p-1 text-gray-400 hover:text-gray-700"
+                    title="Make it a separate task"
+                  >
+                    <Unlink className="w-3 h-3" />
+                  </button>
+                  <button
+                    onClick={() => onDelete(subtask.id)}
+                    className="p-1 text-gray-400 hover:text-red-600"
+                    title="Delete subtask"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+
+          <form onSubmit={handleAdd} className="flex items-center mt-2">
+            <Plus className="w-4 h-4 mr-2 text-gray-400 flex-shrink-0" />
+            <input
+              type="text"
+              value={newText}
+              onChange={(e) => setNewText(e.target.value)}
+              placeholder="Add a subtask"
+              className="flex-1 text-sm bg-transparent border-b border-gray-200 focus:border-primary-500 focus:outline-none py-1"
+              maxLength={200}
+              autoFocus={autoFocus}
+            />
+          </form>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SubtaskList;
@@ -0,0 +1,173 @@
+import React, { useState } from "react";
+import { Lightbulb, Check, Pencil, X } from "lucide-react";
+import clsx from "clsx";
+import { PRIORITIES, getPriorityStyle } from "../utils/priorities";
+import { getToday } from "../utils/dateUtils";
+
+const DISMISSED_STORAGE_KEY = "todo-dismissed-suggestions";
+
+// Dismissed titles are remembered until the end of the day
+const loadDismissed = () => {
+  const today = getToday();
+  const saved = JSON.parse(localStorage.getItem(DISMISSED_STORAGE_KEY));
+  return saved?.date === today ? saved.titles : [];
+};
+
+const saveDismissed = (titles) => {
+  const today = getToday();
+  localStorage.setItem(
+    DISMISSED_STORAGE_KEY,
+    JSON.stringify({ date: today, titles })
+  );
+};
+
+const normalizeTitle = (title) => title.trim().toLowerCase();
+
+const SuggestedTasks = ({ suggestions, plannedTitles = [], onAccept }) => {
+  const [dismissed, setDismissed] = useState(loadDismissed);
+
+  // Hide suggestions that were dismissed or are already planned for today
+  const hidden = new Set([...dismissed, ...plannedTitles].map(normalizeTitle));
+  const visible = suggestions.filter(
+    (suggestion) => !hidden.has(normalizeTitle(suggestion.title))
+  );
+
+  const dismiss = (title) => {
+    const nextDismissed = [...dismissed, title];
+    setDismissed(nextDismissed);
+    saveDismissed(nextDismissed);
+  };
+
+  // An edited suggestion no longer matches its task title, so hide it too
+  const accept = (suggestion) => (title, details) => {
+    onAccept(title, details);
+    if (normalizeTitle(title) !== normalizeTitle(suggestion.title)) {
+      dismiss(suggestion.title);
+    }
+  };
+
+  if (visible.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-4">
+      <h3 className="text-sm font-semibold text-gray-900 mb-2 flex items-center">
+        <Lightbulb className="w-4 h-4 mr-1 text-warning-600" />
+        Suggested for today
+      </h3>
+      <ul className="space-y-2">
+        {visible.map((suggestion) => (
+          <SuggestionItem
+            key={suggestion.title}
+            suggestion={suggestion}
+            onAccept={accept(suggestion)}
+            onDismiss={dismiss}
+          />
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+const SuggestionItem = ({ suggestion, onAccept, onDismiss }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [title, setTitle] = useState(suggestion.title);
+  const [priority, setPriority] = useState(
+    PRIORITIES.includes(suggestion.priority) ? suggestion.priority : "medium"
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (title.trim()) {
+      onAccept(title.trim(), { priority });
+    }
+  };
+
+  if (isEditing) {
+    return (
+      <li className="p-2 bg-white rounded-lg border border-primary-200">
+        <form onSubmit={handleSubmit} className="flex items-center space-x-2">
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            className="input-field flex-1 text-sm"
+            maxLength={200}
+            autoFocus
+          />
+          <select
+            value={priority}
+            onChange={(e) => setPriority(e.target.value)}
+            className="input-field w-auto text-sm"
+          >
+            {PRIORITIES.map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={!title.trim()}
+            className="p-2 text-success-600 hover:text-success-700 disabled:opacity-50"
+            title="Add task"
+          >
+            <Check className="w-4 h-4" />
+          </button>
+          <button
+            type="button"
+            onClick={() => setIsEditing(false)}
+            className="p-2 text-gray-400 hover:text-gray-600"
+            title="Cancel"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </form>
+      </li>
+    );
+  }
+
+  return (
+    <li className="flex items-center justify-between p-2 bg-white rounded-lg border border-gray-200">
+      <div className="flex items-center space-x-2 min-w-0">
+        <span
+          className={clsx(
+            "px-2 py-1 rounded-full text-xs font-medium flex-shrink-0",
+            getPriorityStyle(priority)
+          )}
+        >
+          {priority}
+        </span>
+        <span className="text-sm text-gray-700 truncate">
+          {suggestion.title}
+        </span>
+      </div>
+      <div className="flex items-center flex-shrink-0 ml-2">
+        <button
+          onClick={() => onAccept(suggestion.title, { priority })}
+          className="p-1 text-gray-400 hover:text-success-600"
+          title="Add to today's tasks"
+        >
+          <Check className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => setIsEditing(true)}
+          className="p-1 text-gray-400 hover:text-primary-600"
+          title="Edit before adding"
+        >
+          <Pencil className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => onDismiss(suggestion.title)}
+          className="p-1 text-gray-400 hover:text-red-600"
+          title="Dismiss suggestion"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+    </li>
+  );
+};
+
+export default SuggestedTasks;
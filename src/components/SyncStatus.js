@@ -0,0 +1,66 @@
+import React from "react";
+import {
+  Cloud,
+  CloudOff,
+  UploadCloud,
+  Loader2,
+  AlertCircle,
+} from "lucide-react";
+import clsx from "clsx";
+
+const SyncStatus = ({ status, pendingCount, onSync }) => {
+  const states = {
+    synced: {
+      icon: Cloud,
+      label: "All changes saved",
+      className: "text-success-700 bg-success-50",
+    },
+    pending: {
+      icon: UploadCloud,
+      label: `${pendingCount} change${pendingCount === 1 ? "" : "s"} waiting`,
+      className: "text-warning-800 bg-warning-50",
+    },
+    syncing: {
+      icon: Loader2,
+      label: "Syncing...",
+      className: "text-primary-700 bg-primary-50",
+    },
+    offline: {
+      icon: CloudOff,
+      label:
+        pendingCount > 0
+          ? `Offline - ${pendingCount} change${
+              pendingCount === 1 ? "" : "s"
+            } queued`
+          : "Offline",
+      className: "text-gray-700 bg-gray-100",
+    },
+    error: {
+      icon: AlertCircle,
+      label: "Sync failed",
+      className: "text-red-700 bg-red-50",
+    },
+  };
+
+  const { icon: Icon, label, className } = states[status] || states.synced;
+
+  return (
+    <button
+      onClick={onSync}
+      disabled={status === "syncing"}
+      className={clsx(
+        "flex items-center space-x-2 px-3 py-1 rounded-full text-xs font-medium transition-colors duration-200",
+        className
+      )}
+      title="Sync now"
+      aria-live="polite"
+    >
+      <Icon
+        className={clsx("w-4 h-4", status === "syncing" && "animate-spin")}
+      />
+      <span>{label}</span>
+    </button>
+  );
+};
+
+export default SyncStatus;
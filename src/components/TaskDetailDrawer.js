@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from "react";
+import {
+  X,
+  Plus,
+  CheckCircle2,
+  Ban,
+  RotateCcw,
+  Trash2,
+  Undo2,
+  Pencil,
+  Calendar,
+  Clock,
+  Tag,
+  Repeat,
+} from "lucide-react";
+import clsx from "clsx";
+import { useAuth } from "../context/AuthContext";
+import { fetchTaskHistory } from "../utils/taskService";
+import { isLocalId } from "../utils/syncQueue";
+import { getPriorityStyle } from "../utils/priorities";
+import { formatDueDate, formatDay } from "../utils/dateUtils";
+import { describeRecurrence } from "../utils/recurrence";
+import { describeHistoryEntry, formatHistoryTime } from "../utils/taskActivity";
+
+const ACTION_ICONS = {
+  created: Plus,
+  completed: CheckCircle2,
+  cancelled: Ban,
+  restored: RotateCcw,
+  deleted: Trash2,
+  undeleted: Undo2,
+};
+
+// Side panel with a task's details and its activity timeline. The history
+// lives on the server, so it is only there for synced tasks.
+const TaskDetailDrawer = ({ task, onClose }) => {
+  const { isAuthenticated } = useAuth();
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState("");
+
+  const hasHistory = isAuthenticated && !isLocalId(task.id);
+
+  // Reload whenever the task changes on the server
+  useEffect(() => {
+    if (!hasHistory) return;
+
+    let isCancelled = false;
+    setError("");
+    fetchTaskHistory(task.id)
+      .then((entries) => !isCancelled && setHistory(entries))
+      .catch((loadError) => {
+        console.error("Error loading task history:", loadError);
+        if (!isCancelled) setError("Couldn't load the activity.");
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [hasHistory, task.id, task.updatedAt]);
+
+  // Escape closes the drawer
+  useEffect(() => {
+    const handleKeyDown = (e) => e.key === "Escape" && onClose();
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 z-30 flex justify-end">
+      <div className="absolute inset-0 bg-black/30" onClick={onClose} />
+      <aside
+        role="dialog"
+        aria-modal="true"
+        aria-label="Task details"
+        className="relative w-full max-w-md h-full bg-white shadow-xl overflow-y-auto p-6"
+      >
+        <div className="flex items-start justify-between mb-4">
+          <h2
+            className={clsx(
+              "text-xl font-semibold text-gray-900 break-words",
+              (task.completed || task.dropped) && "task-text-completed"
+            )}
+          >
+            {task.text}
+          </h2>
+          <button
+            onClick={onClose}
+            className="ml-4 text-gray-400 hover:text-gray-600"
+            aria-label="Close"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+          {task.priority && (
+            <span
+              className={clsx(
+                "px-2 rounded-full text-xs font-medium",
+                getPriorityStyle(task.priority)
+              )}
+            >
+              {task.priority}
+            </span>
+          )}
+          {task.date && <span>{formatDay(task.date)}</span>}
+          {task.dueDate && (
+            <span className="flex items-center">
+              <Calendar className="w-4 h-4 mr-1" />
+              Due {formatDueDate(task.dueDate)}
+            </span>
+          )}
+          {task.estimatedTime > 0 && (
+            <span className="flex items-center">
+              <Clock className="w-4 h-4 mr-1" />
+              {task.estimatedTime} min
+              {task.actualTime > 0 && ` (took ${task.actualTime} min)`}
+            </span>
+          )}
+          {task.isRecurring && (
+            <span className="flex items-center">
+              <Repeat className="w-4 h-4 mr-1" />
+              {describeRecurrence(task.recurring)}
+            </span>
+          )}
+          {(task.tags || []).map((tag) => (
+            <span key={tag} className="flex items-center text-primary-700">
+              <Tag className="w-4 h-4 mr-1" />
+              {tag}
+            </span>
+          ))}
+        </div>
+
+        {task.description && (
+          <p className="mt-4 text-sm text-gray-700 whitespace-pre-wrap">
+            {task.description}
+          </p>
+        )}
+        {task.notes && (
+          <div className="mt-4">
+            <h3 className="text-xs font-medium uppercase text-gray-500">
+              Notes
+            </h3>
+            <p className="mt-1 text-sm text-gray-700 whitespace-pre-wrap">
+              {task.notes}
+            </p>
+          </div>
+        )}
+
+        <h3 className="mt-6 mb-3 text-sm font-semibold text-gray-900">
+          Activity
+        </h3>
+        {!hasHistory && (
+          <p className="text-sm text-gray-500">
+            {isAuthenticated
+              ? "Activity shows up once the task has synced."
+              : "Sign in to keep a history of changes to your tasks."}
+          </p>
+        )}
+        {hasHistory && error && <p className="text-sm text-red-600">{error}</p>}
+        {hasHistory && !error && !history && (
+          <p className="text-sm text-gray-500">Loading…</p>
+        )}
+        {hasHistory && history && (
+          <ol className="border-l border-gray-200 ml-2 space-y-4">
+            {history.map((entry, index) => {
+              const Icon = ACTION_ICONS[entry.action] || Pencil;
+              return (
+                <li key={entry._id || index} className="relative pl-6 text-sm">
+                  <span className="absolute -left-2.5 top-0 flex items-center justify-center w-5 h-5 rounded-full bg-white border border-gray-200">
+                    <Icon className="w-3 h-3 text-gray-500" />
+                  </span>
+                  <p className="text-gray-800 break-words">
+                    {describeHistoryEntry(entry)}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {formatHistoryTime(entry.timestamp)}
+                  </p>
+                </li>
+              );
+            })}
+          </ol>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default TaskDetailDrawer;
@@ -0,0 +1,183 @@
+import React, { useState } from "react";
+import { Check, X, ChevronDown, ChevronUp } from "lucide-react";
+import { PRIORITIES } from "../utils/priorities";
+import { toDateTimeInput, fromDateTimeInput } from "../utils/dateUtils";
+
+const toFormState = (task) => ({
+  text: task.text,
+  description: task.description || "",
+  priority: task.priority || "medium",
+  dueDate: toDateTimeInput(task.dueDate),
+  tags: (task.tags || []).join(", "),
+  estimatedTime: task.estimatedTime ?? "",
+  notes: task.notes || "",
+});
+
+// Convert the form back to the task shape, keeping only edited fields
+const getChanges = (task, form) => {
+  const next = {
+    text: form.text.trim(),
+    description: form.description.trim(),
+    priority: form.priority,
+    dueDate: fromDateTimeInput(form.dueDate),
+    tags: form.tags
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter(Boolean)
+      .slice(0, 10),
+    estimatedTime:
+      form.estimatedTime === "" ? null : Number(form.estimatedTime),
+    notes: form.notes.trim(),
+  };
+  const initial = toFormState(task);
+
+  return Object.fromEntries(
+    Object.entries(next).filter(
+      ([field]) => String(form[field]) !== String(initial[field])
+    )
+  );
+};
+
+const TaskEditor = ({ task, onSave, onCancel }) => {
+  const [form, setForm] = useState(() => toFormState(task));
+  const [showDetails, setShowDetails] = useState(false);
+
+  const updateField = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!form.text.trim()) return;
+
+    const changes = getChanges(task, form);
+    if (Object.keys(changes).length > 0) {
+      onSave(changes);
+    } else {
+      onCancel();
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      onCancel();
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      onKeyDown={handleKeyDown}
+      className="flex-1 space-y-3"
+    >
+      <div className="flex items-center space-x-2">
+        <input
+          type="text"
+          value={form.text}
+          onChange={updateField("text")}
+          className="input-field flex-1"
+          maxLength={200}
+          autoFocus
+        />
+        <button
+          type="submit"
+          disabled={!form.text.trim()}
+          className="p-2 text-success-600 hover:text-success-700 disabled:opacity-50"
+          title="Save changes"
+        >
+          <Check className="w-5 h-5" />
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="p-2 text-gray-400 hover:text-gray-600"
+          title="Cancel"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="flex items-center justify-between text-sm text-gray-500">
+        <span>{form.text.length}/200 characters</span>
+        <button
+          type="button"
+          onClick={() => setShowDetails(!showDetails)}
+          className="flex items-center text-primary-600 hover:underline"
+        >
+          {showDetails ? "Hide details" : "More details"}
+          {showDetails ? (
+            <ChevronUp className="w-4 h-4 ml-1" />
+          ) : (
+            <ChevronDown className="w-4 h-4 ml-1" />
+          )}
+        </button>
+      </div>
+
+      {showDetails && (
+        <div className="space-y-3">
+          <textarea
+            value={form.description}
+            onChange={updateField("description")}
+            placeholder="Description"
+            className="input-field"
+            rows={2}
+            maxLength={1000}
+          />
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <label className="text-xs text-gray-500">
+              Priority
+              <select
+                value={form.priority}
+                onChange={updateField("priority")}
+                className="input-field mt-1"
+              >
+                {PRIORITIES.map((option) => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="text-xs text-gray-500">
+              Due date
+              <input
+                type="datetime-local"
+                value={form.dueDate}
+                min={toDateTimeInput(new Date().toISOString())}
+                onChange={updateField("dueDate")}
+                className="input-field mt-1"
+              />
+            </label>
+            <label className="text-xs text-gray-500">
+              Estimate (minutes)
+              <input
+                type="number"
+                min={0}
+                value={form.estimatedTime}
+                onChange={updateField("estimatedTime")}
+                className="input-field mt-1"
+              />
+            </label>
+          </div>
+          <input
+            type="text"
+            value={form.tags}
+            onChange={updateField("tags")}
+            placeholder="Tags, separated by commas"
+            className="input-field"
+          />
+          <textarea
+            value={form.notes}
+            onChange={updateField("notes")}
+            placeholder="Notes"
+            className="input-field"
+            rows={3}
+            maxLength={2000}
+          />
+        </div>
+      )}
+    </form>
+  );
+};
+
+export default TaskEditor;
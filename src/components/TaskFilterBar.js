@@ -0,0 +1,145 @@
+import React from "react";
+import { Search, ArrowUp, ArrowDown, X } from "lucide-react";
+import { PRIORITIES } from "../utils/priorities";
+import {
+  STATUS_OPTIONS,
+  SORT_OPTIONS,
+  hasActiveFilters,
+} from "../utils/taskFilters";
+
+const TaskFilterBar = ({ filters, onChange, onReset, knownTags = [] }) => {
+  const updateField = (field) => (e) => onChange({ [field]: e.target.value });
+
+  return (
+    <div className="space-y-3 mb-4">
+      <div className="relative">
+        <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+        <input
+          type="search"
+          value={filters.q}
+          onChange={(e) => onChange({ q: e.target.value }, { replace: true })}
+          placeholder="Search titles and descriptions"
+          className="input-field pl-9"
+          maxLength={100}
+          aria-label="Search tasks"
+        />
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+        <label className="text-xs text-gray-500">
+          Status
+          <select
+            value={filters.status}
+            onChange={updateField("status")}
+            className="input-field mt-1"
+          >
+            <option value="">Any status</option>
+            {STATUS_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-gray-500">
+          Priority
+          <select
+            value={filters.priority}
+            onChange={updateField("priority")}
+            className="input-field mt-1"
+          >
+            <option value="">Any priority</option>
+            {PRIORITIES.map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-gray-500 col-span-2 sm:col-span-1">
+          Tags
+          <input
+            type="text"
+            value={filters.tags}
+            onChange={updateField("tags")}
+            placeholder="work, home"
+            className="input-field mt-1"
+            list="task-filter-tags"
+          />
+          <datalist id="task-filter-tags">
+            {knownTags.map((tag) => (
+              <option key={tag} value={tag} />
+            ))}
+          </datalist>
+        </label>
+        <label className="text-xs text-gray-500">
+          Created from
+          <input
+            type="date"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={updateField("from")}
+            className="input-field mt-1"
+          />
+        </label>
+        <label className="text-xs text-gray-500">
+          Created to
+          <input
+            type="date"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={updateField("to")}
+            className="input-field mt-1"
+          />
+        </label>
+        <div className="text-xs text-gray-500 col-span-2 sm:col-span-1">
+          Sort by
+          <div className="flex mt-1 space-x-2">
+            <select
+              value={filters.sortBy}
+              onChange={updateField("sortBy")}
+              className="input-field"
+              aria-label="Sort by"
+            >
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() =>
+                onChange({
+                  sortOrder: filters.sortOrder === "asc" ? "desc" : "asc",
+                })
+              }
+              className="btn-secondary px-3"
+              title={filters.sortOrder === "asc" ? "Ascending" : "Descending"}
+              aria-label="Toggle sort order"
+            >
+              {filters.sortOrder === "asc" ? (
+                <ArrowUp className="w-4 h-4" />
+              ) : (
+                <ArrowDown className="w-4 h-4" />
+              )}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {hasActiveFilters(filters) && (
+        <button
+          type="button"
+          onClick={onReset}
+          className="flex items-center text-sm text-primary-600 hover:underline"
+        >
+          <X className="w-4 h-4 mr-1" />
+          Clear filters
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TaskFilterBar;
@@ -5,12 +5,56 @@ import {
   ChevronUp,
   CheckCircle2,
   Circle,
+  Ban,
+  CopyPlus,
+  Trash2,
 } from "lucide-react";
 import clsx from "clsx";
+import { getToday, addDays } from "../utils/dateUtils";
 
-const TaskHistory = ({ tasks }) => {
+// Details carried over when a task is done again; the old due date has
+// passed, so it is left behind
+const COPY_FIELDS = [
+  "description",
+  "priority",
+  "tags",
+  "estimatedTime",
+  "notes",
+];
+
+const TaskHistory = ({
+  tasks,
+  onToggleTask,
+  onDeleteTask,
+  onDeleteTasks,
+  onAddTask,
+}) => {
   const [isExpanded, setIsExpanded] = useState(false);
 
+  const copyToToday = (task) => {
+    const details = Object.fromEntries(
+      COPY_FIELDS.filter(
+        (field) => task[field] !== undefined && task[field] !== null
+      ).map((field) => [field, task[field]])
+    );
+    onAddTask(task.text, details);
+  };
+
+  const copyUnfinishedToToday = (taskList) => {
+    taskList
+      .filter((task) => !task.completed && !task.dropped)
+      .forEach(copyToToday);
+  };
+
+  const clearDay = (dateString, taskList) => {
+    const confirmed = window.confirm(
+      `Delete all ${taskList.length} tasks from ${formatDate(dateString)}?`
+    );
+    if (confirmed) {
+      onDeleteTasks(taskList.map((task) => task.id));
+    }
+  };
+
   // Group tasks by date
   const groupedTasks = tasks.reduce((groups, task) => {
     const date = task.date;
@@ -26,18 +70,18 @@ const TaskHistory = ({ tasks }) => {
     (a, b) => new Date(b) - new Date(a)
   );
 
+  // Dates are day keys in the user's timezone; compare them as keys and
+  // only parse them (as local dates) for display
   const formatDate = (dateString) => {
-    const date = new Date(dateString);
-    const today = new Date();
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
+    const today = getToday();
 
-    if (date.toDateString() === today.toDateString()) {
+    if (dateString === today) {
       return "Today";
-    } else if (date.toDateString() === yesterday.toDateString()) {
+    } else if (dateString === addDays(today, -1)) {
       return "Yesterday";
     } else {
-      return date.toLocaleDateString("en-US", {
+      return new Date(`${dateString}T00:00:00Z`).toLocaleDateString("en-US", {
+        timeZone: "UTC",
         weekday: "long",
         month: "short",
         day: "numeric",
@@ -81,6 +125,9 @@ const TaskHistory = ({ tasks }) => {
           {sortedDates.map((date) => {
             const dateTasks = groupedTasks[date];
             const completionRate = getCompletionRate(dateTasks);
+            const unfinishedCount = dateTasks.filter(
+              (task) => !task.completed && !task.dropped
+            ).length;
 
             return (
               <div key={date} className="border border-gray-200 rounded-lg p-4">
@@ -99,8 +146,8 @@ const TaskHistory = ({ tasks }) => {
                         completionRate === 100
                           ? "bg-success-100 text-success-800"
                           : completionRate >= 70
-                          ? "bg-warning-100 text-warning-800"
-                          : "bg-gray-100 text-gray-800"
+                            ? "bg-warning-100 text-warning-800"
+                            : "bg-gray-100 text-gray-800"
                       )}
                     >
                       {completionRate}%
@@ -108,30 +155,78 @@ const TaskHistory = ({ tasks }) => {
                   </div>
                 </div>
 
+                <div className="flex justify-end space-x-4 mb-3 text-xs">
+                  {unfinishedCount > 0 && (
+                    <button
+                      onClick={() => copyUnfinishedToToday(dateTasks)}
+                      className="flex items-center text-primary-600 hover:underline"
+                    >
+                      <CopyPlus className="w-3 h-3 mr-1" />
+                      Copy {unfinishedCount} unfinished to today
+                    </button>
+                  )}
+                  <button
+                    onClick={() => clearDay(date, dateTasks)}
+                    className="flex items-center text-red-600 hover:underline"
+                  >
+                    <Trash2 className="w-3 h-3 mr-1" />
+                    Clear this day
+                  </button>
+                </div>
+
                 <div className="space-y-2">
                   {dateTasks.map((task) => (
                     <div
                       key={task.id}
                       className={clsx(
-                        "flex items-center space-x-3 p-2 rounded",
+                        "group flex items-center space-x-3 p-2 rounded",
                         task.completed ? "bg-green-50" : "bg-gray-50"
                       )}
                     >
-                      {task.completed ? (
-                        <CheckCircle2 className="w-4 h-4 text-success-600 flex-shrink-0" />
-                      ) : (
-                        <Circle className="w-4 h-4 text-gray-400 flex-shrink-0" />
-                      )}
+                      <button
+                        onClick={() => onToggleTask(task.id)}
+                        className="flex-shrink-0 focus:outline-none focus:ring-2 focus:ring-primary-500 rounded-full"
+                        title={
+                          task.completed ? "Mark as not done" : "Mark as done"
+                        }
+                      >
+                        {task.completed ? (
+                          <CheckCircle2 className="w-4 h-4 text-success-600" />
+                        ) : task.dropped ? (
+                          <Ban className="w-4 h-4 text-gray-400 hover:text-primary-600" />
+                        ) : (
+                          <Circle className="w-4 h-4 text-gray-400 hover:text-primary-600" />
+                        )}
+                      </button>
                       <span
                         className={clsx(
-                          "text-sm",
-                          task.completed
+                          "text-sm flex-1",
+                          task.completed || task.dropped
                             ? "text-gray-500 line-through"
                             : "text-gray-700"
                         )}
                       >
                         {task.text}
                       </span>
+                      {task.dropped && (
+                        <span className="text-xs text-gray-400">dropped</span>
+                      )}
+                      <div className="flex items-center space-x-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100">
+                        <button
+                          onClick={() => copyToToday(task)}
+                          className="p-1 text-gray-400 hover:text-primary-600"
+                          title="Do again today"
+                        >
+                          <CopyPlus className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => onDeleteTask(task.id)}
+                          className="p-1 text-gray-400 hover:text-red-600"
+                          title="Delete task"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
                     </div>
                   ))}
                 </div>
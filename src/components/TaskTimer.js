@@ -0,0 +1,78 @@
+import React, { useState, useEffect } from "react";
+import { Play, Pause, Square } from "lucide-react";
+import clsx from "clsx";
+import {
+  isTimerRunning,
+  getTrackedMs,
+  getTrackedMinutes,
+  formatDuration,
+} from "../utils/timeTracking";
+
+// Start, pause and stop controls for a task's timer, with the time tracked
+// so far (ticking while the timer runs)
+const TaskTimer = ({ task, onTimer }) => {
+  const isRunning = isTimerRunning(task);
+  const hasSessions = task.timeSessions?.length > 0;
+  // Paused time not yet recorded as the task's actual time
+  const canStop =
+    isRunning || (hasSessions && getTrackedMinutes(task) !== task.actualTime);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!isRunning) return undefined;
+
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [isRunning]);
+
+  return (
+    <div className="flex items-center space-x-1">
+      {hasSessions && (
+        <span
+          className={clsx(
+            "flex items-center px-2 py-1 rounded-full text-xs font-mono",
+            isRunning
+              ? "bg-primary-50 text-primary-700"
+              : "bg-gray-100 text-gray-600"
+          )}
+          title={isRunning ? "Timer running" : "Timer paused"}
+          aria-live="off"
+        >
+          {isRunning && (
+            <span className="w-2 h-2 mr-1 rounded-full bg-primary-500 animate-pulse" />
+          )}
+          {formatDuration(getTrackedMs(task, now))}
+        </span>
+      )}
+      <button
+        onClick={() => onTimer(task.id, isRunning ? "pause" : "start")}
+        className="btn-secondary p-2"
+        title={
+          isRunning
+            ? "Pause timer"
+            : hasSessions
+              ? "Resume timer"
+              : "Start timer"
+        }
+      >
+        {isRunning ? (
+          <Pause className="w-4 h-4" />
+        ) : (
+          <Play className="w-4 h-4" />
+        )}
+      </button>
+      {canStop && (
+        <button
+          onClick={() => onTimer(task.id, "stop")}
+          className="btn-secondary p-2"
+          title="Stop timer and record the time"
+        >
+          <Square className="w-4 h-4" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TaskTimer;
@@ -1,18 +1,176 @@
-import React from "react";
-import { CheckCircle2, Circle, Trash2, Calendar } from "lucide-react";
+import React, { useState, useRef } from "react";
+import {
+  CheckCircle2,
+  Circle,
+  Trash2,
+  Calendar,
+  Pencil,
+  Clock,
+  Tag,
+  GripVertical,
+  RotateCw,
+  ListPlus,
+  Repeat,
+  SkipForward,
+  Timer,
+  Target,
+  History,
+  ListChecks,
+  AlertCircle,
+} from "lucide-react";
 import clsx from "clsx";
+import TaskEditor from "./TaskEditor";
+import SubtaskList from "./SubtaskList";
+import TaskTimer from "./TaskTimer";
+import BatchActions from "./BatchActions";
+import { CHRONIC_ROLLOVERS } from "./RolloverDialog";
+import { getPriorityStyle } from "../utils/priorities";
+import { formatDueDate, getTimeZone } from "../utils/dateUtils";
+import { isOpen } from "../utils/subtasks";
+import { isRecurringOccurrence, describeRecurrence } from "../utils/recurrence";
 
-const TodayTasks = ({ tasks, onToggleTask, onDeleteTask }) => {
-  const completedTasks = tasks.filter((task) => task.completed);
-  const incompleteTasks = tasks.filter((task) => !task.completed);
+// Manually ordered tasks follow their position; tasks added since the last
+// reorder have none yet and stay on top, newest first
+const byPosition = (a, b) =>
+  (a.position ?? -1) - (b.position ?? -1) ||
+  new Date(b.createdAt) - new Date(a.createdAt);
+
+const TodayTasks = ({
+  tasks,
+  getSubtasks,
+  onToggleTask,
+  onUpdateTask,
+  onReorderTasks,
+  onDeleteTask,
+  onAddSubtask,
+  onDetachSubtask,
+  onReorderSubtasks,
+  onSkipOccurrence,
+  onTimer,
+  onFocus,
+  onShowDetails,
+  onBatch,
+}) => {
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTargetId, setDropTargetId] = useState(null);
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+
+  const completedTasks = tasks
+    .filter((task) => task.completed)
+    .sort(byPosition);
+  const incompleteTasks = tasks
+    .filter((task) => !task.completed)
+    .sort(byPosition);
+
+  // Tasks that leave today (moved or deleted) drop out of the selection
+  const selectedTasks = tasks.filter((task) => selectedIds.has(task.id));
+  const allSelected = tasks.length > 0 && selectedTasks.length === tasks.length;
+
+  const toggleSelected = (taskId) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(taskId)) {
+        next.delete(taskId);
+      } else {
+        next.add(taskId);
+      }
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelectedIds(
+      allSelected ? new Set() : new Set(tasks.map((task) => task.id))
+    );
+  };
+
+  const stopSelecting = () => {
+    setIsSelecting(false);
+    setSelectedIds(new Set());
+  };
 
   const formatTime = (dateString) => {
     return new Date(dateString).toLocaleTimeString([], {
+      timeZone: getTimeZone(),
       hour: "2-digit",
       minute: "2-digit",
     });
   };
 
+  // Tasks move within their own group; the whole day's order is saved
+  const moveTask = (group, fromIndex, toIndex) => {
+    if (toIndex < 0 || toIndex >= group.length || toIndex === fromIndex) {
+      return;
+    }
+
+    const reordered = [...group];
+    const [moved] = reordered.splice(fromIndex, 1);
+    reordered.splice(toIndex, 0, moved);
+
+    const dayOrder =
+      group === incompleteTasks
+        ? [...reordered, ...completedTasks]
+        : [...incompleteTasks, ...reordered];
+    onReorderTasks(dayOrder.map((task) => task.id));
+  };
+
+  const endDrag = () => {
+    setDraggedId(null);
+    setDropTargetId(null);
+  };
+
+  const renderTasks = (group) =>
+    group.map((task, index) => {
+      const canDropHere = group.some((item) => item.id === draggedId);
+
+      return (
+        <TaskItem
+          key={task.id}
+          task={task}
+          subtasks={getSubtasks(task)}
+          onToggle={onToggleTask}
+          onUpdate={onUpdateTask}
+          onDelete={onDeleteTask}
+          onAddSubtask={onAddSubtask}
+          onDetachSubtask={onDetachSubtask}
+          onReorderSubtasks={onReorderSubtasks}
+          onSkipOccurrence={onSkipOccurrence}
+          onTimer={onTimer}
+          onFocus={onFocus}
+          onShowDetails={onShowDetails}
+          isSelecting={isSelecting}
+          isSelected={selectedIds.has(task.id)}
+          onSelect={() => toggleSelected(task.id)}
+          onMove={(offset) => moveTask(group, index, index + offset)}
+          formatTime={formatTime}
+          isDragging={draggedId === task.id}
+          isDropTarget={canDropHere && dropTargetId === task.id}
+          dragHandlers={{
+            onDragStart: (e) => {
+              e.dataTransfer.effectAllowed = "move";
+              e.dataTransfer.setData("text/plain", String(task.id));
+              setDraggedId(task.id);
+            },
+            onDragOver: (e) => {
+              if (!canDropHere) return;
+              e.preventDefault();
+              setDropTargetId(task.id);
+            },
+            onDrop: (e) => {
+              e.preventDefault();
+              const fromIndex = group.findIndex(
+                (item) => item.id === draggedId
+              );
+              if (fromIndex !== -1) moveTask(group, fromIndex, index);
+              endDrag();
+            },
+            onDragEnd: endDrag,
+          }}
+        />
+      );
+    });
+
   return (
     <div className="card">
       <div className="flex items-center justify-between mb-4">
@@ -20,11 +178,32 @@ const TodayTasks = ({ tasks, onToggleTask, onDeleteTask }) => {
           <Calendar className="w-5 h-5 mr-2 text-primary-600" />
           Today's Tasks
         </h2>
-        <div className="text-sm text-gray-500">
-          {completedTasks.length} of {tasks.length} completed
+        <div className="flex items-center space-x-3">
+          <div className="text-sm text-gray-500">
+            {completedTasks.length} of {tasks.length} completed
+          </div>
+          {tasks.length > 0 && !isSelecting && (
+            <button
+              onClick={() => setIsSelecting(true)}
+              className="btn-secondary p-2"
+              title="Select tasks to change them together"
+            >
+              <ListChecks className="w-4 h-4" />
+            </button>
+          )}
         </div>
       </div>
 
+      {isSelecting && tasks.length > 0 && (
+        <BatchActions
+          selectedTasks={selectedTasks}
+          allSelected={allSelected}
+          onToggleAll={toggleAll}
+          onRun={onBatch}
+          onClose={stopSelecting}
+        />
+      )}
+
       {tasks.length === 0 ? (
         <div className="text-center py-8 text-gray-500">
           <Circle className="w-12 h-12 mx-auto mb-3 text-gray-300" />
@@ -33,69 +212,339 @@ const TodayTasks = ({ tasks, onToggleTask, onDeleteTask }) => {
       ) : (
         <div className="space-y-3">
           {/* Incomplete tasks first */}
-          {incompleteTasks.map((task) => (
-            <TaskItem
-              key={task.id}
-              task={task}
-              onToggle={onToggleTask}
-              onDelete={onDeleteTask}
-              formatTime={formatTime}
-            />
-          ))}
+          {renderTasks(incompleteTasks)}
 
           {/* Completed tasks */}
-          {completedTasks.map((task) => (
-            <TaskItem
-              key={task.id}
-              task={task}
-              onToggle={onToggleTask}
-              onDelete={onDeleteTask}
-              formatTime={formatTime}
-            />
-          ))}
+          {renderTasks(completedTasks)}
         </div>
       )}
     </div>
   );
 };
 
-const TaskItem = ({ task, onToggle, onDelete, formatTime }) => {
+const TaskItem = ({
+  task,
+  subtasks,
+  onToggle,
+  onUpdate,
+  onDelete,
+  onAddSubtask,
+  onDetachSubtask,
+  onReorderSubtasks,
+  onSkipOccurrence,
+  onTimer,
+  onFocus,
+  onShowDetails,
+  isSelecting,
+  isSelected,
+  onSelect,
+  onMove,
+  formatTime,
+  isDragging,
+  isDropTarget,
+  dragHandlers,
+}) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [isAddingSubtask, setIsAddingSubtask] = useState(false);
+  const [isConfirmingComplete, setIsConfirmingComplete] = useState(false);
+  const handleRef = useRef(null);
+  const { onDragStart, onDragEnd, ...dropHandlers } = dragHandlers;
+
+  const openSubtaskCount = subtasks.filter(isOpen).length;
+
+  // Completing a task with open subtasks asks what should happen to them
+  const handleToggle = () => {
+    if (!task.completed && openSubtaskCount > 0) {
+      setIsConfirmingComplete(true);
+    } else {
+      onToggle(task.id);
+    }
+  };
+
+  const completeWithSubtasks = (subtasksChoice) => {
+    onToggle(task.id, { subtasks: subtasksChoice });
+    setIsConfirmingComplete(false);
+  };
+
+  // Arrow keys on the drag handle move the task up or down
+  const handleMoveKey = (e) => {
+    const offset = { ArrowUp: -1, ArrowDown: 1 }[e.key];
+    if (!offset) return;
+
+    e.preventDefault();
+    onMove(offset);
+    // Moving the row in the DOM can drop focus; keep it on the handle
+    requestAnimationFrame(() => handleRef.current?.focus());
+  };
+
+  const handleSave = (changes) => {
+    onUpdate(task.id, changes);
+    setIsEditing(false);
+  };
+
+  if (isEditing) {
+    return (
+      <div className="task-item">
+        <TaskEditor
+          task={task}
+          onSave={handleSave}
+          onCancel={() => setIsEditing(false)}
+        />
+      </div>
+    );
+  }
+
   return (
-    <div className={clsx("task-item", task.completed && "task-completed")}>
-      <div className="flex items-center space-x-3 flex-1">
-        <button
-          onClick={() => onToggle(task.id)}
-          className="flex-shrink-0 focus:outline-none focus:ring-2 focus:ring-primary-500 rounded-full"
-        >
-          {task.completed ? (
-            <CheckCircle2 className="w-5 h-5 text-success-600" />
-          ) : (
-            <Circle className="w-5 h-5 text-gray-400 hover:text-primary-600" />
+    <div
+      {...dropHandlers}
+      className={clsx(
+        "task-item flex-col items-stretch",
+        task.completed && "task-completed",
+        isDragging && "opacity-50",
+        isDropTarget && "ring-2 ring-primary-300",
+        isSelected && "bg-primary-50"
+      )}
+    >
+      <div
+        draggable
+        onDragStart={onDragStart}
+        onDragEnd={onDragEnd}
+        className="flex items-center justify-between"
+      >
+        <div className="flex items-center space-x-3 flex-1">
+          {isSelecting && (
+            <input
+              type="checkbox"
+              checked={isSelected}
+              onChange={onSelect}
+              className="flex-shrink-0"
+              aria-label={`Select "${task.text}"`}
+            />
           )}
-        </button>
+          <button
+            ref={handleRef}
+            onKeyDown={handleMoveKey}
+            className="flex-shrink-0 cursor-grab text-gray-300 hover:text-gray-500 focus:outline-none focus:ring-2 focus:ring-primary-500 rounded"
+            title="Drag to reorder, or use the arrow keys"
+            aria-label={`Reorder "${task.text}" with the up and down arrow keys`}
+          >
+            <GripVertical className="w-4 h-4" />
+          </button>
 
-        <div className="flex-1 min-w-0">
-          <p
-            className={clsx(
-              "text-gray-900",
-              task.completed && "task-text-completed"
+          <button
+            onClick={handleToggle}
+            className="flex-shrink-0 focus:outline-none focus:ring-2 focus:ring-primary-500 rounded-full"
+          >
+            {task.completed ? (
+              <CheckCircle2 className="w-5 h-5 text-success-600" />
+            ) : (
+              <Circle className="w-5 h-5 text-gray-400 hover:text-primary-600" />
             )}
+          </button>
+
+          <div
+            className="flex-1 min-w-0"
+            onDoubleClick={() => setIsEditing(true)}
           >
-            {task.text}
-          </p>
-          <p className="text-xs text-gray-500 mt-1">
-            Added at {formatTime(task.createdAt)}
-          </p>
+            <p
+              className={clsx(
+                "text-gray-900",
+                (task.completed || task.dropped) && "task-text-completed"
+              )}
+            >
+              {task.text}
+            </p>
+            {task.description && (
+              <p className="text-sm text-gray-600 mt-1 truncate">
+                {task.description}
+              </p>
+            )}
+            <div className="flex flex-wrap items-center gap-2 mt-1">
+              <p className="text-xs text-gray-500">
+                Added at {formatTime(task.createdAt)}
+              </p>
+              {task.syncFailed && (
+                <span
+                  className="flex items-center text-xs text-red-700 font-medium"
+                  title="The server refused this task, so it is only saved on this device"
+                >
+                  <AlertCircle className="w-3 h-3 mr-1" />
+                  Not saved
+                </span>
+              )}
+              {task.priority && (
+                <span
+                  className={clsx(
+                    "px-2 rounded-full text-xs font-medium",
+                    getPriorityStyle(task.priority)
+                  )}
+                >
+                  {task.priority}
+                </span>
+              )}
+              {task.dueDate && (
+                <span className="flex items-center text-xs text-gray-500">
+                  <Calendar className="w-3 h-3 mr-1" />
+                  Due {formatDueDate(task.dueDate)}
+                </span>
+              )}
+              {task.estimatedTime > 0 && (
+                <span className="flex items-center text-xs text-gray-500">
+                  <Clock className="w-3 h-3 mr-1" />
+                  {task.estimatedTime} min
+                </span>
+              )}
+              {task.focusSessionCount > 0 && (
+                <span className="flex items-center text-xs text-gray-500">
+                  <Target className="w-3 h-3 mr-1" />
+                  {task.focusSessionCount} pomodoro
+                  {task.focusSessionCount === 1 ? "" : "s"}
+                </span>
+              )}
+              {task.completed && task.actualTime > 0 && (
+                <span
+                  className="flex items-center text-xs text-gray-500"
+                  title="Time tracked with the timer"
+                >
+                  <Timer className="w-3 h-3 mr-1" />
+                  Took {task.actualTime} min
+                </span>
+              )}
+              {isRecurringOccurrence(task) && (
+                <span className="flex items-center text-xs text-gray-500">
+                  <Repeat className="w-3 h-3 mr-1" />
+                  {task.dropped
+                    ? "Skipped this time"
+                    : describeRecurrence(task.recurring)}
+                </span>
+              )}
+              {task.rolloverCount > 0 && (
+                <span
+                  className={clsx(
+                    "flex items-center text-xs",
+                    task.rolloverCount >= CHRONIC_ROLLOVERS
+                      ? "text-warning-700 font-medium"
+                      : "text-gray-500"
+                  )}
+                  title="Times this task was carried over from an earlier day"
+                >
+                  <RotateCw className="w-3 h-3 mr-1" />
+                  Carried over {task.rolloverCount}×
+                </span>
+              )}
+              {(task.tags || []).map((tag) => (
+                <span
+                  key={tag}
+                  className="flex items-center text-xs text-primary-700"
+                >
+                  <Tag className="w-3 h-3 mr-1" />
+                  {tag}
+                </span>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="flex items-center ml-2 space-x-2">
+          {isOpen(task) && <TaskTimer task={task} onTimer={onTimer} />}
+          {isOpen(task) && (
+            <button
+              onClick={() => onFocus(task.id)}
+              className="btn-secondary p-2"
+              title="Focus on this task"
+            >
+              <Target className="w-4 h-4" />
+            </button>
+          )}
+          {isRecurringOccurrence(task) && isOpen(task) && (
+            <button
+              onClick={() => onSkipOccurrence(task.id)}
+              className="btn-secondary p-2"
+              title="Skip this occurrence"
+            >
+              <SkipForward className="w-4 h-4" />
+            </button>
+          )}
+          {subtasks.length === 0 && !isAddingSubtask && (
+            <button
+              onClick={() => setIsAddingSubtask(true)}
+              className="btn-secondary p-2"
+              title="Add subtasks"
+            >
+              <ListPlus className="w-4 h-4" />
+            </button>
+          )}
+          <button
+            onClick={() => onShowDetails(task)}
+            className="btn-secondary p-2"
+            title="Details and activity"
+          >
+            <History className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => setIsEditing(true)}
+            className="btn-secondary p-2"
+            title="Edit task"
+          >
+            <Pencil className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => onDelete(task.id)}
+            className="btn-danger p-2"
+            title={
+              subtasks.length > 0
+                ? "Delete task and its subtasks"
+                : "Delete task"
+            }
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
         </div>
       </div>
 
-      <button
-        onClick={() => onDelete(task.id)}
-        className="btn-danger p-2 ml-2"
-        title="Delete task"
-      >
-        <Trash2 className="w-4 h-4" />
-      </button>
+      {isConfirmingComplete && (
+        <div
+          className="flex flex-wrap items-center gap-2 mt-3 p-3 rounded-lg bg-warning-50 border border-warning-200 text-sm"
+          role="alertdialog"
+          aria-label="Open subtasks"
+        >
+          <span className="flex-1 text-gray-700">
+            {openSubtaskCount === 1
+              ? "1 subtask is still open."
+              : `${openSubtaskCount} subtasks are still open.`}
+          </span>
+          <button
+            onClick={() => completeWithSubtasks("complete")}
+            className="btn-primary py-1 text-sm"
+          >
+            Complete all
+          </button>
+          <button
+            onClick={() => completeWithSubtasks("leave")}
+            className="btn-secondary py-1 text-sm"
+          >
+            Only this task
+          </button>
+          <button
+            onClick={() => setIsConfirmingComplete(false)}
+            className="text-gray-500 hover:text-gray-700"
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {(subtasks.length > 0 || isAddingSubtask) && (
+        <SubtaskList
+          subtasks={subtasks}
+          autoFocus={isAddingSubtask}
+          onToggle={onToggle}
+          onAdd={(text) => onAddSubtask(task.id, text)}
+          onDetach={onDetachSubtask}
+          onDelete={onDelete}
+          onReorder={(ids) => onReorderSubtasks(task.id, ids)}
+        />
+      )}
     </div>
   );
 };
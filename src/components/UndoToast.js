@@ -0,0 +1,40 @@
+import React, { useEffect } from "react";
+import { Undo2, X } from "lucide-react";
+
+// How long the toast stays up, in milliseconds
+const DISPLAY_TIME = 8000;
+
+// Confirms an action at the bottom of the screen and offers to undo it
+// until it times out or is closed
+const UndoToast = ({ message, onUndo, onDismiss }) => {
+  useEffect(() => {
+    const timeout = setTimeout(onDismiss, DISPLAY_TIME);
+    return () => clearTimeout(timeout);
+  }, [onDismiss]);
+
+  return (
+    <div
+      role="status"
+      aria-live="polite"
+      className="fixed bottom-4 left-1/2 -translate-x-1/2 z-20 flex items-center space-x-4 bg-gray-900 text-white text-sm rounded-lg shadow-lg px-4 py-3 max-w-[90vw]"
+    >
+      <span className="truncate">{message}</span>
+      <button
+        onClick={onUndo}
+        className="flex items-center font-medium text-primary-300 hover:text-primary-200"
+      >
+        <Undo2 className="w-4 h-4 mr-1" />
+        Undo
+      </button>
+      <button
+        onClick={onDismiss}
+        className="text-gray-400 hover:text-white"
+        aria-label="Dismiss"
+      >
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
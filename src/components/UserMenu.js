@@ -0,0 +1,173 @@
+import React, { useState, useEffect, useRef } from "react";
+import {
+  User,
+  ChevronDown,
+  LogOut,
+  MonitorSmartphone,
+  Globe,
+  Mail,
+} from "lucide-react";
+import { useAuth } from "../context/AuthContext";
+import CalendarFeed from "./CalendarFeed";
+import { getBrowserTimeZone } from "../utils/dateUtils";
+
+// Older browsers can't list every zone; offer UTC and the browser's own
+const getTimeZones = (selected) => {
+  const zones = Intl.supportedValuesOf
+    ? Intl.supportedValuesOf("timeZone")
+    : [getBrowserTimeZone()];
+  return [...new Set(["UTC", selected, ...zones])];
+};
+
+const UserMenu = () => {
+  const { user, logout, updatePreferences } = useAuth();
+  const [isOpen, setIsOpen] = useState(false);
+  const [timeZoneError, setTimeZoneError] = useState("");
+  const [digestError, setDigestError] = useState("");
+  const menuRef = useRef(null);
+
+  // Close the menu when clicking anywhere else
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [isOpen]);
+
+  if (!user) return null;
+
+  const timeZone = user.preferences?.timezone || "UTC";
+  const browserTimeZone = getBrowserTimeZone();
+
+  const changeTimeZone = async (nextTimeZone) => {
+    setTimeZoneError("");
+    try {
+      await updatePreferences({ timezone: nextTimeZone });
+    } catch (error) {
+      console.error("Error updating timezone:", error);
+      setTimeZoneError("Couldn't save the timezone. Please try again.");
+    }
+  };
+
+  // The digest is an email, so turning it on also turns email back on
+  const digest = user.preferences?.digest || { enabled: false, time: "07:30" };
+  const digestEnabled =
+    digest.enabled && user.preferences?.notifications?.email !== false;
+
+  const changeDigest = async (changes) => {
+    setDigestError("");
+    try {
+      await updatePreferences({
+        digest: changes,
+        ...(changes.enabled && { notifications: { email: true } }),
+      });
+    } catch (error) {
+      console.error("Error updating daily digest:", error);
+      setDigestError("Couldn't save the digest settings. Please try again.");
+    }
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center space-x-2 px-3 py-2 rounded-lg text-gray-700 hover:bg-gray-100 transition-colors duration-200"
+        aria-haspopup="true"
+        aria-expanded={isOpen}
+      >
+        <User className="w-4 h-4" />
+        <span className="text-sm font-medium">
+          {user.fullName || user.username}
+        </span>
+        <ChevronDown className="w-4 h-4 text-gray-400" />
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-56 bg-white rounded-lg shadow-lg border border-gray-200 py-1 z-10">
+          <div className="px-4 py-2 border-b border-gray-100">
+            <p className="text-sm font-medium text-gray-900">{user.username}</p>
+            <p className="text-xs text-gray-500 truncate">{user.email}</p>
+          </div>
+          <div className="px-4 py-2 border-b border-gray-100">
+            <label className="flex items-center space-x-2 text-xs text-gray-500">
+              <Globe className="w-3 h-3" />
+              <span>Time zone</span>
+            </label>
+            <select
+              value={timeZone}
+              onChange={(e) => changeTimeZone(e.target.value)}
+              className="input-field mt-1 text-sm"
+              aria-label="Time zone"
+            >
+              {getTimeZones(timeZone).map((zone) => (
+                <option key={zone} value={zone}>
+                  {zone.replace(/_/g, " ")}
+                </option>
+              ))}
+            </select>
+            {timeZone !== browserTimeZone && (
+              <button
+                onClick={() => changeTimeZone(browserTimeZone)}
+                className="mt-1 text-xs text-primary-600 hover:underline"
+              >
+                Use this device's ({browserTimeZone.replace(/_/g, " ")})
+              </button>
+            )}
+            {timeZoneError && (
+              <p className="mt-1 text-xs text-red-600">{timeZoneError}</p>
+            )}
+          </div>
+          <div className="px-4 py-2 border-b border-gray-100">
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={digestEnabled}
+                onChange={(e) => changeDigest({ enabled: e.target.checked })}
+              />
+              <Mail className="w-4 h-4 text-gray-400" />
+              <span>Morning digest email</span>
+            </label>
+            {digestEnabled && (
+              <input
+                type="time"
+                defaultValue={digest.time}
+                onBlur={(e) =>
+                  e.target.value &&
+                  e.target.value !== digest.time &&
+                  changeDigest({ time: e.target.value })
+                }
+                className="input-field mt-1 text-sm"
+                aria-label="Digest time"
+              />
+            )}
+            {digestError && (
+              <p className="mt-1 text-xs text-red-600">{digestError}</p>
+            )}
+          </div>
+          <CalendarFeed />
+          <button
+            onClick={() => logout()}
+            className="w-full flex items-center space-x-2 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+          >
+            <LogOut className="w-4 h-4" />
+            <span>Log out</span>
+          </button>
+          <button
+            onClick={() => logout({ allDevices: true })}
+            className="w-full flex items-center space-x-2 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+          >
+            <MonitorSmartphone className="w-4 h-4" />
+            <span>Log out of all devices</span>
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UserMenu;
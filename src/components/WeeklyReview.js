@@ -0,0 +1,389 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  ClipboardCheck,
+  ArrowRightCircle,
+  CalendarClock,
+  Ban,
+  PenLine,
+  Save,
+  Check,
+  History,
+  ChevronDown,
+  ChevronUp,
+  Loader2,
+  AlertCircle,
+} from "lucide-react";
+import clsx from "clsx";
+import { useAuth } from "../context/AuthContext";
+import {
+  fetchWeeklySummary,
+  saveWeeklyReview,
+  fetchWeeklyReviews,
+} from "../utils/reviewService";
+import { getPriorityStyle } from "../utils/priorities";
+import { formatDay, getToday, addDays } from "../utils/dateUtils";
+
+const MAX_REFLECTION_LENGTH = 2000;
+
+const formatWeek = (startDate, endDate) =>
+  `${formatDay(startDate)} – ${formatDay(endDate)}`;
+
+// A guided look back at the last seven days: the week's numbers, a decision
+// for every task left open, and a reflection note saved with the week.
+// Saved reviews can be browsed afterwards, e.g. for a Friday retro.
+const WeeklyReview = ({ onRolloverTasks }) => {
+  const { isAuthenticated } = useAuth();
+  const [summary, setSummary] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [handledIds, setHandledIds] = useState(() => new Set());
+  const [rescheduleDates, setRescheduleDates] = useState({});
+  const [reflection, setReflection] = useState("");
+  const [saveStatus, setSaveStatus] = useState("idle");
+  const [pastReviews, setPastReviews] = useState([]);
+  const [reviewsPagination, setReviewsPagination] = useState(null);
+
+  const loadPastReviews = useCallback(async (page = 1) => {
+    try {
+      const { reviews, pagination } = await fetchWeeklyReviews(page);
+      setPastReviews((prev) => (page === 1 ? reviews : [...prev, ...reviews]));
+      setReviewsPagination(pagination);
+    } catch (err) {
+      console.error("Error fetching weekly reviews:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    const loadSummary = async () => {
+      try {
+        setIsLoading(true);
+        setError("");
+        const weeklySummary = await fetchWeeklySummary();
+        setSummary(weeklySummary);
+        setReflection(weeklySummary.review?.reflection || "");
+      } catch (err) {
+        setError("Failed to load this week's summary. Please try again later.");
+        console.error("Error fetching weekly summary:", err);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadSummary();
+    loadPastReviews();
+  }, [isAuthenticated, loadPastReviews]);
+
+  if (!isAuthenticated) {
+    return (
+      <div className="card text-center py-8 text-gray-500">
+        <ClipboardCheck className="w-12 h-12 mx-auto mb-3 text-gray-300" />
+        <p>Sign in to review your week and keep your reflections.</p>
+      </div>
+    );
+  }
+
+  if (isLoading || !summary) {
+    return (
+      <div className="card">
+        {error ? (
+          <div className="flex items-center text-sm text-red-700">
+            <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+            {error}
+          </div>
+        ) : (
+          <div className="flex items-center justify-center py-8 text-gray-500">
+            <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+            Loading your week...
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  const { statistics, period } = summary;
+  const openTasks = summary.pendingTasks.filter(
+    (task) => !handledIds.has(task.id)
+  );
+  const tomorrow = addDays(getToday(), 1);
+
+  const decide = (task, action) => {
+    onRolloverTasks([
+      {
+        taskId: task.id,
+        action,
+        ...(action === "reschedule" && {
+          date: rescheduleDates[task.id] || tomorrow,
+        }),
+      },
+    ]);
+    setHandledIds((prev) => new Set(prev).add(task.id));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaveStatus("saving");
+      const review = await saveWeeklyReview(period.startDate, reflection);
+      setSummary((prev) => ({ ...prev, review }));
+      setSaveStatus("saved");
+      loadPastReviews();
+    } catch (err) {
+      setSaveStatus("error");
+      console.error("Error saving weekly review:", err);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="card">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center mb-1">
+          <ClipboardCheck className="w-5 h-5 mr-2 text-primary-600" />
+          Weekly Review
+        </h2>
+        <p className="text-sm text-gray-500 mb-6">
+          {formatWeek(period.startDate, period.endDate)}
+        </p>
+
+        <ReviewStep number={1} title="Look back">
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-3">
+            <StatTile
+              label="Completed"
+              value={`${statistics.completed} / ${statistics.total}`}
+            />
+            <StatTile
+              label="Completion rate"
+              value={`${statistics.completionRate}%`}
+            />
+            <StatTile
+              label="Tasks per day"
+              value={statistics.averageTasksPerDay}
+            />
+            <StatTile
+              label="Best day"
+              value={
+                statistics.completed > 0 ? statistics.mostProductiveDay : "–"
+              }
+            />
+          </div>
+          <div className="flex flex-wrap gap-2 text-xs">
+            {Object.entries(statistics.priorityBreakdown).map(
+              ([priority, count]) => (
+                <span
+                  key={priority}
+                  className={clsx(
+                    "px-2 py-1 rounded-full font-medium",
+                    getPriorityStyle(priority)
+                  )}
+                >
+                  {priority}: {count}
+                </span>
+              )
+            )}
+          </div>
+        </ReviewStep>
+
+        <ReviewStep number={2} title="Decide on open tasks">
+          {openTasks.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              Nothing left open from this week.
+            </p>
+          ) : (
+            <ul className="space-y-2">
+              {openTasks.map((task) => (
+                <li
+                  key={task.id}
+                  className="flex flex-wrap items-center gap-2 p-3 rounded-lg bg-gray-50"
+                >
+                  <span className="flex-1 min-w-0">
+                    <span className="block text-sm text-gray-900 truncate">
+                      {task.text}
+                    </span>
+                    <span className="block text-xs text-gray-500">
+                      From {formatDay(task.date)}
+                    </span>
+                  </span>
+                  <button
+                    onClick={() => decide(task, "today")}
+                    className="p-2 text-primary-600 hover:text-primary-800"
+                    title="Move to today"
+                  >
+                    <ArrowRightCircle className="w-4 h-4" />
+                  </button>
+                  <input
+                    type="date"
+                    min={tomorrow}
+                    value={rescheduleDates[task.id] || tomorrow}
+                    onChange={(e) =>
+                      setRescheduleDates((prev) => ({
+                        ...prev,
+                        [task.id]: e.target.value,
+                      }))
+                    }
+                    className="input-field w-auto py-1 text-sm"
+                    aria-label={`New date for ${task.text}`}
+                  />
+                  <button
+                    onClick={() => decide(task, "reschedule")}
+                    className="p-2 text-gray-600 hover:text-gray-800"
+                    title="Reschedule"
+                  >
+                    <CalendarClock className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => decide(task, "drop")}
+                    className="p-2 text-gray-400 hover:text-red-600"
+                    title="Drop"
+                  >
+                    <Ban className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </ReviewStep>
+
+        <ReviewStep number={3} title="Reflect" isLast>
+          <form onSubmit={handleSave} className="space-y-2">
+            <textarea
+              value={reflection}
+              onChange={(e) => {
+                setReflection(e.target.value);
+                setSaveStatus("idle");
+              }}
+              placeholder="What went well? What got in the way? What will you change next week?"
+              className="input-field min-h-[100px]"
+              maxLength={MAX_REFLECTION_LENGTH}
+              aria-label="Reflection"
+            />
+            <div className="flex items-center justify-between">
+              <span className="text-xs text-gray-400">
+                {reflection.length}/{MAX_REFLECTION_LENGTH}
+              </span>
+              <div className="flex items-center space-x-3">
+                {saveStatus === "saved" && (
+                  <span className="flex items-center text-sm text-success-600">
+                    <Check className="w-4 h-4 mr-1" />
+                    Saved
+                  </span>
+                )}
+                {saveStatus === "error" && (
+                  <span className="text-sm text-red-600">
+                    Couldn't save. Try again.
+                  </span>
+                )}
+                <button
+                  type="submit"
+                  disabled={saveStatus === "saving"}
+                  className="btn-primary flex items-center disabled:opacity-50"
+                >
+                  <Save className="w-4 h-4 mr-2" />
+                  {summary.review ? "Update review" : "Save review"}
+                </button>
+              </div>
+            </div>
+          </form>
+        </ReviewStep>
+      </div>
+
+      <PastReviews
+        reviews={pastReviews}
+        pagination={reviewsPagination}
+        onLoadMore={() => loadPastReviews(reviewsPagination.page + 1)}
+      />
+    </div>
+  );
+};
+
+const ReviewStep = ({ number, title, isLast = false, children }) => (
+  <section className={clsx("flex", !isLast && "mb-6")}>
+    <span className="flex-shrink-0 w-6 h-6 mr-3 rounded-full bg-primary-100 text-primary-700 text-sm font-medium flex items-center justify-center">
+      {number}
+    </span>
+    <div className="flex-1 min-w-0">
+      <h3 className="font-medium text-gray-900 mb-3">{title}</h3>
+      {children}
+    </div>
+  </section>
+);
+
+const StatTile = ({ label, value }) => (
+  <div className="p-3 bg-gray-50 rounded-lg">
+    <div className="text-lg font-semibold text-gray-900">{value}</div>
+    <div className="text-xs text-gray-500">{label}</div>
+  </div>
+);
+
+const PastReviews = ({ reviews, pagination, onLoadMore }) => {
+  const [expandedId, setExpandedId] = useState(null);
+
+  return (
+    <div className="card">
+      <h2 className="text-xl font-semibold text-gray-900 flex items-center mb-4">
+        <History className="w-5 h-5 mr-2 text-primary-600" />
+        Past Reviews
+      </h2>
+
+      {reviews.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          Saved reviews will show up here.
+        </p>
+      ) : (
+        <ul className="space-y-2">
+          {reviews.map((review) => {
+            const isExpanded = expandedId === review._id;
+            return (
+              <li
+                key={review._id}
+                className="border border-gray-200 rounded-lg"
+              >
+                <button
+                  onClick={() => setExpandedId(isExpanded ? null : review._id)}
+                  className="w-full flex items-center justify-between p-3 text-left"
+                  aria-expanded={isExpanded}
+                >
+                  <span className="text-sm font-medium text-gray-900">
+                    {formatWeek(review.weekStart, review.weekEnd)}
+                  </span>
+                  <span className="flex items-center text-sm text-gray-500">
+                    {review.statistics.completed}/{review.statistics.total} done
+                    ({review.statistics.completionRate}%)
+                    {isExpanded ? (
+                      <ChevronUp className="w-4 h-4 ml-2" />
+                    ) : (
+                      <ChevronDown className="w-4 h-4 ml-2" />
+                    )}
+                  </span>
+                </button>
+                {isExpanded && (
+                  <div className="px-3 pb-3 text-sm text-gray-700">
+                    {review.reflection ? (
+                      <p className="flex whitespace-pre-wrap">
+                        <PenLine className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0 text-gray-400" />
+                        {review.reflection}
+                      </p>
+                    ) : (
+                      <p className="text-gray-500">No reflection written.</p>
+                    )}
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {pagination?.hasNextPage && (
+        <button
+          onClick={onLoadMore}
+          className="btn-secondary w-full mt-3 text-sm"
+        >
+          Show older reviews
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default WeeklyReview;
@@ -0,0 +1,118 @@
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useCallback,
+} from "react";
+import { getStoredSession, onSessionExpired } from "../utils/apiClient";
+import * as authService from "../utils/authService";
+import { setTimeZone, getBrowserTimeZone } from "../utils/dateUtils";
+import { clearSummaryCache } from "../utils/aiService";
+
+const AuthContext = createContext(null);
+
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(() => getStoredSession()?.user || null);
+  const [sessionExpired, setSessionExpired] = useState(false);
+  const userId = user?.id;
+  const timeZone = user?.preferences?.timezone;
+  const previousUserId = useRef(userId);
+
+  // Days are bucketed in the signed-in user's timezone, or the browser's.
+  // Layout effects run before the children's effects, so nothing fetches or
+  // buckets with the previous user's settings.
+  useLayoutEffect(() => {
+    setTimeZone(timeZone);
+  }, [timeZone]);
+
+  // A cached AI summary belongs to whoever was signed in when it was fetched
+  useLayoutEffect(() => {
+    if (previousUserId.current === userId) return;
+    previousUserId.current = userId;
+    clearSummaryCache();
+  }, [userId]);
+
+  // The API client clears the stored session when a refresh fails
+  useEffect(() => {
+    onSessionExpired(() => {
+      setUser(null);
+      setSessionExpired(true);
+    });
+    return () => onSessionExpired(null);
+  }, [setUser]);
+
+  // Revalidate the stored session and pick up profile changes
+  useEffect(() => {
+    if (!getStoredSession()) return;
+
+    authService
+      .getMe()
+      .then(setUser)
+      .catch((error) => console.error("Error loading profile:", error));
+  }, [setUser]);
+
+  const login = useCallback(
+    async (identifier, password) => {
+      const session = await authService.login(identifier, password);
+      setSessionExpired(false);
+      setUser(session.user);
+    },
+    [setUser]
+  );
+
+  // New accounts start out in the browser's timezone
+  const register = useCallback(
+    async (details) => {
+      const session = await authService.register({
+        ...details,
+        timezone: getBrowserTimeZone(),
+      });
+      setSessionExpired(false);
+      setUser(session.user);
+    },
+    [setUser]
+  );
+
+  const updatePreferences = useCallback(
+    async (preferences) => {
+      setUser(await authService.updateProfile({ preferences }));
+    },
+    [setUser]
+  );
+
+  const logout = useCallback(
+    async ({ allDevices = false } = {}) => {
+      try {
+        await (allDevices ? authService.logoutAll() : authService.logout());
+      } catch (error) {
+        console.error("Error logging out:", error);
+      } finally {
+        setUser(null);
+      }
+    },
+    [setUser]
+  );
+
+  const value = {
+    user,
+    isAuthenticated: Boolean(user),
+    sessionExpired,
+    login,
+    register,
+    updatePreferences,
+    logout,
+  };
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error("useAuth must be used within an AuthProvider");
+  }
+  return context;
+};
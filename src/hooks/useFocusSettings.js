@@ -0,0 +1,34 @@
+import { useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import {
+  DEFAULT_FOCUS_SETTINGS,
+  loadGuestFocusSettings,
+  saveGuestFocusSettings,
+} from "../utils/focus";
+
+// Pomodoro settings, from the account when signed in or this device for
+// guests. `updateSettings` takes the changed fields only.
+const useFocusSettings = () => {
+  const { user, updatePreferences } = useAuth();
+  const [guestSettings, setGuestSettings] = useState(loadGuestFocusSettings);
+
+  const settings = {
+    ...DEFAULT_FOCUS_SETTINGS,
+    ...(user ? user.preferences?.focus : guestSettings),
+  };
+
+  const updateSettings = async (changes) => {
+    if (user) {
+      await updatePreferences({ focus: changes });
+      return;
+    }
+
+    const nextSettings = { ...guestSettings, ...changes };
+    setGuestSettings(nextSettings);
+    saveGuestFocusSettings(nextSettings);
+  };
+
+  return { settings, updateSettings };
+};
+
+export default useFocusSettings;
@@ -0,0 +1,68 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  DEFAULT_FILTERS,
+  readFiltersFromUrl,
+  toSearchParams,
+} from "../utils/taskFilters";
+
+// Views other than "today" are named in the URL
+const URL_VIEWS = ["all", "stats", "review"];
+
+const readViewFromUrl = () => {
+  const view = new URLSearchParams(window.location.search).get("view");
+  return URL_VIEWS.includes(view) ? view : "today";
+};
+
+const writeUrl = (view, filters, { replace = false } = {}) => {
+  const params =
+    view === "all" ? toSearchParams(filters) : new URLSearchParams();
+  if (URL_VIEWS.includes(view)) params.set("view", view);
+
+  const query = params.toString();
+  const url = `${window.location.pathname}${query ? `?${query}` : ""}`;
+  window.history[replace ? "replaceState" : "pushState"](null, "", url);
+};
+
+// The current view ("today", "all", "stats" or "review") and the All tasks filters, kept in the
+// URL so they survive reloads, can be bookmarked, and follow Back/Forward
+const useTaskFilters = () => {
+  const [view, setViewState] = useState(readViewFromUrl);
+  const [filters, setFiltersState] = useState(() => readFiltersFromUrl());
+
+  useEffect(() => {
+    const handlePopState = () => {
+      setViewState(readViewFromUrl());
+      setFiltersState(readFiltersFromUrl());
+    };
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  const setView = useCallback(
+    (nextView) => {
+      setViewState(nextView);
+      writeUrl(nextView, filters);
+    },
+    [filters]
+  );
+
+  // Any change other than paging starts again from the first page. Typing in
+  // the search box replaces the history entry instead of adding one per key.
+  const updateFilters = useCallback(
+    (changes, options) => {
+      const nextFilters = { ...filters, page: 1, ...changes };
+      setFiltersState(nextFilters);
+      writeUrl("all", nextFilters, options);
+    },
+    [filters]
+  );
+
+  const resetFilters = useCallback(() => {
+    setFiltersState(DEFAULT_FILTERS);
+    writeUrl("all", DEFAULT_FILTERS);
+  }, []);
+
+  return { view, setView, filters, updateFilters, resetFilters };
+};
+
+export default useTaskFilters;
@@ -0,0 +1,670 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { useAuth } from "../context/AuthContext";
+import { hasSession } from "../utils/apiClient";
+import * as taskService from "../utils/taskService";
+import {
+  createTempId,
+  enqueue,
+  loadOutbox,
+  clearOutbox,
+  replayOutbox,
+  resolveConflicts,
+  mergeServerTasks,
+  remapTaskIds,
+  isTransientError,
+  isLocalId,
+} from "../utils/syncQueue";
+import { getToday } from "../utils/dateUtils";
+import { isOpen } from "../utils/subtasks";
+import { toTransferTask } from "../utils/taskTransfer";
+import {
+  isTimerRunning,
+  getTrackedMinutes,
+  pauseSessions,
+} from "../utils/timeTracking";
+
+// Stop a task's timer, recording the time tracked so far as actualTime
+const stopTaskTimer = (task, at) => {
+  if (!task.timeSessions?.length) return task;
+
+  const stopped = {
+    ...task,
+    timeSessions: pauseSessions(task.timeSessions, at),
+  };
+  return { ...stopped, actualTime: getTrackedMinutes(stopped) };
+};
+
+// A batch operation (other than "delete") applied to the local copy of its
+// task; see batchTasks
+const applyOperation = (task, operation, at) => {
+  switch (operation.action) {
+    case "complete":
+      return stopTaskTimer({ ...task, completed: true, dropped: false }, at);
+    case "restore":
+      return { ...task, completed: false };
+    case "update":
+      return { ...task, ...operation.changes };
+    case "retag": {
+      const { addTags = [], removeTags = [] } = operation;
+      const tags = (task.tags || []).filter((tag) => !removeTags.includes(tag));
+      return { ...task, tags: [...new Set([...tags, ...addTags])] };
+    }
+    case "reschedule":
+      return {
+        ...task,
+        ...(operation.date && { date: operation.date }),
+        ...(operation.dueDate !== undefined && { dueDate: operation.dueDate }),
+      };
+    default:
+      return task;
+  }
+};
+
+// Owns the task list. Changes apply locally (and to localStorage) at once;
+// when signed in they are also queued in the outbox and synced in the
+// background, so the app keeps working while the network is down.
+const useTasks = () => {
+  const { isAuthenticated, sessionExpired, user } = useAuth();
+  const timeZone = user?.preferences?.timezone;
+
+  const [tasks, setTasks] = useState(() => {
+    const savedTasks = localStorage.getItem("todo-tasks");
+    return savedTasks ? JSON.parse(savedTasks) : [];
+  });
+
+  // "synced" | "pending" | "syncing" | "offline" | "error"
+  const [syncStatus, setSyncStatus] = useState("synced");
+  const [pendingCount, setPendingCount] = useState(() => loadOutbox().length);
+
+  // The most recent deletion, until it is undone or the undo is dismissed
+  const [lastDeletion, setLastDeletion] = useState(null);
+
+  const tasksRef = useRef(tasks);
+  const isSyncing = useRef(false);
+  const syncAgain = useRef(false);
+
+  // Save tasks to localStorage whenever tasks change
+  useEffect(() => {
+    tasksRef.current = tasks;
+    localStorage.setItem("todo-tasks", JSON.stringify(tasks));
+  }, [tasks]);
+
+  // Replay queued mutations, then reconcile today's tasks with the server
+  const sync = useCallback(async () => {
+    if (!hasSession()) return;
+
+    if (!navigator.onLine) {
+      setSyncStatus("offline");
+      return;
+    }
+
+    // A sync requested mid-flight runs again once the current one finishes
+    if (isSyncing.current) {
+      syncAgain.current = true;
+      return;
+    }
+
+    isSyncing.current = true;
+    setSyncStatus("syncing");
+
+    try {
+      const serverToday = await taskService.fetchTodayTasks();
+      resolveConflicts(serverToday, tasksRef.current);
+
+      // A replay cut short still uploaded some tasks; the queued mutations
+      // already use their server ids, so the local copies must follow.
+      // Tasks the server refused to create stay here, marked as not saved.
+      let replay = { idMap: {}, failedIds: [], droppedCount: 0 };
+      try {
+        replay = await replayOutbox();
+      } catch (error) {
+        replay = {
+          ...replay,
+          idMap: error.idMap || replay.idMap,
+          failedIds: error.failedIds || replay.failedIds,
+        };
+        throw error;
+      } finally {
+        const { idMap, failedIds } = replay;
+        setTasks((prevTasks) =>
+          remapTaskIds(prevTasks, idMap).map((task) =>
+            failedIds.includes(task.id) ? { ...task, syncFailed: true } : task
+          )
+        );
+      }
+
+      const today = getToday();
+      const freshToday = await taskService.fetchTodayTasks();
+      setTasks((prevTasks) =>
+        mergeServerTasks(prevTasks, freshToday, (task) => task.date === today)
+      );
+
+      if (replay.droppedCount > 0) {
+        setSyncStatus("error");
+      } else {
+        setSyncStatus(loadOutbox().length > 0 ? "pending" : "synced");
+      }
+    } catch (error) {
+      console.error("Error syncing tasks:", error);
+      setSyncStatus(isTransientError(error) ? "offline" : "error");
+    } finally {
+      isSyncing.current = false;
+      setPendingCount(loadOutbox().length);
+
+      if (syncAgain.current) {
+        syncAgain.current = false;
+        sync();
+      }
+    }
+  }, []);
+
+  // Queue a mutation for the server and kick off a sync. Tasks with numeric
+  // ids were created before signing in, and tasks the server refused to
+  // create are marked syncFailed; both only exist on this device.
+  const queueMutation = useCallback(
+    (mutation) => {
+      if (!hasSession() || typeof mutation.taskId === "number") return;
+      if (
+        tasksRef.current.some(
+          (task) => task.id === mutation.taskId && task.syncFailed
+        )
+      ) {
+        return;
+      }
+
+      setPendingCount(enqueue(mutation).length);
+      setSyncStatus("pending");
+      sync();
+    },
+    [sync]
+  );
+
+  // Load tasks from the backend whenever the user signs in (or changes
+  // timezone, which moves tasks between days), and don't leave the previous
+  // user's tasks on screen after they sign out
+  const wasAuthenticated = useRef(isAuthenticated);
+  useEffect(() => {
+    if (isAuthenticated) {
+      sync()
+        .then(() => taskService.fetchTasks())
+        .then((serverTasks) =>
+          setTasks((prevTasks) => mergeServerTasks(prevTasks, serverTasks))
+        )
+        .catch((error) => console.error("Error loading tasks:", error));
+    } else if (wasAuthenticated.current && !sessionExpired) {
+      setTasks([]);
+      setLastDeletion(null);
+      clearOutbox();
+      setPendingCount(0);
+      setSyncStatus("synced");
+    }
+    wasAuthenticated.current = isAuthenticated;
+  }, [isAuthenticated, sessionExpired, timeZone, sync]);
+
+  // Flush the outbox as soon as the connection comes back
+  useEffect(() => {
+    const handleOnline = () => sync();
+    const handleOffline = () => setSyncStatus("offline");
+
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, [sync]);
+
+  // Guest ids are timestamps; bump them so tasks added in the same
+  // millisecond (e.g. copying a whole day) stay unique
+  const lastGuestId = useRef(0);
+  const nextGuestId = () => {
+    lastGuestId.current = Math.max(Date.now(), lastGuestId.current + 1);
+    return lastGuestId.current;
+  };
+
+  // `details` carries optional task fields such as priority
+  const addTask = (taskText, details = {}) => {
+    const newTask = {
+      id: hasSession() ? createTempId() : nextGuestId(),
+      text: taskText,
+      completed: false,
+      createdAt: new Date().toISOString(),
+      date: getToday(),
+      ...details,
+    };
+    setTasks((prevTasks) => [newTask, ...prevTasks]);
+    queueMutation({ type: "create", taskId: newTask.id, task: newTask });
+  };
+
+  // Completing a task with open subtasks takes `subtasks`: "complete" to
+  // finish them as well, or "leave" (the default) to complete only the parent
+  const toggleTask = (taskId, { subtasks = "leave" } = {}) => {
+    const target = tasks.find((task) => task.id === taskId);
+    if (!target) return;
+
+    const completed = !target.completed;
+    const completesSubtasks = completed && subtasks === "complete";
+    const now = new Date().toISOString();
+
+    // Completing a task stops its timer
+    setTasks((prevTasks) =>
+      prevTasks.map((task) => {
+        if (task.id === taskId) {
+          const toggled = { ...task, completed, dropped: false };
+          return completed ? stopTaskTimer(toggled, now) : toggled;
+        }
+        if (completesSubtasks && task.parentId === taskId && isOpen(task)) {
+          return stopTaskTimer({ ...task, completed: true }, now);
+        }
+        return task;
+      })
+    );
+    queueMutation({
+      type: "toggle",
+      taskId,
+      completed,
+      ...(completed && { subtasks }),
+    });
+  };
+
+  const addSubtask = (parentId, taskText) => {
+    const parent = tasks.find((task) => task.id === parentId);
+    if (!parent) return;
+
+    const subtask = {
+      id: hasSession() ? createTempId() : nextGuestId(),
+      text: taskText,
+      completed: false,
+      createdAt: new Date().toISOString(),
+      date: parent.date,
+      parentId,
+    };
+    setTasks((prevTasks) => [
+      subtask,
+      ...prevTasks.map((task) =>
+        task.id === parentId
+          ? { ...task, subtaskIds: [...(task.subtaskIds || []), subtask.id] }
+          : task
+      ),
+    ]);
+    // A subtask of a task that only exists here stays here as well
+    if (typeof parentId !== "number") {
+      queueMutation({
+        type: "addSubtask",
+        taskId: subtask.id,
+        parentId,
+        task: subtask,
+      });
+    }
+  };
+
+  // The subtask becomes a task of its own on its parent's day
+  const detachSubtask = (subtaskId) => {
+    const subtask = tasks.find((task) => task.id === subtaskId);
+    if (!subtask?.parentId) return;
+
+    setTasks((prevTasks) =>
+      prevTasks.map((task) => {
+        if (task.id === subtaskId) return { ...task, parentId: undefined };
+        if (task.id === subtask.parentId) {
+          return {
+            ...task,
+            subtaskIds: (task.subtaskIds || []).filter(
+              (id) => id !== subtaskId
+            ),
+          };
+        }
+        return task;
+      })
+    );
+    queueMutation({
+      type: "detachSubtask",
+      taskId: subtaskId,
+      parentId: subtask.parentId,
+    });
+  };
+
+  // `subtaskIds` lists all of the parent's subtasks in their new order
+  const reorderSubtasks = (parentId, subtaskIds) => {
+    setTasks((prevTasks) =>
+      prevTasks.map((task) =>
+        task.id === parentId ? { ...task, subtaskIds } : task
+      )
+    );
+    queueMutation({
+      type: "reorderSubtasks",
+      taskId: parentId,
+      taskIds: subtaskIds.filter((id) => typeof id !== "number"),
+    });
+  };
+
+  // `changes` uses the task shape, e.g. { text, priority, tags }
+  const updateTask = (taskId, changes) => {
+    setTasks((prevTasks) =>
+      prevTasks.map((task) =>
+        task.id === taskId ? { ...task, ...changes } : task
+      )
+    );
+    queueMutation({ type: "update", taskId, changes });
+  };
+
+  // `taskIds` lists a day's tasks in their new order, first to last
+  const reorderTasks = (taskIds) => {
+    setTasks((prevTasks) =>
+      prevTasks.map((task) =>
+        taskIds.includes(task.id)
+          ? { ...task, position: taskIds.indexOf(task.id) }
+          : task
+      )
+    );
+    queueMutation({
+      type: "reorder",
+      taskIds: taskIds.filter((id) => typeof id !== "number"),
+    });
+  };
+
+  // Carry unfinished tasks over from a previous day. Each decision is
+  // { taskId, action: "today" | "drop" | "reschedule", date }.
+  const rolloverTasks = (decisions) => {
+    const today = getToday();
+    const byId = new Map(
+      decisions.map((decision) => [decision.taskId, decision])
+    );
+
+    setTasks((prevTasks) =>
+      prevTasks.map((task) => {
+        const decision = byId.get(task.id);
+        if (!decision) return task;
+        if (decision.action === "drop") return { ...task, dropped: true };
+        return {
+          ...task,
+          date: decision.action === "today" ? today : decision.date,
+          rolloverCount: (task.rolloverCount || 0) + 1,
+        };
+      })
+    );
+    decisions.forEach((decision) =>
+      queueMutation({ type: "rollover", ...decision })
+    );
+  };
+
+  // Time tracking: `action` is "start", "pause" or "stop". Only one timer
+  // runs at a time, so starting one pauses any other.
+  const setTimer = (taskId, action) => {
+    const target = tasks.find((task) => task.id === taskId);
+    if (!target) return;
+    const canAct = {
+      start: !isTimerRunning(target) && isOpen(target),
+      pause: isTimerRunning(target),
+      stop: target.timeSessions?.length > 0,
+    };
+    if (!canAct[action]) return;
+
+    const at = new Date().toISOString();
+    setTasks((prevTasks) =>
+      prevTasks.map((task) => {
+        if (task.id !== taskId) {
+          return action === "start" && isTimerRunning(task)
+            ? { ...task, timeSessions: pauseSessions(task.timeSessions, at) }
+            : task;
+        }
+        if (action === "start") {
+          return {
+            ...task,
+            timeSessions: [...(task.timeSessions || []), { startedAt: at }],
+          };
+        }
+        if (action === "pause") {
+          return {
+            ...task,
+            timeSessions: pauseSessions(task.timeSessions, at),
+          };
+        }
+        return stopTaskTimer(task, at);
+      })
+    );
+    queueMutation({ type: "timer", taskId, action, at });
+  };
+
+  // A pomodoro worked on a task: { startedAt, endedAt, completed }. Only
+  // full-length sessions add to the task's count.
+  const recordFocusSession = (taskId, session) => {
+    if (session.completed) {
+      setTasks((prevTasks) =>
+        prevTasks.map((task) =>
+          task.id === taskId
+            ? { ...task, focusSessionCount: (task.focusSessionCount || 0) + 1 }
+            : task
+        )
+      );
+    }
+    queueMutation({ type: "focusSession", taskId, session });
+  };
+
+  // Skip one occurrence of a recurring task; later occurrences still appear
+  const skipOccurrence = (taskId) => {
+    setTasks((prevTasks) =>
+      prevTasks.map((task) =>
+        task.id === taskId ? { ...task, dropped: true } : task
+      )
+    );
+    queueMutation({ type: "skip", taskId });
+  };
+
+  // Take tasks and their subtasks off the list, remembering them so the
+  // deletion can be undone. Returns the removed tasks, and the ones among
+  // them that aren't subtasks of other removed tasks.
+  const removeTasks = (taskIds) => {
+    const removed = tasks.filter(
+      (task) => taskIds.includes(task.id) || taskIds.includes(task.parentId)
+    );
+    if (removed.length === 0) return { removed, topLevel: [] };
+
+    const removedIds = removed.map((task) => task.id);
+    // Subtasks go to the trash with their parent and come back with it
+    const topLevel = removed.filter(
+      (task) => !removedIds.includes(task.parentId)
+    );
+
+    setTasks((prevTasks) =>
+      prevTasks
+        .filter((task) => !removedIds.includes(task.id))
+        .map((task) =>
+          task.subtaskIds?.some((id) => removedIds.includes(id))
+            ? {
+                ...task,
+                subtaskIds: task.subtaskIds.filter(
+                  (id) => !removedIds.includes(id)
+                ),
+              }
+            : task
+        )
+    );
+    setLastDeletion({
+      id: createTempId(),
+      tasks: removed,
+      topLevelIds: topLevel.map((task) => task.id),
+      message:
+        topLevel.length === 1
+          ? `Deleted "${topLevel[0].text}"`
+          : `Deleted ${topLevel.length} tasks`,
+    });
+
+    return { removed, topLevel };
+  };
+
+  // Deleting a task deletes its subtasks too. The latest deletion can be
+  // undone; on the server deleted tasks wait in the trash.
+  const deleteTasks = (taskIds) => {
+    const { removed, topLevel } = removeTasks(taskIds);
+
+    // Queueing never-synced subtasks as well cancels their upload
+    removed
+      .filter((task) => !topLevel.includes(task) && isLocalId(task.id))
+      .forEach((task) => queueMutation({ type: "delete", taskId: task.id }));
+    topLevel.forEach((task) =>
+      queueMutation({ type: "delete", taskId: task.id })
+    );
+  };
+
+  const deleteTask = (taskId) => deleteTasks([taskId]);
+
+  // Change many tasks at once. Each operation is { taskId, action, ... } with
+  // action "complete", "restore", "update" ({ changes }), "retag" ({ addTags,
+  // removeTags }), "reschedule" ({ date, dueDate }) or "delete"; the server
+  // gets them as one batch. Completing leaves open subtasks alone, and
+  // deleting can be undone like deleteTasks.
+  const batchTasks = (operations) => {
+    const at = new Date().toISOString();
+    const deletedIds = operations
+      .filter(({ action }) => action === "delete")
+      .map(({ taskId }) => taskId);
+    const changes = operations
+      .filter(({ action }) => action !== "delete")
+      .map((operation) =>
+        operation.action === "complete"
+          ? { subtasks: "leave", ...operation }
+          : operation
+      );
+
+    setTasks((prevTasks) =>
+      prevTasks.map((task) =>
+        changes
+          .filter(({ taskId }) => taskId === task.id)
+          .reduce(
+            (changed, operation) => applyOperation(changed, operation, at),
+            task
+          )
+      )
+    );
+    const { removed, topLevel } = removeTasks(deletedIds);
+
+    // Deletes of tasks the server hasn't seen cancel their upload; the
+    // server's own tasks take their subtasks to the trash with them
+    removed
+      .filter((task) => isLocalId(task.id))
+      .forEach((task) => queueMutation({ type: "delete", taskId: task.id }));
+    const serverOperations = [
+      ...changes,
+      ...topLevel
+        .filter((task) => !isLocalId(task.id))
+        .map((task) => ({ taskId: task.id, action: "delete" })),
+    ].filter(({ taskId }) => typeof taskId !== "number");
+    if (serverOperations.length > 0) {
+      queueMutation({ type: "batch", operations: serverOperations });
+    }
+  };
+
+  // Put the tasks of the latest deletion back. Tasks the server has are
+  // restored from its trash; uploads cancelled by the deletion are queued
+  // again, parents first.
+  const undoDelete = () => {
+    if (!lastDeletion) return;
+
+    const { tasks: removed, topLevelIds } = lastDeletion;
+    const removedIds = removed.map((task) => task.id);
+    setLastDeletion(null);
+
+    setTasks((prevTasks) =>
+      [
+        ...removed,
+        ...prevTasks
+          .filter((task) => !removedIds.includes(task.id))
+          .map((task) => {
+            const restoredSubtaskIds = removed
+              .filter((subtask) => subtask.parentId === task.id)
+              .map((subtask) => subtask.id)
+              .filter((id) => !(task.subtaskIds || []).includes(id));
+            return restoredSubtaskIds.length > 0
+              ? {
+                  ...task,
+                  subtaskIds: [
+                    ...(task.subtaskIds || []),
+                    ...restoredSubtaskIds,
+                  ],
+                }
+              : task;
+          }),
+      ].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    );
+
+    [...removed]
+      .sort((a, b) => Boolean(a.parentId) - Boolean(b.parentId))
+      .forEach((task) => {
+        if (!isLocalId(task.id)) {
+          if (topLevelIds.includes(task.id)) {
+            queueMutation({ type: "restoreFromTrash", taskId: task.id });
+          }
+        } else if (task.parentId) {
+          queueMutation({
+            type: "addSubtask",
+            taskId: task.id,
+            parentId: task.parentId,
+            task,
+          });
+        } else {
+          queueMutation({ type: "create", taskId: task.id, task });
+        }
+      });
+  };
+
+  const dismissUndo = useCallback(() => setLastDeletion(null), []);
+
+  // Load the last 30 days from the server again, e.g. after an import
+  const reloadTasks = useCallback(async () => {
+    const serverTasks = await taskService.fetchTasks();
+    setTasks((prevTasks) => mergeServerTasks(prevTasks, serverTasks));
+  }, []);
+
+  // Upload the tasks added on this device before signing in (they have
+  // numeric ids) to the account. Tasks the server took, or already had, are
+  // replaced by the server's copies; ones it rejected stay on the device.
+  // Resolves with the import report.
+  const uploadGuestTasks = async () => {
+    const guestTasks = tasks.filter((task) => typeof task.id === "number");
+    const report = await taskService.importTasks(
+      "json",
+      guestTasks.map(toTransferTask)
+    );
+
+    const uploadedIds = new Set(
+      report.results
+        .filter(({ status }) => status === "created" || status === "duplicate")
+        .map(({ row }) => guestTasks[row - 1].id)
+    );
+    setTasks((prevTasks) =>
+      prevTasks.filter((task) => !uploadedIds.has(task.id))
+    );
+    await reloadTasks();
+
+    return report;
+  };
+
+  return {
+    tasks,
+    addTask,
+    toggleTask,
+    updateTask,
+    reorderTasks,
+    rolloverTasks,
+    skipOccurrence,
+    setTimer,
+    recordFocusSession,
+    deleteTask,
+    deleteTasks,
+    batchTasks,
+    lastDeletion,
+    undoDelete,
+    dismissUndo,
+    addSubtask,
+    detachSubtask,
+    reorderSubtasks,
+    reloadTasks,
+    uploadGuestTasks,
+    syncStatus,
+    pendingCount,
+    sync,
+  };
+};
+
+export default useTasks;
@@ -1,5 +1,50 @@
 // Enhanced AI service for generating diverse motivational messages
-// In a real application, this would call an actual AI API
+// Signed-in users get the backend's AI summary (GET /api/summary); the local
+// template engine below is used as a fallback and for guests.
+
+import { apiRequest, hasSession } from "./apiClient";
+import { getToday, addDays } from "./dateUtils";
+
+// The backend summarises yesterday, so its reply is reused for the rest of
+// the day instead of calling the AI again on every task change
+let cachedSummary = null;
+
+export const clearSummaryCache = () => {
+  cachedSummary = null;
+};
+
+export const getMotivationalSummary = async (tasks) => {
+  const today = getToday();
+
+  if (hasSession()) {
+    if (cachedSummary?.date === today) {
+      return cachedSummary.summary;
+    }
+
+    try {
+      const { data } = await apiRequest("GET", "/summary");
+      const summary = {
+        message: data.fallback
+          ? await generateMotivationalMessage(tasks)
+          : data.message,
+        statistics: data.statistics || null,
+        predictedTasks: data.predictedTasks || [],
+        isFallback: Boolean(data.fallback),
+      };
+      cachedSummary = { date: today, summary };
+      return summary;
+    } catch (error) {
+      console.warn("AI summary unavailable, using local messages:", error);
+    }
+  }
+
+  return {
+    message: await generateMotivationalMessage(tasks),
+    statistics: null,
+    predictedTasks: [],
+    isFallback: true,
+  };
+};
 
 export const generateMotivationalMessage = async (tasks) => {
   // Simulate API delay
@@ -8,9 +53,7 @@ export const generateMotivationalMessage = async (tasks) => {
   );
 
   // Get yesterday's tasks
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  const yesterdayDate = yesterday.toISOString().split("T")[0];
+  const yesterdayDate = addDays(getToday(), -1);
 
   const yesterdayTasks = tasks.filter((task) => task.date === yesterdayDate);
   const completedYesterday = yesterdayTasks.filter(
@@ -19,7 +62,7 @@ export const generateMotivationalMessage = async (tasks) => {
   const totalYesterday = yesterdayTasks.length;
 
   // Get today's tasks
-  const today = new Date().toISOString().split("T")[0];
+  const today = getToday();
   const todayTasks = tasks.filter((task) => task.date === today);
   const completedToday = todayTasks.filter((task) => task.completed).length;
   const totalToday = todayTasks.length;
@@ -464,7 +507,7 @@ const getRandomQuote = (category) => {
 export const generateSimpleMessage = async (tasks) => {
   await new Promise((resolve) => setTimeout(resolve, 500));
 
-  const today = new Date().toISOString().split("T")[0];
+  const today = getToday();
   const todayTasks = tasks.filter((task) => task.date === today);
   const completed = todayTasks.filter((task) => task.completed).length;
   const total = todayTasks.length;
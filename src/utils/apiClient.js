@@ -0,0 +1,137 @@
+// Thin fetch wrapper around the backend REST API
+// Every request carries the stored JWT (if any) and unwraps the JSON body
+// (or, for downloads, hands back the response itself).
+// Expired access tokens are renewed through POST /auth/refresh transparently.
+
+const API_BASE_URL =
+  process.env.REACT_APP_API_URL || "http://localhost:5000/api";
+
+const SESSION_STORAGE_KEY = "todo-session";
+
+export class ApiError extends Error {
+  constructor(message, status, data = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.data = data;
+  }
+}
+
+export const getStoredSession = () => {
+  const savedSession = localStorage.getItem(SESSION_STORAGE_KEY);
+  return savedSession ? JSON.parse(savedSession) : null;
+};
+
+export const saveSession = (session) => {
+  localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(SESSION_STORAGE_KEY);
+};
+
+export const hasSession = () => Boolean(getStoredSession()?.token);
+
+// Called when the refresh token is rejected and the user must sign in again
+let sessionExpiredHandler = null;
+
+export const onSessionExpired = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+const sendRequest = async (method, endpoint, data, token, raw = false) => {
+  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    ...(data && { body: JSON.stringify(data) }),
+  });
+
+  // Downloads are read by the caller
+  if (raw && response.ok) return { response, body: {} };
+
+  // Some error responses (e.g. from a proxy) have no JSON body
+  const body = await response.json().catch(() => ({}));
+  return { response, body };
+};
+
+const toApiError = (response, body) =>
+  new ApiError(
+    body.message || body.error || `Request failed (${response.status})`,
+    response.status,
+    body
+  );
+
+// Concurrent requests that hit an expired token share a single refresh
+let refreshPromise = null;
+
+const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const session = getStoredSession();
+      const { response, body } = await sendRequest("POST", "/auth/refresh", {
+        refreshToken: session?.refreshToken,
+      });
+
+      if (!response.ok) {
+        clearSession();
+        if (sessionExpiredHandler) sessionExpiredHandler();
+        throw toApiError(response, body);
+      }
+
+      const renewedSession = {
+        ...session,
+        token: body.data.token,
+        refreshToken: body.data.refreshToken,
+      };
+      saveSession(renewedSession);
+      return renewedSession;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+};
+
+// `raw: true` resolves with the fetch Response instead of the JSON body,
+// e.g. to read a file download as a Blob
+export const apiRequest = async (
+  method,
+  endpoint,
+  data = null,
+  { raw = false } = {}
+) => {
+  const session = getStoredSession();
+  let { response, body } = await sendRequest(
+    method,
+    endpoint,
+    data,
+    session?.token,
+    raw
+  );
+
+  // Renew an expired access token once, then replay the original request
+  if (
+    response.status === 401 &&
+    body.error === "Token expired" &&
+    session?.refreshToken
+  ) {
+    const renewedSession = await refreshSession();
+    ({ response, body } = await sendRequest(
+      method,
+      endpoint,
+      data,
+      renewedSession.token,
+      raw
+    ));
+  }
+
+  if (!response.ok) {
+    throw toApiError(response, body);
+  }
+
+  return raw ? response : body;
+};
@@ -0,0 +1,65 @@
+import {
+  apiRequest,
+  getStoredSession,
+  saveSession,
+  clearSession,
+} from "./apiClient";
+
+// Persist the tokens returned by /auth/register and /auth/login
+const startSession = ({ user, token, refreshToken }) => {
+  const session = { user, token, refreshToken };
+  saveSession(session);
+  return session;
+};
+
+export const register = async (details) => {
+  const { data } = await apiRequest("POST", "/auth/register", details);
+  return startSession(data);
+};
+
+export const login = async (identifier, password) => {
+  const { data } = await apiRequest("POST", "/auth/login", {
+    identifier,
+    password,
+  });
+  return startSession(data);
+};
+
+export const getMe = async () => {
+  const { data } = await apiRequest("GET", "/auth/me");
+  const session = getStoredSession();
+  if (session) {
+    saveSession({ ...session, user: data.user });
+  }
+  return data.user;
+};
+
+// `changes` may hold firstName, lastName and preferences (e.g. timezone)
+export const updateProfile = async (changes) => {
+  const { data } = await apiRequest("PUT", "/auth/profile", changes);
+  const session = getStoredSession();
+  if (session) {
+    saveSession({ ...session, user: data.user });
+  }
+  return data.user;
+};
+
+// Local session is always cleared, even if the server call fails
+export const logout = async () => {
+  const session = getStoredSession();
+  try {
+    await apiRequest("POST", "/auth/logout", {
+      refreshToken: session?.refreshToken,
+    });
+  } finally {
+    clearSession();
+  }
+};
+
+export const logoutAll = async () => {
+  try {
+    await apiRequest("POST", "/auth/logout-all");
+  } finally {
+    clearSession();
+  }
+};
@@ -0,0 +1,20 @@
+import { apiRequest } from "./apiClient";
+
+// Calendar feed endpoints (/api/calendar). `feed` is { enabled, url,
+// webcalUrl }; the URLs are only set while the feed is on.
+
+export const getCalendarFeed = async () => {
+  const { data } = await apiRequest("GET", "/calendar/feed");
+  return data.feed;
+};
+
+// Turns the feed on, or gives it a new address if it already is
+export const rotateCalendarFeed = async () => {
+  const { data } = await apiRequest("POST", "/calendar/feed");
+  return data.feed;
+};
+
+export const disableCalendarFeed = async () => {
+  const { data } = await apiRequest("DELETE", "/calendar/feed");
+  return data.feed;
+};
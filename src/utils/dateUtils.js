@@ -0,0 +1,105 @@
+// Date helpers shared by the task forms and day bucketing.
+//
+// Tasks are grouped into days by "YYYY-MM-DD" keys in the user's timezone
+// (their profile preference when signed in, the browser's otherwise), so a
+// task added late in the evening west of Greenwich still counts as today.
+
+export const getBrowserTimeZone = () =>
+  Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+let currentTimeZone = getBrowserTimeZone();
+
+export const getTimeZone = () => currentTimeZone;
+
+// Called by the auth context whenever the signed-in user changes
+export const setTimeZone = (timeZone) => {
+  currentTimeZone = timeZone || getBrowserTimeZone();
+};
+
+export const getDayKey = (date = new Date()) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: currentTimeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).formatToParts(new Date(date));
+  const get = (type) => parts.find((part) => part.type === type).value;
+  return `${get("year")}-${get("month")}-${get("day")}`;
+};
+
+export const getToday = () => getDayKey(new Date());
+
+// Minutes the user's timezone is ahead of UTC at the instant `date`
+const getTimeZoneOffset = (date) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: currentTimeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+  const wallClockAsUtc = Date.UTC(
+    get("year"),
+    get("month") - 1,
+    get("day"),
+    get("hour"),
+    get("minute"),
+    get("second")
+  );
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((wallClockAsUtc - wholeSeconds) / 60000);
+};
+
+// The instant it is `hours`:`minutes` on `dayKey` in the user's timezone
+export const fromWallClock = (dayKey, hours, minutes) => {
+  const [year, month, day] = dayKey.split("-").map(Number);
+  const wallMs = Date.UTC(year, month - 1, day, hours, minutes);
+  const guess = new Date(wallMs - getTimeZoneOffset(new Date(wallMs)) * 60000);
+  // Re-read the offset at the guess in case a DST change falls in between
+  return new Date(wallMs - getTimeZoneOffset(guess) * 60000);
+};
+
+export const addDays = (dayKey, days) => {
+  const date = new Date(`${dayKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+};
+
+// <input type="datetime-local"> holds a wall-clock time without a zone
+// suffix; it is read and written in the user's timezone
+export const toDateTimeInput = (isoString) => {
+  if (!isoString) return "";
+  const date = new Date(isoString);
+  const offsetMs = getTimeZoneOffset(date) * 60 * 1000;
+  return new Date(date.getTime() + offsetMs).toISOString().slice(0, 16);
+};
+
+export const fromDateTimeInput = (value) => {
+  if (!value) return null;
+  const [dayKey, time] = value.split("T");
+  const [hours, minutes] = time.split(":").map(Number);
+  return fromWallClock(dayKey, hours, minutes).toISOString();
+};
+
+export const formatDueDate = (isoString) =>
+  new Date(isoString).toLocaleString([], {
+    timeZone: currentTimeZone,
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// Day keys are "YYYY-MM-DD" strings; they are formatted as UTC dates so
+// the label names the same day whatever the browser's timezone
+export const formatDay = (dayKey) =>
+  new Date(`${dayKey}T00:00:00Z`).toLocaleDateString("en-US", {
+    timeZone: "UTC",
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
@@ -0,0 +1,118 @@
+import {
+  getDayKey,
+  getToday,
+  addDays,
+  fromWallClock,
+  toDateTimeInput,
+  fromDateTimeInput,
+  formatDay,
+  setTimeZone,
+} from "./dateUtils";
+
+afterEach(() => {
+  setTimeZone(null);
+  jest.useRealTimers();
+});
+
+describe("getDayKey", () => {
+  it.each([
+    // New York springs forward on 2026-03-08 and falls back on 2026-11-01
+    ["America/New_York", "2026-03-08T04:59:59.999Z", "2026-03-07"],
+    ["America/New_York", "2026-03-08T05:00:00.000Z", "2026-03-08"],
+    ["America/New_York", "2026-03-09T03:59:59.999Z", "2026-03-08"],
+    ["America/New_York", "2026-11-01T03:59:59.999Z", "2026-10-31"],
+    ["America/New_York", "2026-11-02T04:59:59.999Z", "2026-11-01"],
+    ["America/New_York", "2026-11-02T05:00:00.000Z", "2026-11-02"],
+    // London is on GMT until 2026-03-29 and BST until 2026-10-25
+    ["Europe/London", "2026-03-29T22:59:59.999Z", "2026-03-29"],
+    ["Europe/London", "2026-03-29T23:00:00.000Z", "2026-03-30"],
+    ["Europe/London", "2026-10-24T23:00:00.000Z", "2026-10-25"],
+    ["Europe/London", "2026-10-25T23:59:59.999Z", "2026-10-25"],
+    // Santiago skips from 00:00 to 01:00 on 2026-09-06
+    ["America/Santiago", "2026-09-06T03:59:59.999Z", "2026-09-05"],
+    ["America/Santiago", "2026-09-06T04:00:00.000Z", "2026-09-06"],
+    ["America/Santiago", "2026-09-07T02:59:59.999Z", "2026-09-06"],
+    ["America/Santiago", "2026-09-07T03:00:00.000Z", "2026-09-07"],
+  ])("buckets %s at %s into %s", (timeZone, instant, dayKey) => {
+    setTimeZone(timeZone);
+    expect(getDayKey(instant)).toBe(dayKey);
+  });
+
+  it("gives today in the chosen timezone", () => {
+    jest.useFakeTimers().setSystemTime(new Date("2026-11-01T03:30:00.000Z"));
+
+    setTimeZone("America/New_York");
+    expect(getToday()).toBe("2026-10-31");
+    setTimeZone("Europe/London");
+    expect(getToday()).toBe("2026-11-01");
+  });
+});
+
+describe("addDays", () => {
+  it("steps whole days regardless of DST", () => {
+    setTimeZone("America/New_York");
+    expect(addDays("2026-03-07", 1)).toBe("2026-03-08");
+    expect(addDays("2026-03-08", 1)).toBe("2026-03-09");
+    expect(addDays("2026-11-02", -1)).toBe("2026-11-01");
+  });
+});
+
+describe("formatDay", () => {
+  it.each(["America/Santiago", "Pacific/Kiritimati", "Pacific/Pago_Pago"])(
+    "labels a day key with that day in %s",
+    (timeZone) => {
+      setTimeZone(timeZone);
+      expect(formatDay("2026-09-06")).toBe("Sun, Sep 6");
+    }
+  );
+});
+
+describe("fromWallClock", () => {
+  it.each([
+    ["America/New_York", "2026-03-07", 23, 30, "2026-03-08T04:30:00.000Z"],
+    ["America/New_York", "2026-03-08", 9, 0, "2026-03-08T13:00:00.000Z"],
+    ["America/New_York", "2026-11-01", 9, 0, "2026-11-01T14:00:00.000Z"],
+    ["Europe/London", "2026-03-29", 12, 0, "2026-03-29T11:00:00.000Z"],
+    ["Europe/London", "2026-10-25", 23, 59, "2026-10-25T23:59:00.000Z"],
+    ["America/Santiago", "2026-09-05", 23, 59, "2026-09-06T03:59:00.000Z"],
+    ["America/Santiago", "2026-09-06", 12, 0, "2026-09-06T15:00:00.000Z"],
+  ])(
+    "reads a wall-clock time in %s on %s",
+    (timeZone, dayKey, hours, minutes, iso) => {
+      setTimeZone(timeZone);
+      expect(fromWallClock(dayKey, hours, minutes).toISOString()).toBe(iso);
+    }
+  );
+
+  it("lands on the day it was given", () => {
+    setTimeZone("America/Santiago");
+    expect(getDayKey(fromWallClock("2026-09-06", 12, 0))).toBe("2026-09-06");
+  });
+});
+
+describe("datetime-local inputs", () => {
+  it("show and read times in the chosen timezone", () => {
+    setTimeZone("Asia/Tokyo");
+    expect(toDateTimeInput("2026-03-08T08:00:00.000Z")).toBe(
+      "2026-03-08T17:00"
+    );
+    expect(fromDateTimeInput("2026-03-08T17:00")).toBe(
+      "2026-03-08T08:00:00.000Z"
+    );
+  });
+
+  it("follow DST changes", () => {
+    setTimeZone("America/New_York");
+    expect(toDateTimeInput("2026-03-08T13:00:00.000Z")).toBe(
+      "2026-03-08T09:00"
+    );
+    expect(fromDateTimeInput("2026-03-07T09:00")).toBe(
+      "2026-03-07T14:00:00.000Z"
+    );
+  });
+
+  it("leave empty values empty", () => {
+    expect(toDateTimeInput(null)).toBe("");
+    expect(fromDateTimeInput("")).toBeNull();
+  });
+});
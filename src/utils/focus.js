@@ -0,0 +1,82 @@
+// Pomodoro cycles: a focus session, then a short break, with a long break
+// in place of every `sessionsBeforeLongBreak`-th short one.
+
+export const DEFAULT_FOCUS_SETTINGS = {
+  focusMinutes: 25,
+  shortBreakMinutes: 5,
+  longBreakMinutes: 15,
+  sessionsBeforeLongBreak: 4,
+  autoAdvance: true,
+  sound: true,
+};
+
+export const PHASES = {
+  focus: { label: "Focus", setting: "focusMinutes" },
+  shortBreak: { label: "Short break", setting: "shortBreakMinutes" },
+  longBreak: { label: "Long break", setting: "longBreakMinutes" },
+};
+
+// Focus sessions cut short before this aren't worth recording
+export const MIN_RECORDED_MS = 60 * 1000;
+
+export const getPhaseMs = (phase, settings) =>
+  settings[PHASES[phase].setting] * 60 * 1000;
+
+// `completedCount` counts the focus sessions finished so far in this run
+export const getNextPhase = (phase, completedCount, settings) => {
+  if (phase !== "focus") return "focus";
+  return completedCount % settings.sessionsBeforeLongBreak === 0
+    ? "longBreak"
+    : "shortBreak";
+};
+
+// Guests keep their settings on this device; signed-in users keep them in
+// their account preferences
+const SETTINGS_STORAGE_KEY = "todo-focus-settings";
+
+export const loadGuestFocusSettings = () => {
+  const savedSettings = localStorage.getItem(SETTINGS_STORAGE_KEY);
+  return savedSettings ? JSON.parse(savedSettings) : {};
+};
+
+export const saveGuestFocusSettings = (settings) => {
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+};
+
+// The focus session in progress survives a reload
+const STATE_STORAGE_KEY = "todo-focus";
+
+export const loadFocusState = () => {
+  const savedState = localStorage.getItem(STATE_STORAGE_KEY);
+  return savedState ? JSON.parse(savedState) : null;
+};
+
+export const saveFocusState = (state) => {
+  localStorage.setItem(STATE_STORAGE_KEY, JSON.stringify(state));
+};
+
+export const clearFocusState = () => {
+  localStorage.removeItem(STATE_STORAGE_KEY);
+};
+
+// Two short tones, generated so no audio file is needed
+export const playChime = () => {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return;
+
+  const context = new AudioContext();
+  [0, 0.3].forEach((offset, index) => {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    const start = context.currentTime + offset;
+
+    oscillator.frequency.value = index === 0 ? 880 : 1320;
+    gain.gain.setValueAtTime(0.2, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + 0.25);
+    oscillator.connect(gain);
+    gain.connect(context.destination);
+    oscillator.start(start);
+    oscillator.stop(start + 0.25);
+  });
+  setTimeout(() => context.close(), 1000);
+};
@@ -0,0 +1,14 @@
+import { apiRequest } from "./apiClient";
+import { fromApiTask } from "./taskService";
+
+// Focus session endpoints (/api/focus). Sessions are recorded through the
+// outbox, so they reach the server even if they end while offline.
+
+// `session` is { startedAt, endedAt, completed }
+export const recordFocusSession = async (taskId, session) => {
+  const { data } = await apiRequest("POST", "/focus/sessions", {
+    taskId,
+    ...session,
+  });
+  return fromApiTask(data.task);
+};
@@ -0,0 +1,13 @@
+// Task priorities, matching the backend Task model enum
+
+export const PRIORITIES = ["low", "medium", "high", "urgent"];
+
+export const priorityStyles = {
+  low: "bg-gray-100 text-gray-700",
+  medium: "bg-primary-100 text-primary-800",
+  high: "bg-warning-100 text-warning-800",
+  urgent: "bg-red-100 text-red-800",
+};
+
+export const getPriorityStyle = (priority) =>
+  priorityStyles[priority] || priorityStyles.medium;
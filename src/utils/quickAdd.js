@@ -0,0 +1,148 @@
+// Natural-language quick-add parser for the task input.
+//
+//   "Write report !high #work tomorrow 5pm ~45m"
+//   -> { text: "Write report", priority: "high", tags: ["work"],
+//        dueDate: <tomorrow 17:00>, estimatedTime: 45 }
+//
+// Supported tokens:
+//   !low !medium !high !urgent        priority
+//   #tag                              tag (repeatable)
+//   ~45m ~1h ~1h30m ~90               estimate in minutes
+//   today tomorrow monday..sunday     due day (also @mon..@sun, YYYY-MM-DD)
+//   5pm 5:30pm 17:00 (optionally "at 5pm")   due time
+// A due day without a time means the end of that day; a time without a day
+// means today, or tomorrow if that time has already passed. Days and times
+// are read in the user's timezone. Weekday abbreviations need the "@" so
+// words like "sun" or "wed" stay part of the title.
+
+import { PRIORITIES } from "./priorities";
+import { getDayKey, addDays, fromWallClock } from "./dateUtils";
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+const parsePriority = (token) => {
+  const match = token.match(/^!(\w+)$/i);
+  const priority = match?.[1].toLowerCase();
+  return PRIORITIES.includes(priority) ? priority : null;
+};
+
+const parseTag = (token) => {
+  const match = token.match(/^#([\w-]{1,50})$/);
+  return match ? match[1] : null;
+};
+
+const parseEstimate = (token) => {
+  const match = token.match(/^~(?:(\d+)h)?(?:(\d+)m?)?$/i);
+  if (!match || (!match[1] && !match[2])) return null;
+  return Number(match[1] || 0) * 60 + Number(match[2] || 0);
+};
+
+// Returns the "YYYY-MM-DD" key of the named day, or null
+const parseDay = (token, today) => {
+  const word = token.toLowerCase();
+
+  if (word === "today") return today;
+
+  if (word === "tomorrow") return addDays(today, 1);
+
+  const weekdayMatch = word.match(/^(@?)([a-z]+)$/);
+  const weekday = weekdayMatch
+    ? WEEKDAYS.findIndex(
+        (name) =>
+          name === weekdayMatch[2] ||
+          (weekdayMatch[1] && name.slice(0, 3) === weekdayMatch[2])
+      )
+    : -1;
+  if (weekday !== -1) {
+    // Always the next occurrence, a week out if it's today
+    const todayWeekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+    return addDays(today, (weekday - todayWeekday + 7) % 7 || 7);
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(word)) {
+    // Reject dates that don't exist, like 2024-02-31
+    const date = new Date(`${word}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().startsWith(word) ? word : null;
+  }
+
+  return null;
+};
+
+// Returns { hours, minutes }, or null
+const parseTime = (token) => {
+  const match = token.toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?(am|pm)?$/);
+  if (!match || (!match[2] && !match[3])) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (match[3] === "pm" ? 12 : 0);
+  }
+
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+};
+
+export const parseQuickAdd = (input, now = new Date()) => {
+  const tokens = input.trim().split(/\s+/).filter(Boolean);
+  const today = getDayKey(now);
+  const words = [];
+  const tags = [];
+  let priority = null;
+  let estimatedTime = null;
+  let day = null;
+  let time = null;
+
+  tokens.forEach((token, index) => {
+    const nextToken = tokens[index + 1];
+
+    if (parsePriority(token)) {
+      priority = parsePriority(token);
+    } else if (parseTag(token)) {
+      if (!tags.includes(parseTag(token))) tags.push(parseTag(token));
+    } else if (parseEstimate(token) !== null) {
+      estimatedTime = parseEstimate(token);
+    } else if (!day && parseDay(token, today)) {
+      day = parseDay(token, today);
+    } else if (!time && parseTime(token)) {
+      time = parseTime(token);
+    } else if (
+      token.toLowerCase() === "at" &&
+      nextToken &&
+      !time &&
+      parseTime(nextToken)
+    ) {
+      // "at" only belongs to the time that follows it
+    } else {
+      words.push(token);
+    }
+  });
+
+  let dueDate = null;
+  if (time) {
+    dueDate = fromWallClock(day || today, time.hours, time.minutes);
+    if (!day && dueDate <= now) {
+      dueDate = fromWallClock(addDays(today, 1), time.hours, time.minutes);
+    }
+  } else if (day) {
+    dueDate = fromWallClock(day, 23, 59);
+  }
+
+  return {
+    text: words.join(" "),
+    priority,
+    tags,
+    dueDate: dueDate ? dueDate.toISOString() : null,
+    estimatedTime,
+  };
+};
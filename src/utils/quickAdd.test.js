@@ -0,0 +1,107 @@
+import { parseQuickAdd } from "./quickAdd";
+import { setTimeZone } from "./dateUtils";
+
+// Monday 2026-10-19, 10:00 UTC
+const NOW = new Date("2026-10-19T10:00:00.000Z");
+
+const parse = (input) => parseQuickAdd(input, NOW);
+
+beforeEach(() => {
+  setTimeZone("UTC");
+});
+
+afterEach(() => {
+  setTimeZone(null);
+});
+
+describe("parseQuickAdd", () => {
+  it("pulls priority, tags and estimate out of the title", () => {
+    expect(parse("Write report !high #work #q4 ~1h30m")).toEqual({
+      text: "Write report",
+      priority: "high",
+      tags: ["work", "q4"],
+      dueDate: null,
+      estimatedTime: 90,
+    });
+  });
+
+  it("leaves unknown priorities and bare symbols in the title", () => {
+    expect(parse("Fix !soon bug ~ #")).toMatchObject({
+      text: "Fix !soon bug ~ #",
+      priority: null,
+      tags: [],
+      estimatedTime: null,
+    });
+  });
+
+  it("reads a day and a time", () => {
+    expect(parse("Call Sam tomorrow 5pm").dueDate).toBe(
+      "2026-10-20T17:00:00.000Z"
+    );
+  });
+
+  it("drops the 'at' before a time", () => {
+    expect(parse("Meet at 5:30pm")).toMatchObject({
+      text: "Meet",
+      dueDate: "2026-10-19T17:30:00.000Z",
+    });
+  });
+
+  it("keeps 'at' when no time follows", () => {
+    expect(parse("Look at logs").text).toBe("Look at logs");
+  });
+
+  it("rolls a time that has passed today over to tomorrow", () => {
+    expect(parse("Stand-up 9am").dueDate).toBe("2026-10-20T09:00:00.000Z");
+    expect(parse("Stand-up today 9am").dueDate).toBe(
+      "2026-10-19T09:00:00.000Z"
+    );
+  });
+
+  it("ends a day without a time at 23:59", () => {
+    expect(parse("Pay rent 2026-10-30").dueDate).toBe(
+      "2026-10-30T23:59:00.000Z"
+    );
+  });
+
+  it("takes today's weekday to mean next week", () => {
+    expect(parse("Plan monday").dueDate).toBe("2026-10-26T23:59:00.000Z");
+    expect(parse("Plan friday").dueDate).toBe("2026-10-23T23:59:00.000Z");
+  });
+
+  it("only reads weekday abbreviations with an @", () => {
+    expect(parse("Call @mon")).toMatchObject({
+      text: "Call",
+      dueDate: "2026-10-26T23:59:00.000Z",
+    });
+    expect(parse("Wear sun hat mon")).toMatchObject({
+      text: "Wear sun hat mon",
+      dueDate: null,
+    });
+  });
+
+  it("leaves dates that don't exist in the title", () => {
+    expect(parse("Renew 2024-02-31")).toMatchObject({
+      text: "Renew 2024-02-31",
+      dueDate: null,
+    });
+  });
+
+  it("rejects impossible times", () => {
+    expect(parse("Sleep 25:00 13pm").dueDate).toBeNull();
+  });
+
+  it("reads days and times in the profile timezone", () => {
+    // 19:00 on Monday in Tokyo
+    setTimeZone("Asia/Tokyo");
+    expect(parse("Review tomorrow 9am").dueDate).toBe(
+      "2026-10-20T00:00:00.000Z"
+    );
+    expect(parse("Review 6pm").dueDate).toBe("2026-10-20T09:00:00.000Z");
+
+    // 06:00 on Monday in New York
+    setTimeZone("America/New_York");
+    expect(parse("Review 9am").dueDate).toBe("2026-10-19T13:00:00.000Z");
+    expect(parse("Review today").dueDate).toBe("2026-10-20T03:59:00.000Z");
+  });
+});
@@ -0,0 +1,21 @@
+// Recurring tasks are generated by the server: the task the user created is
+// the first occurrence (it carries `recurring`), and each later occurrence is
+// a task of its own that points back to it through recurringTemplateId.
+
+const UNITS = {
+  daily: "day",
+  weekly: "week",
+  monthly: "month",
+  yearly: "year",
+};
+
+export const isRecurringOccurrence = (task) =>
+  Boolean(task.isRecurring || task.recurringTemplateId);
+
+// "Repeats weekly", "Repeats every 3 days"
+export const describeRecurrence = (recurring) => {
+  if (!recurring?.type) return "Repeats";
+  return recurring.interval > 1
+    ? `Repeats every ${recurring.interval} ${UNITS[recurring.type]}s`
+    : `Repeats ${recurring.type}`;
+};
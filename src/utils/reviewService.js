@@ -0,0 +1,32 @@
+import { apiRequest } from "./apiClient";
+import { fromApiTask } from "./taskService";
+
+// Weekly review endpoints (GET /api/summary/weekly and /api/summary/reviews).
+// Reviews are kept on the server, so these need a signed-in session.
+
+// This week's statistics, its unfinished tasks and any saved review
+export const fetchWeeklySummary = async () => {
+  const { data } = await apiRequest("GET", "/summary/weekly");
+  return {
+    message: data.message,
+    statistics: data.statistics,
+    pendingTasks: data.pendingTasks.map(fromApiTask),
+    review: data.review,
+    period: data.period,
+  };
+};
+
+export const saveWeeklyReview = async (weekStart, reflection) => {
+  const { data } = await apiRequest("PUT", `/summary/reviews/${weekStart}`, {
+    reflection,
+  });
+  return data.review;
+};
+
+export const fetchWeeklyReviews = async (page = 1) => {
+  const { data } = await apiRequest(
+    "GET",
+    `/summary/reviews?page=${page}&limit=10`
+  );
+  return data;
+};
@@ -0,0 +1,32 @@
+import { apiRequest } from "./apiClient";
+
+// Statistics for the dashboard. These come from the backend only, so they
+// need a signed-in session.
+
+export const PERIODS = [
+  { value: "week", label: "Week" },
+  { value: "month", label: "Month" },
+  { value: "quarter", label: "Quarter" },
+  { value: "year", label: "Year" },
+];
+
+// Counts by status and priority (GET /api/tasks/stats) together with the
+// trend, top tags and recommendations (GET /api/summary/insights)
+export const fetchDashboardStats = async (period) => {
+  const [statsResponse, insightsResponse] = await Promise.all([
+    apiRequest("GET", `/tasks/stats?period=${period}`),
+    apiRequest("GET", `/summary/insights?period=${period}`),
+  ]);
+  return {
+    stats: statsResponse.data.stats,
+    insights: insightsResponse.data.insights,
+    period: insightsResponse.data.period,
+  };
+};
+
+// Completed tasks per day over the last year, plus the current and longest
+// streak of days with at least one completion
+export const fetchActivity = async () => {
+  const { data } = await apiRequest("GET", "/tasks/activity");
+  return data.activity;
+};
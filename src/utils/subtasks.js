@@ -0,0 +1,24 @@
+// Subtasks are ordinary tasks with a parentId. They live in the same task
+// list as everything else but are shown nested under their parent, in the
+// order of the parent's subtaskIds.
+
+export const isSubtask = (task) => Boolean(task.parentId);
+
+// Subtasks not yet in the parent's order (e.g. added on another device
+// before a sync) follow the ordered ones, oldest first
+export const getSubtasks = (parent, tasks) => {
+  const order = parent.subtaskIds || [];
+  const rank = (task) => {
+    const index = order.indexOf(task.id);
+    return index === -1 ? order.length : index;
+  };
+
+  return tasks
+    .filter((task) => task.parentId === parent.id)
+    .sort(
+      (a, b) =>
+        rank(a) - rank(b) || new Date(a.createdAt) - new Date(b.createdAt)
+    );
+};
+
+export const isOpen = (task) => !task.completed && !task.dropped;
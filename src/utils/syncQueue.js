@@ -0,0 +1,375 @@
+import { ApiError } from "./apiClient";
+import * as taskService from "./taskService";
+import * as focusService from "./focusService";
+import { getToday } from "./dateUtils";
+
+// Persisted outbox of task mutations made while signed in. Mutations are
+// applied to the local task list immediately and replayed against the API in
+// order; tasks created offline carry a temporary "tmp-" id until the server
+// assigns a Mongo _id.
+
+const OUTBOX_STORAGE_KEY = "todo-outbox";
+
+export const createTempId = () =>
+  `tmp-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Temporary ids and the numeric ids of tasks created before signing in
+// have never been seen by the server
+export const isLocalId = (id) =>
+  typeof id !== "string" || id.startsWith("tmp-");
+
+export const loadOutbox = () => {
+  const savedOutbox = localStorage.getItem(OUTBOX_STORAGE_KEY);
+  return savedOutbox ? JSON.parse(savedOutbox) : [];
+};
+
+export const saveOutbox = (outbox) => {
+  localStorage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(outbox));
+};
+
+export const clearOutbox = () => {
+  localStorage.removeItem(OUTBOX_STORAGE_KEY);
+};
+
+// Mutations that upload a new task (and give it a server id)
+const CREATE_TYPES = ["create", "addSubtask"];
+
+// Add a mutation, collapsing it with earlier ones for the same task:
+// - deleting a task that was never uploaded cancels all of its mutations
+// - deleting a task drops its pending toggles, updates, rollovers, skips,
+//   timer actions, focus sessions and subtask changes
+// - a toggle replaces an earlier toggle
+// - an update replaces earlier updates, carrying their changes forward
+// - a reorder replaces earlier reorders, since it carries the whole order
+// - a subtask reorder replaces earlier ones for the same parent
+// Earlier mutations are only ever removed, never edited in place, because the
+// head of the outbox may be in flight.
+export const enqueue = (mutation) => {
+  const outbox = loadOutbox();
+  const forTask = (op) => op.taskId === mutation.taskId;
+  const queued = {
+    ...mutation,
+    opId: createTempId(),
+    queuedAt: new Date().toISOString(),
+  };
+  let nextOutbox;
+
+  if (
+    mutation.type === "delete" &&
+    outbox.some((op) => forTask(op) && CREATE_TYPES.includes(op.type))
+  ) {
+    nextOutbox = outbox.filter((op) => !forTask(op));
+  } else if (mutation.type === "delete") {
+    nextOutbox = [
+      ...outbox.filter(
+        (op) =>
+          !(
+            forTask(op) &&
+            [
+              "toggle",
+              "update",
+              "rollover",
+              "skip",
+              "timer",
+              "focusSession",
+              "detachSubtask",
+              "reorderSubtasks",
+            ].includes(op.type)
+          )
+      ),
+      queued,
+    ];
+  } else if (mutation.type === "toggle") {
+    nextOutbox = [
+      ...outbox.filter((op) => !(forTask(op) && op.type === "toggle")),
+      queued,
+    ];
+  } else if (mutation.type === "update") {
+    const earlierChanges = outbox
+      .filter((op) => forTask(op) && op.type === "update")
+      .reduce((changes, op) => ({ ...changes, ...op.changes }), {});
+    nextOutbox = [
+      ...outbox.filter((op) => !(forTask(op) && op.type === "update")),
+      { ...queued, changes: { ...earlierChanges, ...mutation.changes } },
+    ];
+  } else if (mutation.type === "reorder") {
+    nextOutbox = [...outbox.filter((op) => op.type !== "reorder"), queued];
+  } else if (mutation.type === "reorderSubtasks") {
+    nextOutbox = [
+      ...outbox.filter((op) => !(forTask(op) && op.type === mutation.type)),
+      queued,
+    ];
+  } else {
+    nextOutbox = [...outbox, queued];
+  }
+
+  saveOutbox(nextOutbox);
+  return nextOutbox;
+};
+
+// Fetch failures (TypeError) and 5xx responses are worth retrying later;
+// anything else means the mutation can never succeed as written
+export const isTransientError = (error) =>
+  !(error instanceof ApiError) || error.status >= 500 || error.status === 401;
+
+const performMutation = async (op) => {
+  switch (op.type) {
+    case "create":
+      return taskService.createTask(op.task);
+    case "toggle":
+      try {
+        return await taskService.setTaskCompleted(
+          op.taskId,
+          op.completed,
+          op.subtasks
+        );
+      } catch (error) {
+        // Already in the requested state (e.g. toggled on another device)
+        if (error instanceof ApiError && error.status === 400) return null;
+        throw error;
+      }
+    case "update":
+      return taskService.updateTask(op.taskId, op.changes);
+    case "delete":
+      try {
+        return await taskService.deleteTask(op.taskId);
+      } catch (error) {
+        // Already deleted elsewhere
+        if (error instanceof ApiError && error.status === 404) return null;
+        throw error;
+      }
+    case "restoreFromTrash":
+      try {
+        return await taskService.restoreFromTrash(op.taskId);
+      } catch (error) {
+        // Purged from the trash, or restored elsewhere
+        if (error instanceof ApiError && error.status === 404) return null;
+        throw error;
+      }
+    case "rollover":
+      return taskService.rolloverTask(op.taskId, op.action, op.date);
+    case "timer":
+      try {
+        return await taskService.setTimer(op.taskId, op.action, op.at);
+      } catch (error) {
+        // Timer already in that state, or the task was completed elsewhere
+        if (error instanceof ApiError && error.status === 400) return null;
+        throw error;
+      }
+    case "focusSession":
+      try {
+        return await focusService.recordFocusSession(op.taskId, op.session);
+      } catch (error) {
+        // Task deleted elsewhere
+        if (error instanceof ApiError && error.status === 404) return null;
+        throw error;
+      }
+    case "skip":
+      try {
+        return await taskService.skipOccurrence(op.taskId);
+      } catch (error) {
+        // Already completed, or deleted elsewhere
+        if (error instanceof ApiError && [400, 404].includes(error.status)) {
+          return null;
+        }
+        throw error;
+      }
+    case "addSubtask":
+      return taskService.createSubtask(op.parentId, op.task);
+    case "detachSubtask":
+      try {
+        return await taskService.detachSubtask(op.parentId, op.taskId);
+      } catch (error) {
+        // Already detached or deleted elsewhere
+        if (error instanceof ApiError && error.status === 404) return null;
+        throw error;
+      }
+    case "reorderSubtasks": {
+      const taskIds = op.taskIds.filter((id) => !isLocalId(id));
+      return taskIds.length > 0
+        ? taskService.reorderSubtasks(op.taskId, taskIds)
+        : null;
+    }
+    case "reorder": {
+      // Tasks whose upload was cancelled never got a server id
+      const taskIds = op.taskIds.filter((id) => !isLocalId(id));
+      return taskIds.length > 0 ? taskService.reorderTasks(taskIds) : null;
+    }
+    case "batch": {
+      const operations = op.operations.filter(
+        ({ taskId }) => !isLocalId(taskId)
+      );
+      if (operations.length === 0) return null;
+
+      // Operations fail on their own (e.g. a task deleted elsewhere); the
+      // next sync brings back the server's copy
+      const { results } = await taskService.runBatch(operations);
+      results
+        .filter(({ status }) => status !== "done")
+        .forEach(({ action, taskId, errors }) =>
+          console.error(`Dropping batch ${action} for task ${taskId}:`, errors)
+        );
+      return null;
+    }
+    default:
+      return null;
+  }
+};
+
+// Replay the outbox head-first. The outbox is re-read from storage after each
+// step so mutations queued while a request is in flight are never lost.
+// Resolves with { idMap, failedIds, droppedCount }: a map of temporary ids to
+// server ids, the ids of tasks the server refused to create, and how many
+// mutations it refused in all. Rejects with the first transient error,
+// leaving the failed mutation at the head of the outbox; the error carries
+// the idMap and failedIds so far.
+export const replayOutbox = async () => {
+  const idMap = {};
+  const failedIds = [];
+  let droppedCount = 0;
+  let [op] = loadOutbox();
+
+  while (op) {
+    let result;
+    let dropped = false;
+    try {
+      result = await performMutation(op);
+    } catch (error) {
+      if (isTransientError(error)) {
+        Object.assign(error, { idMap, failedIds });
+        throw error;
+      }
+      console.error(`Dropping ${op.type} for task ${op.taskId}:`, error);
+      dropped = true;
+      droppedCount += 1;
+    }
+
+    const current = op;
+    let outbox = loadOutbox();
+    const wasCancelled = !outbox.some((item) => item.opId === current.opId);
+    outbox = outbox.filter((item) => item.opId !== current.opId);
+
+    // A task the server refused never gets a server id, so its other
+    // mutations could never succeed either
+    if (dropped && CREATE_TYPES.includes(current.type)) {
+      failedIds.push(current.taskId);
+      outbox = outbox.filter((item) => item.taskId !== current.taskId);
+    }
+
+    if (CREATE_TYPES.includes(current.type) && result) {
+      idMap[current.taskId] = result.id;
+      outbox = outbox.map((item) => {
+        if (item.taskId === current.taskId) {
+          return { ...item, taskId: result.id };
+        }
+        if (item.parentId === current.taskId) {
+          return { ...item, parentId: result.id };
+        }
+        if (item.taskIds?.includes(current.taskId)) {
+          return {
+            ...item,
+            taskIds: item.taskIds.map((id) =>
+              id === current.taskId ? result.id : id
+            ),
+          };
+        }
+        if (item.operations?.some(({ taskId }) => taskId === current.taskId)) {
+          return {
+            ...item,
+            operations: item.operations.map((operation) =>
+              operation.taskId === current.taskId
+                ? { ...operation, taskId: result.id }
+                : operation
+            ),
+          };
+        }
+        return item;
+      });
+
+      // The task was deleted locally while it was being uploaded
+      if (wasCancelled) {
+        outbox.push({
+          type: "delete",
+          taskId: result.id,
+          opId: createTempId(),
+          queuedAt: new Date().toISOString(),
+        });
+      }
+    }
+
+    saveOutbox(outbox);
+    [op] = outbox;
+  }
+
+  return { idMap, failedIds, droppedCount };
+};
+
+// Conflict rules for tasks edited on two devices, applied before replaying:
+// - a toggle or update older than the server's last update loses (server wins)
+// - a toggle or update for a today task the server no longer has is dropped,
+//   since the task was deleted elsewhere
+// - local deletes always win; creates are always uploaded
+export const resolveConflicts = (serverTodayTasks, localTasks) => {
+  const today = getToday();
+  const serverById = new Map(serverTodayTasks.map((task) => [task.id, task]));
+  const localById = new Map(localTasks.map((task) => [task.id, task]));
+
+  const outbox = loadOutbox().filter((op) => {
+    if (!["toggle", "update"].includes(op.type) || isLocalId(op.taskId)) {
+      return true;
+    }
+
+    const serverTask = serverById.get(op.taskId);
+    if (serverTask) {
+      return new Date(serverTask.updatedAt) <= new Date(op.queuedAt);
+    }
+    return localById.get(op.taskId)?.date !== today;
+  });
+
+  saveOutbox(outbox);
+  return outbox;
+};
+
+// Fold server tasks into the local list. Tasks with pending mutations keep
+// their local state, tasks never uploaded are kept, and uploaded tasks within
+// `inScope` that the server no longer returns are removed.
+export const mergeServerTasks = (
+  localTasks,
+  serverTasks,
+  inScope = () => true
+) => {
+  const outbox = loadOutbox();
+  const pendingIds = new Set(
+    outbox.flatMap((op) =>
+      op.operations ? op.operations.map(({ taskId }) => taskId) : op.taskId
+    )
+  );
+  const serverIds = new Set(serverTasks.map((task) => task.id));
+  const localById = new Map(localTasks.map((task) => [task.id, task]));
+
+  const fromServer = serverTasks
+    .filter((task) => !pendingIds.has(task.id) || localById.has(task.id))
+    .map((task) => (pendingIds.has(task.id) ? localById.get(task.id) : task));
+
+  const localOnly = localTasks.filter(
+    (task) =>
+      !serverIds.has(task.id) &&
+      (isLocalId(task.id) || pendingIds.has(task.id) || !inScope(task))
+  );
+
+  return [...localOnly, ...fromServer].sort(
+    (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
+  );
+};
+
+const remapId = (id, idMap) => idMap[id] || id;
+
+export const remapTaskIds = (tasks, idMap) =>
+  tasks.map((task) => ({
+    ...task,
+    id: remapId(task.id, idMap),
+    ...(task.parentId && { parentId: remapId(task.parentId, idMap) }),
+    ...(task.subtaskIds && {
+      subtaskIds: task.subtaskIds.map((id) => remapId(id, idMap)),
+    }),
+  }));
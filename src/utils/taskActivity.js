@@ -0,0 +1,109 @@
+import { formatDueDate, formatDay, getTimeZone } from "./dateUtils";
+
+// Readable lines for a task's change history from the server. Entries are
+// { action, field, oldValue, newValue, timestamp }; dates arrive as ISO
+// strings and days as "YYYY-MM-DD" keys.
+
+const FIELD_LABELS = {
+  title: "title",
+  description: "description",
+  status: "status",
+  priority: "priority",
+  dueDate: "due date",
+  tags: "tags",
+  estimatedTime: "estimate",
+  actualTime: "time spent",
+  notes: "notes",
+  plannedDate: "day",
+  isRecurring: "repeat",
+  "recurring.type": "repeat frequency",
+  "recurring.interval": "repeat interval",
+  "recurring.endDate": "repeat end date",
+};
+
+const STATUS_LABELS = {
+  pending: "to do",
+  in_progress: "in progress",
+  completed: "done",
+  cancelled: "dropped",
+};
+
+// Long text would crowd the timeline, so only its change is mentioned
+const LONG_TEXT_FIELDS = ["description", "notes"];
+
+const ACTION_DESCRIPTIONS = {
+  created: "Created",
+  completed: "Completed",
+  cancelled: "Dropped",
+  restored: "Reopened",
+  deleted: "Moved to trash",
+  undeleted: "Restored from trash",
+};
+
+const isEmpty = (value) =>
+  value === null ||
+  value === undefined ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+const formatValue = (field, value) => {
+  switch (field) {
+    case "dueDate":
+    case "recurring.endDate":
+      return formatDueDate(value);
+    case "plannedDate":
+      return formatDay(value);
+    case "estimatedTime":
+    case "actualTime":
+      return `${value} min`;
+    case "status":
+      return STATUS_LABELS[value] || value;
+    case "tags":
+      return value.join(", ");
+    case "isRecurring":
+      return value ? "on" : "off";
+    default:
+      return `"${value}"`;
+  }
+};
+
+const describeSkippedDays = (oldDays = [], newDays = []) => {
+  const skipped = (newDays || []).filter((day) => !oldDays?.includes(day));
+  return skipped.length > 0
+    ? `Skipped ${skipped.map(formatDay).join(", ")}`
+    : "Changed skipped days";
+};
+
+export const describeHistoryEntry = ({ action, field, oldValue, newValue }) => {
+  if (ACTION_DESCRIPTIONS[action]) return ACTION_DESCRIPTIONS[action];
+
+  if (field === "status" && newValue === "in_progress") return "Started";
+  if (field === "parentTask") {
+    return newValue ? "Made a subtask" : "Detached from its parent task";
+  }
+  if (field === "recurring.skippedDates") {
+    return describeSkippedDays(oldValue, newValue);
+  }
+
+  const label = FIELD_LABELS[field] || field;
+  if (isEmpty(newValue)) return `Removed the ${label}`;
+  if (LONG_TEXT_FIELDS.includes(field)) {
+    return isEmpty(oldValue) ? `Added ${label}` : `Edited the ${label}`;
+  }
+  if (isEmpty(oldValue)) {
+    return `Set the ${label} to ${formatValue(field, newValue)}`;
+  }
+  return `Changed the ${label} from ${formatValue(
+    field,
+    oldValue
+  )} to ${formatValue(field, newValue)}`;
+};
+
+export const formatHistoryTime = (timestamp) =>
+  new Date(timestamp).toLocaleString([], {
+    timeZone: getTimeZone(),
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
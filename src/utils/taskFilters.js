@@ -0,0 +1,127 @@
+import { getDayKey } from "./dateUtils";
+
+// Filter state for the "All tasks" view. It lives in the URL query string
+// (e.g. ?view=all&q=report&status=open&sortBy=dueDate) so views can be
+// bookmarked, and maps onto the GET /api/tasks query parameters.
+
+export const PAGE_SIZE = 20;
+
+export const STATUS_OPTIONS = [
+  { value: "open", label: "Open" },
+  { value: "completed", label: "Completed" },
+  { value: "cancelled", label: "Dropped" },
+];
+
+export const SORT_OPTIONS = [
+  { value: "createdAt", label: "Created" },
+  { value: "updatedAt", label: "Last updated" },
+  { value: "dueDate", label: "Due date" },
+  { value: "title", label: "Title" },
+];
+
+export const DEFAULT_FILTERS = {
+  q: "",
+  status: "",
+  priority: "",
+  tags: "",
+  from: "",
+  to: "",
+  sortBy: "createdAt",
+  sortOrder: "desc",
+  page: 1,
+};
+
+export const readFiltersFromUrl = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+  const filters = { ...DEFAULT_FILTERS };
+
+  Object.keys(DEFAULT_FILTERS).forEach((key) => {
+    if (params.has(key)) filters[key] = params.get(key);
+  });
+  filters.page = Math.max(1, parseInt(filters.page, 10) || 1);
+
+  return filters;
+};
+
+// Only values that differ from the defaults end up in the URL
+export const toSearchParams = (filters) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== "" && String(value) !== String(DEFAULT_FILTERS[key])) {
+      params.set(key, value);
+    }
+  });
+  return params;
+};
+
+export const hasActiveFilters = (filters) =>
+  ["q", "status", "priority", "tags", "from", "to"].some(
+    (key) => filters[key] !== ""
+  );
+
+// Same query parameters as the search request, for getTasks on the backend
+export const toApiQuery = (filters) => {
+  const { q, ...rest } = filters;
+  const params = toSearchParams({ ...rest, search: q.trim() });
+  params.set("limit", PAGE_SIZE);
+  return params.toString();
+};
+
+const getStatus = (task) => {
+  if (task.completed) return "completed";
+  if (task.dropped) return "cancelled";
+  return "pending";
+};
+
+// Guests have no backend, so their tasks are filtered here with the same
+// rules getTasks applies on the server
+export const filterTasksLocally = (tasks, filters) => {
+  const search = filters.q.trim().toLowerCase();
+  const tags = filters.tags
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+
+  const matches = tasks.filter((task) => {
+    const createdDay = getDayKey(task.createdAt);
+    return (
+      (!search ||
+        task.text.toLowerCase().includes(search) ||
+        (task.description || "").toLowerCase().includes(search)) &&
+      (!filters.status || getStatus(task) === filters.status) &&
+      (!filters.priority || task.priority === filters.priority) &&
+      (tags.length === 0 ||
+        (task.tags || []).some((tag) => tags.includes(tag))) &&
+      (!filters.from || createdDay >= filters.from) &&
+      (!filters.to || createdDay <= filters.to)
+    );
+  });
+
+  const sortValue = (task) => {
+    if (filters.sortBy === "title") return task.text.toLowerCase();
+    const value = task[filters.sortBy];
+    return value ? new Date(value).getTime() : 0;
+  };
+  const direction = filters.sortOrder === "asc" ? 1 : -1;
+  matches.sort((a, b) => {
+    const valueA = sortValue(a);
+    const valueB = sortValue(b);
+    if (valueA === valueB) return 0;
+    return (valueA > valueB ? 1 : -1) * direction;
+  });
+
+  const total = matches.length;
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const page = Math.min(filters.page, totalPages);
+
+  return {
+    tasks: matches.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE),
+    pagination: {
+      page,
+      total,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+};
@@ -0,0 +1,238 @@
+import { apiRequest } from "./apiClient";
+import { getDayKey } from "./dateUtils";
+import { toApiQuery } from "./taskFilters";
+
+// The frontend works with { id, text, completed, createdAt, date } while the
+// backend Task model uses { _id, title, status, createdAt }. These helpers
+// translate between the two so components never see the API shape.
+
+export const fromApiTask = (apiTask) => ({
+  id: apiTask._id,
+  text: apiTask.title,
+  completed: apiTask.status === "completed",
+  priority: apiTask.priority,
+  description: apiTask.description,
+  dueDate: apiTask.dueDate,
+  tags: apiTask.tags || [],
+  estimatedTime: apiTask.estimatedTime,
+  notes: apiTask.notes,
+  actualTime: apiTask.actualTime,
+  focusSessionCount: apiTask.focusSessionCount || 0,
+  timeSessions: (apiTask.timeSessions || []).map(({ startedAt, endedAt }) => ({
+    startedAt,
+    ...(endedAt && { endedAt }),
+  })),
+  isRecurring: apiTask.isRecurring,
+  recurring: apiTask.isRecurring ? apiTask.recurring : undefined,
+  // Set on occurrences generated from a recurring task
+  recurringTemplateId: apiTask.recurringTemplate || undefined,
+  occurrenceDate: apiTask.occurrenceDate,
+  position: apiTask.position,
+  // Subtasks come back as ids, or populated with a few fields
+  parentId: apiTask.parentTask || undefined,
+  subtaskIds: (apiTask.subtasks || []).map((subtask) => subtask._id || subtask),
+  rolloverCount: apiTask.rolloverCount || 0,
+  dropped: apiTask.status === "cancelled",
+  createdAt: apiTask.createdAt,
+  updatedAt: apiTask.updatedAt,
+  // Rolled-over tasks belong to the day they were moved to
+  date: apiTask.plannedDate || getDayKey(apiTask.createdAt),
+});
+
+// Optional fields the API accepts alongside the title
+const DETAIL_FIELDS = [
+  "description",
+  "priority",
+  "dueDate",
+  "tags",
+  "estimatedTime",
+  "notes",
+];
+
+// Recurrence can only be set when a task is created
+const CREATE_FIELDS = [...DETAIL_FIELDS, "isRecurring", "recurring"];
+
+// Unset details are left out so the backend applies its own defaults
+export const toApiTask = (task) => {
+  const apiTask = { title: task.text };
+  CREATE_FIELDS.forEach((field) => {
+    if (task[field] !== undefined && task[field] !== null) {
+      apiTask[field] = task[field];
+    }
+  });
+  return apiTask;
+};
+
+// Partial update payload; unlike toApiTask, cleared fields are sent so the
+// backend can unset them
+export const toApiChanges = (changes) => {
+  const { text, ...details } = changes;
+  return {
+    ...(text !== undefined && { title: text }),
+    ...Object.fromEntries(
+      Object.entries(details).filter(([field]) => DETAIL_FIELDS.includes(field))
+    ),
+  };
+};
+
+// Load every task from the last 30 days (today included)
+export const fetchTasks = async () => {
+  const { data } = await apiRequest("GET", "/tasks/history");
+  return data.history.flatMap((day) => day.tasks).map(fromApiTask);
+};
+
+// Tasks created or due today
+export const fetchTodayTasks = async () => {
+  const { data } = await apiRequest("GET", "/tasks/today");
+  return data.tasks.map(fromApiTask);
+};
+
+// One page of tasks matching the All tasks filters (see taskFilters.js)
+export const searchTasks = async (filters) => {
+  const { data } = await apiRequest("GET", `/tasks?${toApiQuery(filters)}`);
+  return {
+    tasks: data.tasks.map(fromApiTask),
+    pagination: data.pagination,
+  };
+};
+
+export const createTask = async (task) => {
+  const { data } = await apiRequest("POST", "/tasks", toApiTask(task));
+  return fromApiTask(data.task);
+};
+
+export const updateTask = async (taskId, changes) => {
+  const { data } = await apiRequest(
+    "PUT",
+    `/tasks/${taskId}`,
+    toApiChanges(changes)
+  );
+  return fromApiTask(data.task);
+};
+
+// Completing a task with open subtasks needs `subtasks`: "complete" to
+// finish them too, or "leave" to complete only the parent
+export const setTaskCompleted = async (taskId, completed, subtasks) => {
+  const path = completed
+    ? `/tasks/${taskId}/complete?subtasks=${subtasks || "leave"}`
+    : `/tasks/${taskId}/restore`;
+  const { data } = await apiRequest("PATCH", path);
+  return fromApiTask(data.task);
+};
+
+export const createSubtask = async (parentId, task) => {
+  const { data } = await apiRequest(
+    "POST",
+    `/tasks/${parentId}/subtasks`,
+    toApiTask(task)
+  );
+  return fromApiTask(data.task);
+};
+
+// The subtask stays as a task of its own
+export const detachSubtask = async (parentId, subtaskId) => {
+  await apiRequest("DELETE", `/tasks/${parentId}/subtasks/${subtaskId}`);
+};
+
+// `taskIds` must list each of the parent's subtasks once, first to last
+export const reorderSubtasks = async (parentId, taskIds) => {
+  await apiRequest("PATCH", `/tasks/${parentId}/subtasks/order`, { taskIds });
+};
+
+// Persist the manual order of a day's tasks, first to last
+export const reorderTasks = async (taskIds) => {
+  await apiRequest("PATCH", "/tasks/reorder", { taskIds });
+};
+
+// `action` is "today", "drop" or "reschedule" (which needs a YYYY-MM-DD date)
+export const rolloverTask = async (taskId, action, date) => {
+  await apiRequest("PATCH", "/tasks/rollover", {
+    decisions: [{ taskId, action, ...(date && { date }) }],
+  });
+};
+
+// `action` is "start", "pause" or "stop"; `at` is when it happened, so
+// actions replayed after being offline keep their original times
+export const setTimer = async (taskId, action, at) => {
+  const { data } = await apiRequest(
+    "PATCH",
+    `/tasks/${taskId}/timer/${action}`,
+    {
+      ...(at && { at }),
+    }
+  );
+  return fromApiTask(data.task);
+};
+
+// Skip the occurrence `taskId` stands for; the server cancels it and leaves
+// the rest of the series alone
+export const skipOccurrence = async (taskId) => {
+  await apiRequest("PATCH", `/tasks/${taskId}/skip`);
+};
+
+// A task's change history, newest first
+export const fetchTaskHistory = async (taskId) => {
+  const { data } = await apiRequest("GET", `/tasks/${taskId}/history`);
+  return data.history;
+};
+
+// Deleted tasks go to the server's trash, from where they can be restored
+export const deleteTask = async (taskId) => {
+  await apiRequest("DELETE", `/tasks/${taskId}`);
+};
+
+// Restores the subtasks deleted along with the task as well
+export const restoreFromTrash = async (taskId) => {
+  const { data } = await apiRequest("PATCH", `/tasks/trash/${taskId}/restore`);
+  return fromApiTask(data.task);
+};
+
+// A batch operation in the task shape: "update" carries `changes` like
+// updateTask, "reschedule" a `date` (YYYY-MM-DD) and/or `dueDate`, "retag"
+// `addTags`/`removeTags` and "complete" an optional `subtasks` choice
+const toApiOperation = ({ taskId, action, changes, date, ...rest }) => ({
+  taskId,
+  action,
+  ...rest,
+  ...(changes && { fields: toApiChanges(changes) }),
+  ...(date && { plannedDate: date }),
+});
+
+// Run operations on many tasks at once: "complete", "restore", "update",
+// "retag", "reschedule" or "delete". Resolves with { summary, results }, one
+// result per operation ("done", "invalid" or "failed", with errors).
+export const runBatch = async (operations) => {
+  const { data } = await apiRequest("POST", "/tasks/batch", {
+    operations: operations.map(toApiOperation),
+  });
+  return {
+    summary: data.summary,
+    results: data.results.map((result) =>
+      result.task ? { ...result, task: fromApiTask(result.task) } : result
+    ),
+  };
+};
+
+// Download every task as "json", "csv" or "ics"
+export const exportTasks = async (format) => {
+  const response = await apiRequest(
+    "GET",
+    `/tasks/export?format=${format}`,
+    null,
+    { raw: true }
+  );
+  return response.blob();
+};
+
+// Import tasks from `data`, the text of a "json", "csv" or "ics" file (or,
+// for JSON, rows shaped like toTransferTask's). A dry run only reports
+// what would be imported. Resolves with { summary, results }, one result
+// per row.
+export const importTasks = async (format, data, { dryRun = false } = {}) => {
+  const { data: report } = await apiRequest("POST", "/tasks/import", {
+    format,
+    data,
+    dryRun,
+  });
+  return report;
+};
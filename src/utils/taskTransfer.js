@@ -0,0 +1,107 @@
+import { getToday } from "./dateUtils";
+
+// Import/export file formats; iCalendar files are built by the backend
+export const TRANSFER_FORMATS = [
+  { value: "json", label: "JSON", extension: "json", type: "application/json" },
+  { value: "csv", label: "CSV", extension: "csv", type: "text/csv" },
+  {
+    value: "ics",
+    label: "iCalendar",
+    extension: "ics",
+    type: "text/calendar",
+    needsAccount: true,
+  },
+];
+
+// The format of an import file, from its extension
+export const getFileFormat = (fileName) => {
+  const extension = fileName.split(".").pop().toLowerCase();
+  return TRANSFER_FORMATS.find((format) => format.extension === extension)
+    ?.value;
+};
+
+// A local task in the backend's import/export shape. Guest tasks keep their
+// numeric ids so an import can rebuild their subtasks.
+export const toTransferTask = (task) => ({
+  id: task.id,
+  title: task.text,
+  description: task.description,
+  status: task.completed ? "completed" : task.dropped ? "cancelled" : "pending",
+  priority: task.priority,
+  dueDate: task.dueDate,
+  tags: task.tags?.length ? task.tags : undefined,
+  estimatedTime: task.estimatedTime,
+  actualTime: task.actualTime,
+  notes: task.notes,
+  plannedDate: task.date,
+  parentId: task.parentId,
+  ...(task.isRecurring && {
+    isRecurring: true,
+    recurring: task.recurring,
+  }),
+  createdAt: task.createdAt,
+});
+
+const CSV_COLUMNS = [
+  "id",
+  "title",
+  "description",
+  "status",
+  "priority",
+  "dueDate",
+  "tags",
+  "estimatedTime",
+  "actualTime",
+  "notes",
+  "plannedDate",
+  "parentId",
+  "createdAt",
+];
+
+const formatCsvCell = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Local tasks as a JSON or CSV export, in the same layout as the backend's
+export const exportLocalTasks = (tasks, format) => {
+  const rows = tasks.map(toTransferTask);
+
+  if (format === "csv") {
+    return [
+      CSV_COLUMNS,
+      ...rows.map((row) =>
+        CSV_COLUMNS.map((column) =>
+          column === "tags" ? (row.tags || []).join(";") : row[column]
+        )
+      ),
+    ]
+      .map((cells) => cells.map(formatCsvCell).join(","))
+      .join("\r\n");
+  }
+
+  return JSON.stringify(
+    { exportedAt: new Date().toISOString(), tasks: rows },
+    null,
+    2
+  );
+};
+
+// Save `content` (text or a Blob) as a "tasks-<today>" file
+export const downloadFile = (content, format) => {
+  const { extension, type } = TRANSFER_FORMATS.find(
+    (option) => option.value === format
+  );
+  const blob =
+    content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `tasks-${getToday()}.${extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
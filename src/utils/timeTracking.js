@@ -0,0 +1,36 @@
+// Tasks keep a list of timer sessions, { startedAt, endedAt }, with endedAt
+// unset while the timer runs. Stopping the timer (or completing the task)
+// records the total as actualTime, in minutes, as the backend does.
+
+const MS_PER_MINUTE = 60 * 1000;
+
+export const isTimerRunning = (task) =>
+  (task.timeSessions || []).some((session) => !session.endedAt);
+
+// Time tracked across all sessions, counting a running one up to `now`
+export const getTrackedMs = (task, now = Date.now()) =>
+  (task.timeSessions || []).reduce((total, session) => {
+    const endedAt = session.endedAt ? Date.parse(session.endedAt) : now;
+    return total + endedAt - Date.parse(session.startedAt);
+  }, 0);
+
+export const getTrackedMinutes = (task) =>
+  Math.round(getTrackedMs(task) / MS_PER_MINUTE);
+
+// Close the running session, if any
+export const pauseSessions = (sessions = [], at) =>
+  sessions.map((session) =>
+    session.endedAt ? session : { ...session, endedAt: at }
+  );
+
+// "4:05" or "1:02:09"
+export const formatDuration = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`
+    : `${minutes}:${seconds}`;
+};